@@ -61,6 +61,13 @@ const ALARM_RULES = [
     severity: "error",
     description: "Connection",
   },
+  {
+    id: "identity_mismatch",
+    family: null,
+    type: "qc_identity",
+    severity: "error",
+    description: "Wrong device",
+  },
 ];
 
 // Per-tank connectivity state for offline duration
@@ -163,6 +170,11 @@ export function processTelemetryForAlarms(payload, family, opts = {}) {
         // qcStatus === "ok" → clear any existing connectivity alarm
         active = false;
       }
+    } else if (rule.type === "qc_identity") {
+      // Another device answered at this tank's IP (see identityService)
+      if (qcStatus === "fail") continue; // unknown while offline, keep state
+      active = qcStatus === "identity_mismatch";
+      if (active) details = payload?.qc?.error || "unexpected serial number";
     }
 
     const evt = updateRuleState(
@@ -184,6 +196,24 @@ export function processTelemetryForAlarms(payload, family, opts = {}) {
 /*                   Batch + send to Slack (unchanged)                */
 /* ------------------------------------------------------------------ */
 
+// Delivery counters and the last Slack result, for /metrics and /api/health
+const deliveryStats = {
+  events_sent: { ALARM: 0, RESOLVED: 0 },
+  batches_sent: 0,
+  batches_failed: 0,
+  last_attempt_at: null,
+  last_ok_at: null,
+  last_error: null,
+};
+
+export function getAlarmDeliveryStats() {
+  return {
+    ...deliveryStats,
+    events_sent: { ...deliveryStats.events_sent },
+    webhook_configured: !!WEBHOOK_URL,
+  };
+}
+
 export async function flushAlarmBatch() {
   if (!WEBHOOK_URL) return;
   if (pendingEvents.length === 0) return;
@@ -236,9 +266,18 @@ export async function flushAlarmBatch() {
 
   const text = tankBlocks.join("\n\n");
 
+  deliveryStats.last_attempt_at = new Date().toISOString();
   try {
     await postToSlack(text);
+    deliveryStats.batches_sent++;
+    deliveryStats.last_ok_at = deliveryStats.last_attempt_at;
+    deliveryStats.last_error = null;
+    for (const evt of pendingEvents) {
+      deliveryStats.events_sent[evt.kind] = (deliveryStats.events_sent[evt.kind] || 0) + 1;
+    }
   } catch (e) {
+    deliveryStats.batches_failed++;
+    deliveryStats.last_error = e.message;
     console.error("Slack alarm batch send failed:", e.message);
   } finally {
     pendingEvents.length = 0;
@@ -258,6 +297,18 @@ export function getAlarmThresholds() {
   };
 }
 
+/**
+ * True while any metric threshold alarm is active for tankId
+ * (connectivity alarms don't count — those tanks get backed off instead).
+ */
+export function isTankInAlarm(tankId) {
+  for (const rule of ALARM_RULES) {
+    if (rule.type !== "metric_threshold") continue;
+    if (alarmState.get(`${rule.id}|${tankId}`)?.active) return true;
+  }
+  return false;
+}
+
 export async function setAlarmThresholds(payload) {
   const next = normalizeConfig(payload);
 
@@ -0,0 +1,120 @@
+// backend/src/auditService.js
+// Append-only audit trail of operator commands: one NDJSON row per op with
+// who asked for what, what was applied, the value before and the outcome.
+// Files rotate daily on Hawaiʻi time like the telemetry logs:
+//   data/audit/commands-<YYYY-MM-DD>.ndjson
+// Rows are never rewritten; GET /api/audit/commands reads them back.
+
+import path from "path";
+import { fileURLToPath } from "url";
+import fs from "fs";
+import { promises as fsp } from "fs";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const AUDIT_DIR =
+  (process.env.AUDIT_DIR?.trim && process.env.AUDIT_DIR.trim()) ||
+  path.join(__dirname, "..", "data", "audit");
+
+const FILE_RE = /^commands-(\d{4}-\d{2}-\d{2})\.ndjson$/;
+const MAX_LIMIT = 5000;
+
+// appends run one after another so rows keep their order
+let writeChain = Promise.resolve();
+
+// Hawaiʻi Standard Time is always UTC-10 (no DST)
+function dayHST(ms) {
+  return new Date(ms - 10 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+/* ------------------------------------------------------------------ */
+/*                               Write                                 */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Append audit rows.
+ * @param {Array<{ ts_utc:string, tx_id:string|null, family:string|null, tank_id:string,
+ *   point:string|null, value_requested:any, value_applied?:any, value_previous?:any,
+ *   value_readback?:any, reason?:string|null, result:string, verified?:boolean|null,
+ *   error?:string|null, requested_by:string|null, source:string,
+ *   fn?:number, start?:number, unit_id?:number }>} rows
+ *   result is "ok" or the op/command error code; raw register writes
+ *   (Diagnostics) have no point but fn/start and the values written
+ */
+export function recordCommandAudit(rows) {
+  if (!rows.length) return writeChain;
+  const file = path.join(AUDIT_DIR, `commands-${dayHST(Date.parse(rows[0].ts_utc))}.ndjson`);
+  const text = rows.map((r) => JSON.stringify(r)).join("\n") + "\n";
+
+  writeChain = writeChain.then(async () => {
+    try {
+      await fsp.mkdir(AUDIT_DIR, { recursive: true });
+      await fsp.appendFile(file, text, "utf8");
+    } catch (err) {
+      console.error("Failed to write command audit:", err.message);
+    }
+  });
+  return writeChain;
+}
+
+/* ------------------------------------------------------------------ */
+/*                               Query                                 */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Read audit rows, newest first.
+ * @param {{ tankId?:string, point?:string, source?:string, startMs:number, endMs:number,
+ *   limit?:number }} q  source is "http", "mqtt" or "schedule"
+ * @returns {Promise<{ entries:object[], truncated:boolean }>}
+ */
+export async function queryCommandAudit({ tankId, point, source, startMs, endMs, limit = 500 }) {
+  const max = Math.min(Math.max(1, limit), MAX_LIMIT);
+  const firstDay = dayHST(startMs);
+  const lastDay = dayHST(endMs);
+
+  let names = [];
+  try {
+    names = fs.readdirSync(AUDIT_DIR);
+  } catch {
+    return { entries: [], truncated: false };
+  }
+
+  const files = names
+    .map((name) => ({ name, day: FILE_RE.exec(name)?.[1] }))
+    .filter((f) => f.day && f.day >= firstDay && f.day <= lastDay)
+    .sort((a, b) => b.day.localeCompare(a.day));
+
+  const entries = [];
+  for (const f of files) {
+    let raw;
+    try {
+      raw = await fsp.readFile(path.join(AUDIT_DIR, f.name), "utf8");
+    } catch {
+      continue;
+    }
+
+    const rows = [];
+    for (const line of raw.split(/\r?\n/)) {
+      if (!line) continue;
+      let row;
+      try {
+        row = JSON.parse(line);
+      } catch {
+        continue;
+      }
+      const t = Date.parse(row.ts_utc);
+      if (!Number.isFinite(t) || t < startMs || t > endMs) continue;
+      if (tankId && row.tank_id !== tankId) continue;
+      if (point && row.point !== point) continue;
+      if (source && row.source !== source) continue;
+      rows.push(row);
+    }
+
+    // files are append-only, so reversing gives newest first
+    entries.push(...rows.reverse());
+    if (entries.length > max) break;
+  }
+
+  return { entries: entries.slice(0, max), truncated: entries.length > max };
+}
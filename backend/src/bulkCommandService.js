@@ -0,0 +1,103 @@
+// backend/src/bulkCommandService.js
+// One command sent to many devices: a list of tanks, a prefix or a saved
+// group (see groupService). planBulk is the dry run (current values, the
+// planned write incl. clamping, devices that don't answer); executeBulk
+// runs executeCommand per device, a few devices at a time, and reports per
+// device. Each device write is rate limited, read back and audited as usual,
+// all with the same tx_id.
+
+import { randomUUID } from "crypto";
+import { executeCommand, planCommand, recordRejection, parseOps } from "./commandService.js";
+
+// devices written (or read for a dry run) at the same time
+const BULK_CONCURRENCY = Number(process.env.BULK_CONCURRENCY || 4);
+
+/**
+ * Dry run on every device.
+ * @param {{ family:string, tankIds:string[] }} set  from resolveTankSet
+ * @param {Array<{point:string, value:any, force?:boolean}>} ops
+ * @param {(tankId: string, family: string) => Promise<object>} resolveTarget
+ * @returns {Promise<{ family:string, ops:object[], devices:object[], summary:object }>}
+ *   devices are planCommand results, or { tank_id, online:false, code, error } when
+ *   the device can't be planned at all (unknown tank, no register map)
+ */
+export async function planBulk(set, ops, resolveTarget) {
+  const parsed = parseOps(ops);
+  const devices = await mapLimit(set.tankIds, BULK_CONCURRENCY, async (tankId) => {
+    try {
+      return await planCommand(await resolveTarget(tankId, set.family), parsed);
+    } catch (e) {
+      return { family: set.family, tank_id: tankId, online: false, code: e.code || "error", error: e.message, ops: [] };
+    }
+  });
+
+  return {
+    family: set.family,
+    ops: parsed,
+    devices,
+    summary: {
+      devices: devices.length,
+      online: devices.filter((d) => d.online).length,
+      offline: devices.filter((d) => d.online === false).length,
+      clamped: devices.filter((d) => d.ops.some((o) => o.reason === "clamped")).length,
+      invalid: devices.filter((d) => d.ops.some((o) => o.code)).length,
+    },
+  };
+}
+
+/**
+ * Send the command to every device.
+ * @param {{ family:string, tankIds:string[], label:string }} set
+ * @param {{ ops:object[], requested_by?:string, tx_id?:string }} cmd
+ * @param {(tankId: string, family: string) => Promise<object>} resolveTarget
+ * @returns {Promise<{ tx_id:string, ts_utc:string, family:string, requested_by:string|null,
+ *   devices:Array<{ tank_id:string, ok:boolean, results?:object[], code?:string, error?:string }>,
+ *   summary:{ devices:number, ok:number, failed:number } }>}
+ */
+export async function executeBulk(set, cmd, resolveTarget) {
+  const ops = parseOps(cmd.ops);
+  const txId = cmd.tx_id || randomUUID();
+  const request = { tx_id: txId, ops, requested_by: cmd.requested_by ?? null, source: "bulk" };
+
+  console.log(`📦 Bulk command to ${set.label} (${set.tankIds.length} devices): ${ops.map((o) => `${o.point}=${JSON.stringify(o.value)}`).join(", ")}`);
+
+  const devices = await mapLimit(set.tankIds, BULK_CONCURRENCY, async (tankId) => {
+    let target = null;
+    try {
+      target = await resolveTarget(tankId, set.family);
+      const { results } = await executeCommand(target, request);
+      const failed = results.find((r) => !r.ok);
+      return failed
+        ? { tank_id: tankId, ok: false, results, code: failed.code, error: failed.error }
+        : { tank_id: tankId, ok: true, results };
+    } catch (e) {
+      recordRejection({ tankId, family: target?.family || set.family }, request, e);
+      return { tank_id: tankId, ok: false, code: e.code || "error", error: e.message };
+    }
+  });
+
+  const ok = devices.filter((d) => d.ok).length;
+  console.log(`📦 Bulk command ${txId}: ${ok}/${devices.length} ok`);
+  return {
+    tx_id: txId,
+    ts_utc: new Date().toISOString(),
+    family: set.family,
+    requested_by: request.requested_by,
+    devices,
+    summary: { devices: devices.length, ok, failed: devices.length - ok },
+  };
+}
+
+// Results in the order of items
+async function mapLimit(items, limit, fn) {
+  const out = new Array(items.length);
+  let i = 0;
+  async function worker() {
+    while (i < items.length) {
+      const idx = i++;
+      out[idx] = await fn(items[idx]);
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return out;
+}
@@ -0,0 +1,55 @@
+// backend/src/checkMap.js
+// Validate register maps before deploying them to a gateway.
+//
+//   npm run check-map                      # every config/registerMap*.json
+//   npm run check-map -- path/to/map.json  # specific files
+//
+// Exits 1 if any map has errors; warnings alone still exit 0.
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { lintRegisterMap, planBlocks } from "./registerMap.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const configDir = path.join(__dirname, "..", "config");
+
+function defaultMapFiles() {
+  return fs
+    .readdirSync(configDir)
+    .filter((fn) => /^registerMap.*\.json$/.test(fn))
+    .map((fn) => path.join(configDir, fn));
+}
+
+function checkFile(file) {
+  let map;
+  try {
+    map = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    console.log(`❌ ${file}: ${e.message}`);
+    return false;
+  }
+
+  const { errors, warnings } = lintRegisterMap(map);
+  for (const e of errors) console.log(`❌ ${file}: ${e}`);
+  for (const w of warnings) console.log(`⚠️ ${file}: ${w}`);
+  if (errors.length) return false;
+
+  const blocks = map.blocks || planBlocks(map);
+  const source = map.blocks ? "hand-written" : "planned";
+  const summary = blocks.map((b) => `fn${b.fn}@${b.start}+${b.len}`).join(" ");
+  console.log(
+    `✅ ${file}: ${Object.keys(map.points).length} points, ${blocks.length} ${source} blocks (${summary})`,
+  );
+  return true;
+}
+
+const files = process.argv.slice(2);
+const targets = files.length ? files.map((f) => path.resolve(f)) : defaultMapFiles();
+
+let ok = true;
+for (const f of targets) {
+  if (!checkFile(f)) ok = false;
+}
+process.exit(ok ? 0 : 1);
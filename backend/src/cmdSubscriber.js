@@ -1,64 +1,29 @@
-import {
-  planWrite,
-  loadRegisterMap,
-  getBlocks,
-  decodePointsFromBlocks
-} from "./registerMap.js";
-import { readBlocksForDevice, writeRegisters } from "./modbusBlocks.js";
-import { publishTelemetry } from "./mqttPublisher.js";
+import { executeCommand, recordRejection, commandError } from "./commandService.js";
 
 const DEFAULTS = {
-  topicPattern: "symbrosia/+/+/+/cmd", // symbrosia/{site}/{tank}/{device}/cmd
   ackSuffix: "cmd/ack",
-  ttlSec: 30,
-  // simple rate-limit per device:
-  maxOpsPerMinute: 20
+  ttlSec: 30
 };
 
-// in-memory simple leaky bucket per device
-const opBuckets = new Map(); // key=deviceKey, value={tokens, lastRefill}
-
-function tokenBucketAllow(deviceKey, maxPerMin) {
-  const now = Date.now();
-  let b = opBuckets.get(deviceKey);
-  if (!b) {
-    b = { tokens: maxPerMin, lastRefill: now };
-    opBuckets.set(deviceKey, b);
-  }
-  const elapsedMin = (now - b.lastRefill) / 60000;
-  if (elapsedMin >= 1) {
-    const add = Math.floor(elapsedMin * maxPerMin);
-    b.tokens = Math.min(maxPerMin, b.tokens + add);
-    b.lastRefill = now;
-  }
-  if (b.tokens <= 0) return false;
-  b.tokens--;
-  return true;
-}
-
 /**
- * Attach command subscriber.
+ * Attach command subscriber. Commands are executed by commandService, the
+ * same path as POST /api/devices/:tankId/commands; this only handles the
+ * MQTT side (topic parsing, TTL, ACKs).
  * @param {import('mqtt').MqttClient} mqtt
  * @param {{
  *   siteId: string,
- *   tankMap: Record<string,string>, // { tankId: ip }
- *   afterWriteRepublish?: (ctx) => Promise<void>|void,
- *   topicPattern?: string,
+ *   resolveTarget: (ctx: { site: string, tank: string, device: string }) => Promise<object>,
+ *     // → { family, tankId, ip, opts, mapCtx }; throws commandError (e.g. unknown_tank)
+ *   topicPattern?: string, // default symbrosia/{siteId}/+/+/cmd
  *   ackSuffix?: string,
- *   ttlSec?: number,
- *   maxOpsPerMinute?: number,
- *   family?: string, // "ctrl" | "bmm" | "util" | etc
- *   getFamily?: (ctx: { site: string, tank: string, device: string, ip?: string }) => string
+ *   ttlSec?: number
  * }} cfg
  */
 export function attachCmdSubscriber(mqtt, cfg) {
-  const { map } = loadRegisterMap();
-  const blocks = getBlocks({ map });
-
-  const topicPattern = cfg.topicPattern || DEFAULTS.topicPattern;
+  // symbrosia/{site}/{tank}/{device}/cmd
+  const topicPattern = cfg.topicPattern || `symbrosia/${cfg.siteId || "+"}/+/+/cmd`;
   const ackSuffix = cfg.ackSuffix || DEFAULTS.ackSuffix;
   const ttlSec = cfg.ttlSec ?? DEFAULTS.ttlSec;
-  const maxOpsPerMinute = cfg.maxOpsPerMinute ?? DEFAULTS.maxOpsPerMinute;
 
   mqtt.subscribe(topicPattern, { qos: 1 }, (err) => {
     if (err) console.error("CMD subscribe error:", err);
@@ -70,105 +35,48 @@ export function attachCmdSubscriber(mqtt, cfg) {
 
     // symbrosia/{site}/{tank}/{device}/cmd
     const parts = topic.split("/");
-    if (parts.length < 6) return;
+    if (parts.length < 5) return;
     const [_, site, tank, device] = parts;
 
     // Parse command JSON
     let cmd;
     try {
       cmd = JSON.parse(buf.toString());
-    } catch {
+    } catch (e) {
+      recordRejection({ tankId: tank }, { source: "mqtt" }, commandError(400, "bad_json", e.message));
       return publishAck(mqtt, parts, ackSuffix, { error: "bad_json" });
     }
 
     // TTL check
     if (!validTtl(cmd, ttlSec)) {
+      recordRejection({ tankId: tank }, { ...cmd, source: "mqtt" }, commandError(410, "expired", `older than ${ttlSec}s`));
       return publishAck(mqtt, parts, ackSuffix, {
         tx_id: cmd?.tx_id,
         error: "expired"
       });
     }
 
-    // Rate limit per device
-    const deviceKey = `${site}/${tank}/${device}`;
-    if (!tokenBucketAllow(deviceKey, maxOpsPerMinute)) {
-      return publishAck(mqtt, parts, ackSuffix, {
-        tx_id: cmd?.tx_id,
-        error: "rate_limited"
-      });
-    }
-
-    // Resolve IP
-    const ip = cfg.tankMap?.[tank];
-    if (!ip) {
-      return publishAck(mqtt, parts, ackSuffix, {
-        tx_id: cmd?.tx_id,
-        error: "unknown_tank"
-      });
-    }
-
-    // Execute ops sequentially
-    const results = [];
-    for (const op of cmd.ops || []) {
-      try {
-        const plan = planWrite({ map }, op.point, op.value, {
-          allowClamp: true
-        });
-        // words (array of Buffers) → array of u16 values for FC16
-        const wordU16 = [];
-        for (const w of plan.words) wordU16.push(w.readUInt16BE(0));
-        await writeRegisters(ip, plan.fc, plan.start, wordU16);
-        results.push({
-          point: op.point,
-          ok: true,
-          reason: plan.reason,
-          value_applied: plan.value
-        });
-      } catch (e) {
-        results.push({ point: op.point, ok: false, error: e.message });
-      }
-    }
-
-    // Publish ACK
-    await publishAck(mqtt, parts, ackSuffix, {
+    const request = {
       tx_id: cmd.tx_id,
-      ts_utc: new Date().toISOString(),
+      ops: cmd.ops,
       requested_by: cmd.requested_by,
-      results
-    });
-
-    // Determine family for logging/publishing
-    const family =
-      (typeof cfg.getFamily === "function"
-        ? cfg.getFamily({ site, tank, device, ip })
-        : cfg.family) || "unknown";
-
-    // Optional: re-read & republish telemetry so UIs reflect confirmed state
+      source: "mqtt"
+    };
+    let target = null;
+    let ack;
     try {
-      if (typeof cfg.afterWriteRepublish === "function") {
-        await cfg.afterWriteRepublish({ ip, site, tank, device, family });
-      } else {
-        const blkBufs = await readBlocksForDevice(ip, blocks);
-        const values = decodePointsFromBlocks({ map }, blkBufs);
-
-        const payload = {
-          ts_utc: new Date().toISOString(),
-          schema_ver: map.schema_ver || 1,
-          site_id: site,
-          tank_id: tank,
-          device_id: device,
-          family, // helpful for downstream + debugging
-          fw: "gw-1.0.0",
-          s: values,
-          qc: { status: "ok" }
-        };
-
-        // IMPORTANT: publishTelemetry(client, payload, family)
-        publishTelemetry(mqtt, payload, family);
-      }
+      target = await cfg.resolveTarget({ site, tank, device });
+      ack = await executeCommand(target, request);
     } catch (e) {
-      console.warn(`Post-write republish failed for ${deviceKey}:`, e.message);
+      recordRejection({ tankId: tank, family: target?.family }, request, e);
+      return publishAck(mqtt, parts, ackSuffix, {
+        tx_id: cmd?.tx_id,
+        error: e.code || "error",
+        message: e.message
+      });
     }
+
+    publishAck(mqtt, parts, ackSuffix, ack);
   });
 }
 
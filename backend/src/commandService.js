@@ -0,0 +1,431 @@
+// backend/src/commandService.js
+// The one write path for operator commands, however they arrive
+// (POST /api/devices/:tankId/commands or the MQTT cmd topic). Ops are planned
+// against the device's own register map (planWrite) and written in order;
+// a failing op doesn't stop the ones after it.
+//
+// Every write is read back and decoded with the same point definition:
+// controllers sometimes accept a write and then clamp or ignore it. An op
+// only counts as ok when the value read back matches what was written.
+//
+// Every op, and every command refused as a whole, is written to the audit
+// log (auditService) with the value the point held before.
+//
+// A value within the point's deadband of what the device holds (per device,
+// see deadbandService) is not written unless the op sets force: true.
+//
+// planCommand is the dry run: current values and what planWrite would do,
+// nothing written (bulk commands preview with it).
+//
+// Raw register writes from the Diagnostics page (executeRawWrite) bypass the
+// register map but not the identity check, the rate limit or the audit log.
+
+import { randomUUID } from "crypto";
+import { planWrite, readBackBlock, decodeRawPoint, verifyReadBack, getBlocks } from "./registerMap.js";
+import { readBlocksForDevice, writeRegisters, PRIORITY } from "./modbusBlocks.js";
+import { isIdentityMismatch } from "./identityService.js";
+import { expeditePoll } from "./pollScheduler.js";
+import { recordCommandAudit } from "./auditService.js";
+import { deadbandReference, noteDeadbandWrite } from "./deadbandService.js";
+import { writeRaw } from "./diagnosticsService.js";
+
+// Commands per device per minute, whichever path they come in on
+const MAX_COMMANDS_PER_MINUTE = Number(process.env.CMD_MAX_PER_MINUTE || 20);
+
+// Command counts by result for /metrics: "ok" / "error" per op, or the
+// reason a whole command was rejected (bad_json, expired, rate_limited, ...)
+const commandStats = {};
+
+// in-memory simple leaky bucket per device
+const buckets = new Map(); // key=`${family}:${tankId}`, value={tokens, lastRefill}
+
+/* ------------------------------------------------------------------ */
+/*                          Errors + counters                          */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Error for a command refused as a whole. `code` is what the MQTT ACK and
+ * the HTTP error body carry; `status` is the HTTP status.
+ */
+export function commandError(status, code, message) {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  return err;
+}
+
+function countCommand(result, n = 1) {
+  commandStats[result] = (commandStats[result] || 0) + n;
+}
+
+/**
+ * Count and audit a command refused as a whole (bad JSON, unknown tank,
+ * rate limited, ...). Call from the catch around resolving the target and
+ * executeCommand.
+ * @param {{ tankId:string|null, family?:string|null }} device  as far as it is known
+ * @param {object|null} cmd  the parsed command, if any
+ * @param {Error} err        a commandError (anything else counts as "error")
+ */
+export function recordRejection({ tankId, family = null }, cmd, err) {
+  const code = err.code || "error";
+  countCommand(code);
+
+  const ops = Array.isArray(cmd?.ops) && cmd.ops.length ? cmd.ops : [{}];
+  const ts = new Date().toISOString();
+  return recordCommandAudit(
+    ops.map((op) => ({
+      ts_utc: ts,
+      tx_id: cmd?.tx_id ?? null,
+      family,
+      tank_id: tankId,
+      point: typeof op?.point === "string" ? op.point : null,
+      value_requested: op?.value ?? null,
+      result: code,
+      error: err.message,
+      requested_by: cmd?.requested_by ?? null,
+      source: cmd?.source ?? null,
+    })),
+  );
+}
+
+export function getCommandStats() {
+  return { ...commandStats };
+}
+
+function allowCommand(key) {
+  const now = Date.now();
+  let b = buckets.get(key);
+  if (!b) {
+    b = { tokens: MAX_COMMANDS_PER_MINUTE, lastRefill: now };
+    buckets.set(key, b);
+  }
+  const elapsedMin = (now - b.lastRefill) / 60000;
+  if (elapsedMin >= 1) {
+    const add = Math.floor(elapsedMin * MAX_COMMANDS_PER_MINUTE);
+    b.tokens = Math.min(MAX_COMMANDS_PER_MINUTE, b.tokens + add);
+    b.lastRefill = now;
+  }
+  if (b.tokens <= 0) return false;
+  b.tokens--;
+  return true;
+}
+
+/* ------------------------------------------------------------------ */
+/*                              Execute                                */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Validate the ops array of a command.
+ * @returns {Array<{ point:string, value:any, force:boolean }>}
+ */
+export function parseOps(ops) {
+  if (!Array.isArray(ops) || ops.length === 0) {
+    throw commandError(400, "bad_request", "ops must be a non-empty array of { point, value }");
+  }
+  return ops.map((op, i) => {
+    if (!op || typeof op.point !== "string" || !op.point) {
+      throw commandError(400, "bad_request", `ops[${i}].point is required`);
+    }
+    if (op.value === undefined) {
+      throw commandError(400, "bad_request", `ops[${i}].value is required`);
+    }
+    return { point: op.point, value: op.value, force: op.force === true };
+  });
+}
+
+/**
+ * Run a command against one device.
+ *
+ * @param {{ family:string, tankId:string, ip:string, opts:object, mapCtx:{map:object}|null }} target
+ *   opts are the device's transport options; mapCtx the register map it is polled with
+ * @param {{ tx_id?:string, ops:Array<{point:string, value:any}>, requested_by?:string,
+ *   source:string }} cmd  source is "http", "mqtt", "schedule" or "bulk" (for the log and audit)
+ * @returns {Promise<{ tx_id:string, ts_utc:string, family:string, tank_id:string,
+ *   requested_by:string|null, results:object[] }>}
+ * @throws commandError when the command is refused as a whole
+ */
+export async function executeCommand(target, cmd) {
+  const { family, tankId, ip } = target;
+  const ops = parseOps(cmd.ops);
+
+  if (!target.mapCtx?.map) {
+    throw commandError(409, "no_register_map", `No register map for ${family}:${tankId}`);
+  }
+  if (!allowCommand(`${family}:${tankId}`)) {
+    throw commandError(429, "rate_limited", `Too many commands for ${family}:${tankId}, try again in a minute`);
+  }
+  // Never write to a device that isn't the one pinned for this tank
+  if (isIdentityMismatch(family, tankId)) {
+    throw commandError(409, "identity_mismatch", `A different device is answering for ${tankId}`);
+  }
+
+  const txId = cmd.tx_id || randomUUID();
+  const results = [];
+  for (const op of ops) {
+    const result = await executeOp(target, op);
+    countCommand(result.ok ? "ok" : result.code);
+    results.push(result);
+  }
+
+  const ts = new Date().toISOString();
+  await recordCommandAudit(
+    results.map((r, i) => ({
+      ts_utc: ts,
+      tx_id: txId,
+      family,
+      tank_id: tankId,
+      point: r.point,
+      value_requested: ops[i].value,
+      value_applied: r.value_applied ?? null,
+      value_previous: r.value_previous ?? null,
+      value_readback: r.value_readback ?? null,
+      reason: r.reason ?? null,
+      result: r.ok ? "ok" : r.code,
+      verified: r.verified ?? null,
+      error: r.error ?? null,
+      requested_by: cmd.requested_by ?? null,
+      source: cmd.source,
+    })),
+  );
+
+  const summary = results.map(describeResult).join(" ");
+  console.log(`🎛️ Command ${family}:${tankId} via ${cmd.source}${cmd.requested_by ? ` by ${cmd.requested_by}` : ""}: ${summary}`);
+
+  // Refresh the live snapshot quickly on the regular poll path
+  if (results.some((r) => r.verified !== undefined)) expeditePoll(tankId);
+
+  return {
+    tx_id: txId,
+    ts_utc: ts,
+    family,
+    tank_id: tankId,
+    requested_by: cmd.requested_by ?? null,
+    results,
+  };
+}
+
+/**
+ * Raw register/coil write (Diagnostics page), guarded and audited like a
+ * command: refused while another device answers for the tank or the tank is
+ * over its rate limit, and one audit row with fn/start/values either way.
+ *
+ * @param {{ family:string, tankId:string, ip:string, opts:object }} target
+ * @param {{ fn:number, start:number, values:Array<number|boolean>, unitId?:number }} write
+ *   from parseWriteRequest
+ * @param {{ requested_by?:string, source:string }} cmd
+ * @returns {Promise<{ tx_id:string, ts_utc:string }>}
+ * @throws commandError (rate_limited, identity_mismatch, write_failed)
+ */
+export async function executeRawWrite(target, write, cmd) {
+  const { family, tankId } = target;
+  const txId = randomUUID();
+  let error = null;
+  try {
+    if (!allowCommand(`${family}:${tankId}`)) {
+      throw commandError(429, "rate_limited", `Too many commands for ${family}:${tankId}, try again in a minute`);
+    }
+    if (isIdentityMismatch(family, tankId)) {
+      throw commandError(409, "identity_mismatch", `A different device is answering for ${tankId}`);
+    }
+    try {
+      await writeRaw(target, write);
+    } catch (e) {
+      throw commandError(502, "write_failed", e.message);
+    }
+  } catch (e) {
+    error = e;
+  }
+
+  const ts = new Date().toISOString();
+  const result = error ? error.code : "ok";
+  countCommand(result);
+  await recordCommandAudit([
+    {
+      ts_utc: ts,
+      tx_id: txId,
+      family,
+      tank_id: tankId,
+      point: null,
+      fn: write.fn,
+      start: write.start,
+      ...(write.unitId !== undefined ? { unit_id: write.unitId } : {}),
+      value_requested: write.values,
+      value_applied: error ? null : write.values,
+      result,
+      error: error ? error.message : null,
+      requested_by: cmd.requested_by ?? null,
+      source: cmd.source,
+    },
+  ]);
+
+  console.log(
+    `🛠️ Raw write ${family}:${tankId} @ ${target.ip} via ${cmd.source}${cmd.requested_by ? ` by ${cmd.requested_by}` : ""}: ` +
+      `fn=${write.fn} start=${write.start} values=${JSON.stringify(write.values)} ${error ? `✗ ${error.message}` : "✓"}`,
+  );
+  if (error) throw error;
+
+  expeditePoll(tankId);
+  return { tx_id: txId, ts_utc: ts };
+}
+
+/**
+ * Dry run of a command against one device: each op's current value (read
+ * from the device now) and the value planWrite would write, clamped or
+ * skipped as executeCommand would. A device that doesn't answer comes back
+ * with online: false. When every op is refused the device is still probed
+ * (its first register block is read); online is null only if the map has
+ * no blocks to read.
+ *
+ * @param {{ family:string, tankId:string, ip:string, opts:object, mapCtx:{map:object}|null }} target
+ * @param {Array<{point:string, value:any, force?:boolean}>} rawOps
+ * @returns {Promise<{ family:string, tank_id:string, online:boolean|null, identity_mismatch:boolean,
+ *   error:string|null, ops:Array<{ point:string, value_requested:any, value_current:any,
+ *   value_planned:any, reason:string|null, code?:string, error?:string }> }>}
+ * @throws commandError when the ops are malformed or there is no register map
+ */
+export async function planCommand(target, rawOps) {
+  const { family, tankId } = target;
+  const ops = parseOps(rawOps);
+  if (!target.mapCtx?.map) {
+    throw commandError(409, "no_register_map", `No register map for ${family}:${tankId}`);
+  }
+  const io = { ...target.opts, priority: PRIORITY.command };
+  const deviceKey = `${family}:${tankId}`;
+
+  let offline = null; // first read error; no point reading the rest
+  let answered = false;
+  const planned = [];
+  for (const op of ops) {
+    const row = { point: op.point, value_requested: op.value, value_current: null, value_planned: null, reason: null };
+    try {
+      const plan = planWrite(target.mapCtx, op.point, op.value, {
+        allowClamp: true,
+        lastValue: deadbandReference(deviceKey, op.point),
+        force: op.force,
+      });
+      row.value_planned = plan.reason === "deadband_skip" ? null : plan.value;
+      row.reason = plan.reason;
+    } catch (e) {
+      planned.push({ ...row, code: "invalid_op", error: e.message });
+      continue;
+    }
+
+    if (!offline) {
+      try {
+        row.value_current = await readCurrent(target, op.point, io);
+        answered = true;
+      } catch (e) {
+        offline = e;
+      }
+    }
+    planned.push(row);
+  }
+
+  // nothing was read because every op was refused: does the device answer at all?
+  const probe = getBlocks(target.mapCtx)[0];
+  if (!answered && !offline && probe) {
+    try {
+      await readBlocksForDevice(target.ip, [probe], io);
+      answered = true;
+    } catch (e) {
+      offline = e;
+    }
+  }
+
+  return {
+    family,
+    tank_id: tankId,
+    online: offline ? false : answered ? true : null,
+    identity_mismatch: isIdentityMismatch(family, tankId),
+    error: offline ? offline.message : null,
+    ops: planned,
+  };
+}
+
+async function readCurrent(target, point, io) {
+  const block = readBackBlock(target.mapCtx, point);
+  const bufs = await readBlocksForDevice(target.ip, [block], io);
+  return decodeRawPoint(target.mapCtx, point, bufs[block.name]) ?? null;
+}
+
+/**
+ * Plan, write and read back one op. Ops within the deadband come back ok
+ * with reason "deadband_skip" and nothing written. Failed ops carry a code:
+ *   invalid_op         planWrite refused it (read-only, unknown point, bad value)
+ *   write_failed       the device didn't take the write
+ *   readback_failed    written, but the registers couldn't be read back
+ *   readback_mismatch  written, but the device holds a different value
+ */
+async function executeOp(target, op) {
+  const io = { ...target.opts, priority: PRIORITY.command };
+  const deviceKey = `${target.family}:${target.tankId}`;
+  const reference = deadbandReference(deviceKey, op.point);
+
+  let plan;
+  try {
+    plan = planWrite(target.mapCtx, op.point, op.value, {
+      allowClamp: true,
+      lastValue: reference,
+      force: op.force,
+    });
+  } catch (e) {
+    return { point: op.point, ok: false, code: "invalid_op", error: e.message };
+  }
+
+  if (plan.reason === "deadband_skip") {
+    return { point: op.point, ok: true, reason: plan.reason, value_applied: null, value_previous: reference };
+  }
+
+  // Value before the write, for the audit log; a failed read doesn't block the write
+  const block = readBackBlock(target.mapCtx, op.point);
+  let previous = null;
+  try {
+    previous = await readCurrent(target, op.point, io);
+  } catch {}
+
+  try {
+    // words (array of Buffers) → array of u16 values for FC6/FC16;
+    // coil plans (FC5/FC15) already carry booleans
+    const regs = plan.coils || plan.words.map((w) => w.readUInt16BE(0));
+    await writeRegisters(target.ip, plan.fc, plan.start, regs, io);
+  } catch (e) {
+    return { point: op.point, ok: false, code: "write_failed", error: e.message, value_previous: previous };
+  }
+
+  const applied = { point: op.point, reason: plan.reason, value_applied: plan.value, value_previous: previous };
+  let check;
+  try {
+    const bufs = await readBlocksForDevice(target.ip, [block], io);
+    check = verifyReadBack(target.mapCtx, op.point, plan, bufs[block.name]);
+  } catch (e) {
+    return {
+      ...applied,
+      ok: false,
+      verified: false,
+      value_readback: null,
+      code: "readback_failed",
+      error: `Written, but read-back failed: ${e.message}`,
+    };
+  }
+
+  if (!check.verified) {
+    return {
+      ...applied,
+      ok: false,
+      verified: false,
+      value_readback: check.value,
+      code: "readback_mismatch",
+      error: `Device holds ${JSON.stringify(check.value)} after writing ${JSON.stringify(check.expected)}`,
+    };
+  }
+  noteDeadbandWrite(deviceKey, op.point, check.value);
+  return { ...applied, ok: true, verified: true, value_readback: check.value };
+}
+
+function describeResult(r) {
+  if (r.reason === "deadband_skip") return `${r.point} skipped (deadband, device at ${r.value_previous})`;
+  if (r.value_applied === undefined) return `${r.point}=✗ ${r.error}`;
+  const reason = r.reason !== "ok" ? ` (${r.reason})` : "";
+  const check = r.verified ? "✓" : `✗ ${r.code} readback=${JSON.stringify(r.value_readback)}`;
+  return `${r.point}=${JSON.stringify(r.value_applied)}${reason} ${check}`;
+}
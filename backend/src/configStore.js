@@ -0,0 +1,137 @@
+// backend/src/configStore.js
+// Validated, last-good reads of the JSON files in backend/config plus a
+// directory watcher so edits are picked up within seconds.
+//
+// readConfigJson() re-parses a file only when its mtime/size changed. A file
+// that fails to parse or validate keeps serving the last good value and the
+// error is kept for GET /api/config-status; a missing file is "not
+// configured" (undefined), not an error.
+
+import fs from "fs";
+import path from "path";
+
+// file basename → { path, value, has_value, stamp, loaded_at, error, error_at }
+const entries = new Map();
+
+const WATCH_DEBOUNCE_MS = 300;
+
+/* ------------------------------------------------------------------ */
+/*                               Reads                                 */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Read and validate a JSON config file.
+ * @param {string} filePath  absolute path
+ * @param {object} [opts]
+ * @param {(json:any) => any} [opts.validate]  throws on bad content; may return a normalized value
+ * @returns {any} the current (or last good) value; undefined if the file doesn't exist
+ * @throws if the file is invalid and no good version was ever loaded
+ */
+export function readConfigJson(filePath, { validate } = {}) {
+  const file = path.basename(filePath);
+  let entry = entries.get(file);
+
+  let stat;
+  try {
+    stat = fs.statSync(filePath);
+  } catch {
+    // deleted (or never created): not an error, the caller's default applies
+    entries.delete(file);
+    return undefined;
+  }
+
+  const stamp = `${stat.mtimeMs}:${stat.size}`;
+  if (entry && entry.stamp === stamp) {
+    if (entry.has_value) return entry.value;
+    throw new Error(entry.error);
+  }
+
+  if (!entry) {
+    entry = { path: filePath, value: undefined, has_value: false, loaded_at: null, error: null, error_at: null };
+    entries.set(file, entry);
+  }
+  entry.stamp = stamp;
+
+  try {
+    const json = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    const value = validate ? validate(json) : json;
+    entry.value = value === undefined ? json : value;
+    entry.has_value = true;
+    entry.loaded_at = new Date().toISOString();
+    if (entry.error) console.log(`✅ ${file} is valid again`);
+    entry.error = null;
+    entry.error_at = null;
+    return entry.value;
+  } catch (e) {
+    entry.error = e.message;
+    entry.error_at = new Date().toISOString();
+    if (entry.has_value) {
+      console.error(`❌ ${file}: ${e.message} (keeping last good version)`);
+      return entry.value;
+    }
+    console.error(`❌ ${file}: ${e.message}`);
+    throw new Error(`${file}: ${e.message}`);
+  }
+}
+
+/**
+ * Load state of every config file read so far.
+ * @returns {{ ok:boolean, files:Array<{ file:string, ok:boolean, loaded_at:string|null,
+ *   using_last_good:boolean, error:string|null, error_at:string|null }> }}
+ */
+export function getConfigStatus() {
+  const files = [...entries.entries()]
+    .map(([file, e]) => ({
+      file,
+      ok: !e.error,
+      loaded_at: e.loaded_at,
+      using_last_good: !!e.error && e.has_value,
+      error: e.error,
+      error_at: e.error_at,
+    }))
+    .sort((a, b) => a.file.localeCompare(b.file));
+  return { ok: files.every((f) => f.ok), files };
+}
+
+/* ------------------------------------------------------------------ */
+/*                              Watching                               */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Watch a config directory and call onChange(filename) once per burst of
+ * edits to a .json file (editors and write-then-rename produce several events).
+ * @returns {() => void} stop watching
+ */
+export function watchConfigDir(dir, onChange, { debounceMs = WATCH_DEBOUNCE_MS } = {}) {
+  const timers = new Map();
+  let watcher;
+
+  try {
+    watcher = fs.watch(dir, (eventType, filename) => {
+      if (!filename || !filename.endsWith(".json")) return;
+      clearTimeout(timers.get(filename));
+      timers.set(
+        filename,
+        setTimeout(() => {
+          timers.delete(filename);
+          try {
+            onChange(filename);
+          } catch (e) {
+            console.error(`Config change handler error (${filename}):`, e.message);
+          }
+        }, debounceMs),
+      );
+    });
+  } catch (e) {
+    console.error(`⚠️ Cannot watch ${dir}: ${e.message}`);
+    return () => {};
+  }
+
+  watcher.on("error", (e) => console.error(`⚠️ Config watcher error: ${e.message}`));
+
+  return () => {
+    for (const t of timers.values()) clearTimeout(t);
+    timers.clear();
+    watcher.close();
+  };
+}
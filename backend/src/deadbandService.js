@@ -0,0 +1,117 @@
+// backend/src/deadbandService.js
+// Reference values for write deadbands, per device and point. A write
+// closer than the point's "deadband" to the value the device already holds
+// is skipped. The reference is the last polled value (updated again after a
+// verified write), so it follows changes made at the controller itself.
+//
+// Values are raw (scale/offset undone), the units planWrite works in.
+// Persisted to data/deadband-state.json so a restart doesn't forget them.
+
+import path from "path";
+import { fileURLToPath } from "url";
+import fs from "fs";
+import { promises as fsp } from "fs";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const STATE_PATH = path.join(__dirname, "..", "data", "deadband-state.json");
+const SAVE_DELAY_MS = 10_000;
+
+// key: `${family}:${tankId}` -> { [point]: { value, at, source: "poll"|"write" } }
+const state = loadFromDisk();
+
+let saveTimer = null;
+
+/* ------------------------------------------------------------------ */
+/*                           Public helpers                            */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Take the reference values for a device's deadband points from a poll.
+ * @param {string} deviceKey  `${family}:${tankId}`
+ * @param {{ map: object }} mapCtx  the map the values were decoded with
+ * @param {object} values  decoded points (scaled)
+ */
+export function noteDeadbandPoll(deviceKey, mapCtx, values) {
+  for (const [point, def] of Object.entries(mapCtx?.map?.points || {})) {
+    if (typeof def.deadband !== "number") continue;
+    const v = values?.[point];
+    if (typeof v !== "number" || !Number.isFinite(v)) continue;
+    setReference(deviceKey, point, unscale(def, v), "poll");
+  }
+}
+
+/**
+ * Take the reference value from a verified write (raw value read back).
+ */
+export function noteDeadbandWrite(deviceKey, point, rawValue) {
+  if (typeof rawValue !== "number" || !Number.isFinite(rawValue)) return;
+  setReference(deviceKey, point, rawValue, "write");
+}
+
+/**
+ * Raw value a write of this point is compared with, if known.
+ * @returns {number|undefined}
+ */
+export function deadbandReference(deviceKey, point) {
+  return state[deviceKey]?.[point]?.value;
+}
+
+/** Write pending changes now (on shutdown). */
+export async function flushDeadbandState() {
+  if (!saveTimer) return;
+  clearTimeout(saveTimer);
+  saveTimer = null;
+  await persist();
+}
+
+/* ------------------------------------------------------------------ */
+/*                        Internal helpers                             */
+/* ------------------------------------------------------------------ */
+
+function unscale(def, v) {
+  let raw = v;
+  if (typeof def.offset === "number") raw -= def.offset;
+  if (typeof def.scale === "number" && def.scale !== 0) raw /= def.scale;
+  return raw;
+}
+
+function setReference(deviceKey, point, value, source) {
+  const points = state[deviceKey] || (state[deviceKey] = {});
+  if (points[point]?.value === value) return;
+  points[point] = { value, at: new Date().toISOString(), source };
+  scheduleSave();
+}
+
+// polls come in steadily; batch the writes
+function scheduleSave() {
+  if (saveTimer) return;
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    persist();
+  }, SAVE_DELAY_MS);
+  saveTimer.unref?.();
+}
+
+function loadFromDisk() {
+  try {
+    if (!fs.existsSync(STATE_PATH)) return {};
+    const parsed = JSON.parse(fs.readFileSync(STATE_PATH, "utf8"));
+    return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : {};
+  } catch (err) {
+    console.error("Failed to load deadband state, starting empty:", err.message);
+    return {};
+  }
+}
+
+async function persist() {
+  const tmp = `${STATE_PATH}.tmp`;
+  try {
+    await fsp.mkdir(path.dirname(STATE_PATH), { recursive: true });
+    await fsp.writeFile(tmp, JSON.stringify(state, null, 2), "utf8");
+    await fsp.rename(tmp, STATE_PATH);
+  } catch (err) {
+    console.error("Failed to persist deadband state:", err.message);
+  }
+}
@@ -0,0 +1,258 @@
+// backend/src/deviceConfig.js
+// Device config files per family (tankConfig.json, utilityConfig.json,
+// bmmConfig.json, ... as declared in families.json): read/write and
+// validated create/update/delete helpers shared by the poller, discovery
+// and the /api/devices endpoints.
+
+import fs from "fs";
+import { promises as fsp } from "fs";
+import path from "path";
+import { familySpec, getFamilySpecs } from "./familyRegistry.js";
+
+// Which file belongs to which family comes from the family registry
+export { resolveFamily, familySpec } from "./familyRegistry.js";
+
+/**
+ * Read one family config file. Missing file → {}.
+ * @returns {Record<string, string|object>}
+ */
+export function readFamilyConfig(configDir, family) {
+  const spec = familySpec(family);
+  if (!spec) throw new Error(`Unknown family ${family}`);
+  const p = path.join(configDir, spec.configFile);
+  if (!fs.existsSync(p)) return {};
+  const parsed = JSON.parse(fs.readFileSync(p, "utf8"));
+  return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : {};
+}
+
+export async function writeFamilyConfig(configDir, family, entries) {
+  const spec = familySpec(family);
+  if (!spec) throw new Error(`Unknown family ${family}`);
+  const p = path.join(configDir, spec.configFile);
+  // write-then-rename so the poller never reads a half-written file
+  const tmp = `${p}.tmp`;
+  await fsp.writeFile(tmp, JSON.stringify(entries, null, 2) + "\n", "utf8");
+  await fsp.rename(tmp, p);
+}
+
+/**
+ * Every configured device across all families, normalized.
+ * Entries are either "ip" or { ip, port, unitId, ... }; serial ("rtu")
+ * entries have a port path instead of ip and port.
+ * @returns {Array<{ family:string, tankId:string, transport:string, ip:string|null, path:string|null,
+ *   port:number|null, unitId:number, notes:string, entry:string|object }>}
+ */
+export function listConfiguredDevices(configDir) {
+  const out = [];
+  for (const spec of getFamilySpecs()) {
+    let entries;
+    try {
+      entries = readFamilyConfig(configDir, spec.family);
+    } catch (e) {
+      console.error(`${spec.configFile} load error:`, e.message);
+      continue;
+    }
+    for (const [tankId, entry] of Object.entries(entries)) {
+      const obj = typeof entry === "string" ? { ip: entry } : entry || {};
+      const serial = obj.transport === "rtu";
+      out.push({
+        family: spec.family,
+        tankId,
+        transport: obj.transport || "tcp",
+        ip: serial ? null : obj.ip || null,
+        path: serial ? obj.path || obj.ip || null : null,
+        port: serial ? null : obj.port ?? 502,
+        unitId: obj.unitId ?? 1,
+        notes: obj.notes || "",
+        entry,
+      });
+    }
+  }
+  return out;
+}
+
+/**
+ * Validate the content of a family config file for the poller.
+ * @throws {Error} naming the first bad entry
+ */
+export function validateDeviceList(json) {
+  if (!json || typeof json !== "object" || Array.isArray(json)) {
+    throw new Error('expected { "<tankId>": "<ip>" | { "ip": ..., ... } }');
+  }
+  for (const [tankId, entry] of Object.entries(json)) {
+    if (typeof entry === "string" && entry.trim()) continue;
+    if (entry && typeof entry === "object" && (typeof entry.ip === "string" || typeof entry.path === "string")) {
+      continue;
+    }
+    throw new Error(`${tankId}: expected an IP string or an object with "ip" (or serial "path")`);
+  }
+  return json;
+}
+
+/* ------------------------------------------------------------------ */
+/*                    Create / update / delete devices                 */
+/* ------------------------------------------------------------------ */
+
+const TANK_ID_RE = /^[A-Za-z0-9_-]{1,32}$/;
+const TRANSPORTS = ["tcp", "rtu", "rtu-tcp"];
+// /dev/ttyUSB0, /dev/serial/by-id/..., COM3
+const SERIAL_PATH_RE = /^(\/dev\/[\w./:+-]+|COM\d{1,3})$/;
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * Validate and normalize API input. Throws (status 400) on bad values.
+ * Network transports ("tcp", "rtu-tcp") need an IPv4 address and port;
+ * serial ("rtu") needs the port path instead.
+ * @returns {{ family:string, tankId:string, transport:string, ip:string|null, path:string|null,
+ *   port:number|null, unitId:number, notes:string }}
+ */
+export function normalizeDeviceInput(input = {}) {
+  const family = String(input.family || "");
+  if (!familySpec(family)) throw httpError(400, `family must be one of ${getFamilySpecs().map((s) => s.family).join(", ")}`);
+
+  const tankId = String(input.tankId || "").trim();
+  if (!TANK_ID_RE.test(tankId)) throw httpError(400, "tankId must be 1-32 letters, digits, '-' or '_'");
+
+  const transport = input.transport === undefined || input.transport === "" ? "tcp" : String(input.transport);
+  if (!TRANSPORTS.includes(transport)) throw httpError(400, `transport must be one of ${TRANSPORTS.join(", ")}`);
+
+  let ip = null;
+  let serialPath = null;
+  let port = null;
+  if (transport === "rtu") {
+    serialPath = String(input.path || "").trim();
+    if (!SERIAL_PATH_RE.test(serialPath)) throw httpError(400, "path must be a serial port such as /dev/ttyUSB0");
+  } else {
+    ip = String(input.ip || "").trim();
+    if (!isIPv4(ip)) throw httpError(400, "ip must be an IPv4 address");
+
+    port = input.port === undefined || input.port === "" || input.port === null ? 502 : Number(input.port);
+    if (!Number.isInteger(port) || port < 1 || port > 65535) throw httpError(400, "port must be 1-65535");
+  }
+
+  const unitId = input.unitId === undefined || input.unitId === "" ? 1 : Number(input.unitId);
+  if (!Number.isInteger(unitId) || unitId < 0 || unitId > 255) throw httpError(400, "unitId must be 0-255");
+
+  const notes = input.notes === undefined || input.notes === null ? "" : String(input.notes).trim();
+  if (notes.length > 500) throw httpError(400, "notes must be at most 500 characters");
+
+  return { family, tankId, transport, ip, path: serialPath, port, unitId, notes };
+}
+
+function isIPv4(ip) {
+  const parts = ip.split(".");
+  return parts.length === 4 && parts.every((p) => /^\d{1,3}$/.test(p) && Number(p) <= 255);
+}
+
+// Short "ip" form when nothing differs from the defaults; otherwise an
+// object that keeps any extra keys (map, pollMs, baudRate, ...) from before
+function toEntry({ transport, ip, path: serialPath, port, unitId, notes }, previous) {
+  const extra = previous && typeof previous === "object" ? { ...previous } : {};
+  for (const key of ["transport", "ip", "path", "port", "unitId", "notes"]) delete extra[key];
+
+  if (transport === "tcp" && port === 502 && unitId === 1 && !notes && !Object.keys(extra).length) return ip;
+
+  const entry = { ...extra };
+  if (transport !== "tcp") entry.transport = transport;
+  if (transport === "rtu") entry.path = serialPath;
+  else entry.ip = ip;
+  if (transport !== "rtu" && port !== 502) entry.port = port;
+  if (unitId !== 1) entry.unitId = unitId;
+  if (notes) entry.notes = notes;
+  return entry;
+}
+
+// Where a device answers: the serial port, or ip:port for TCP and the
+// Ethernet bridges (one bridge can't also be a Modbus TCP device)
+function addressOf(d) {
+  return d.transport === "rtu" ? d.path : `${d.ip}:${d.port}`;
+}
+
+function assertNoDuplicate(all, dev, except) {
+  const clash = all.find(
+    (d) =>
+      !(except && d.family === except.family && d.tankId === except.tankId) &&
+      addressOf(d) === addressOf(dev) &&
+      Number(d.unitId) === dev.unitId,
+  );
+  if (clash) {
+    throw httpError(409, `${addressOf(dev)} unit ${dev.unitId} is already used by ${clash.family}:${clash.tankId}`);
+  }
+  const sameId = all.find(
+    (d) =>
+      !(except && d.family === except.family && d.tankId === except.tankId) &&
+      d.family === dev.family &&
+      d.tankId === dev.tankId,
+  );
+  if (sameId) throw httpError(409, `${dev.family}:${dev.tankId} already exists`);
+}
+
+/**
+ * Add a device to its family config file.
+ * @returns {Promise<object>} the normalized device
+ */
+export async function createDevice(configDir, input) {
+  const dev = normalizeDeviceInput(input);
+  assertNoDuplicate(listConfiguredDevices(configDir), dev);
+
+  const entries = readFamilyConfig(configDir, dev.family);
+  entries[dev.tankId] = toEntry(dev);
+  await writeFamilyConfig(configDir, dev.family, entries);
+  return dev;
+}
+
+/**
+ * Update (and possibly rename or move to another family) an existing device.
+ * Fields missing from input keep their current values.
+ */
+export async function updateDevice(configDir, family, tankId, input) {
+  const all = listConfiguredDevices(configDir);
+  const current = all.find((d) => d.family === family && d.tankId === tankId);
+  if (!current) throw httpError(404, `${family}:${tankId} not found`);
+
+  const currentNotes = typeof current.entry === "object" ? current.entry.notes : "";
+  const dev = normalizeDeviceInput({
+    family,
+    tankId,
+    transport: current.transport,
+    ip: current.ip,
+    path: current.path,
+    port: current.port,
+    unitId: current.unitId,
+    notes: currentNotes,
+    ...input,
+  });
+  assertNoDuplicate(all, dev, current);
+
+  const entry = toEntry(dev, current.entry);
+
+  if (dev.family === family) {
+    const entries = readFamilyConfig(configDir, family);
+    delete entries[tankId];
+    entries[dev.tankId] = entry;
+    await writeFamilyConfig(configDir, family, entries);
+  } else {
+    const target = readFamilyConfig(configDir, dev.family);
+    target[dev.tankId] = entry;
+    await writeFamilyConfig(configDir, dev.family, target);
+    const source = readFamilyConfig(configDir, family);
+    delete source[tankId];
+    await writeFamilyConfig(configDir, family, source);
+  }
+  return dev;
+}
+
+export async function deleteDevice(configDir, family, tankId) {
+  if (!familySpec(family)) throw httpError(404, `Unknown family ${family}`);
+  const entries = readFamilyConfig(configDir, family);
+  if (!Object.prototype.hasOwnProperty.call(entries, tankId)) {
+    throw httpError(404, `${family}:${tankId} not found`);
+  }
+  delete entries[tankId];
+  await writeFamilyConfig(configDir, family, entries);
+}
@@ -0,0 +1,200 @@
+// backend/src/diagnosticsService.js
+// Modbus register inspector for the Diagnostics page: read any function
+// code / address range from a configured device and show the raw words,
+// every type/word-order decode, and the register map points that cover
+// each address. Raw writes are allowed only with an explicit unlock.
+
+import { readBlocksForDevice, writeRegisters, PRIORITY } from "./modbusBlocks.js";
+import { decodeAllTypes, decodePointsFromBlocks } from "./registerMap.js";
+
+// Per-request limits from the Modbus spec
+const MAX_READ = { 1: 2000, 2: 2000, 3: 125, 4: 125 };
+const MAX_WRITE = { 15: 1968, 16: 123 };
+const BIT_TABLES = new Set([1, 2]);
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function intParam(value, name, min, max, fallback) {
+  if (value === undefined || value === null || value === "") {
+    if (fallback !== undefined) return fallback;
+    throw httpError(400, `${name} is required`);
+  }
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < min || n > max) throw httpError(400, `${name} must be ${min}-${max}`);
+  return n;
+}
+
+/* ------------------------------------------------------------------ */
+/*                               Reads                                 */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Validate inspector query parameters. Throws (status 400) on bad values.
+ * @returns {{ fn:number, start:number, count:number, unitId?:number }}
+ */
+export function parseInspectRequest(params) {
+  const fn = intParam(params.fn, "fn", 1, 4, 3);
+  const start = intParam(params.start, "start", 0, 65535);
+  const count = intParam(params.count, "count", 1, MAX_READ[fn], 10);
+  if (start + count > 65536) throw httpError(400, "start + count must not pass address 65535");
+  const unitId = intParam(params.unitId, "unitId", 0, 255, null);
+  return { fn, start, count, ...(unitId === null ? {} : { unitId }) };
+}
+
+/**
+ * Read a raw range and decode it.
+ * @param {{ ip:string, opts:object, mapCtx:{map:object}|null, mapFile:string|null }} target
+ *   opts are the device's transport options (port, unitId, transport, ...)
+ * @param {{ fn:number, start:number, count:number, unitId?:number }} req
+ * @returns {Promise<{ fn:number, start:number, count:number, unit_id:number, map_file:string|null,
+ *   read_at:string, rows:object[], points:object[] }>}
+ */
+export async function inspectRegisters(target, req) {
+  const { fn, start, count } = req;
+  const opts = { ...target.opts, ...(req.unitId !== undefined ? { unitId: req.unitId } : {}) };
+  const block = { name: "diag", fn, start, len: count };
+
+  const bufs = await readBlocksForDevice(target.ip, [block], {
+    ...opts,
+    maxRetries: 0,
+    priority: PRIORITY.command,
+  });
+  const buf = bufs.diag;
+
+  const points = mapPointsInRange(target.mapCtx, block, buf);
+  const pointAt = new Map();
+  for (const p of points) {
+    for (let a = p.addr; a < p.addr + p.span; a++) {
+      if (!pointAt.has(a)) pointAt.set(a, []);
+      pointAt.get(a).push(p.name);
+    }
+  }
+
+  const rows = [];
+  for (let i = 0; i < count; i++) {
+    const addr = start + i;
+    if (BIT_TABLES.has(fn)) {
+      // packed LSB-first, 8 per byte
+      rows.push({ addr, value: ((buf[i >> 3] >> (i & 7)) & 1) === 1, points: pointAt.get(addr) || [] });
+      continue;
+    }
+    const word = buf.readUInt16BE(i * 2);
+    rows.push({
+      addr,
+      word,
+      hex: `0x${word.toString(16).padStart(4, "0")}`,
+      bin: word.toString(2).padStart(16, "0"),
+      ...decodeAllTypes(buf, i * 2),
+      points: pointAt.get(addr) || [],
+    });
+  }
+
+  return {
+    fn,
+    start,
+    count,
+    unit_id: opts.unitId ?? 1,
+    map_file: target.mapFile,
+    read_at: new Date().toISOString(),
+    rows,
+    points,
+  };
+}
+
+// Register map points (same table) that overlap the range, with their
+// definitions and, when they fit entirely inside it, the decoded value
+function mapPointsInRange(mapCtx, block, buf) {
+  const map = mapCtx?.map;
+  if (!map?.points) return [];
+
+  const end = block.start + block.len - 1;
+  const values = decodePointsFromBlocks({ map: { ...map, blocks: [block] } }, { [block.name]: buf });
+  const out = [];
+
+  for (const [name, def] of Object.entries(map.points)) {
+    if ((def.fn ?? 3) !== block.fn) continue;
+    const span = BIT_TABLES.has(block.fn) ? 1 : spanOf(def);
+    if (def.addr > end || def.addr + span - 1 < block.start) continue;
+    out.push({
+      name,
+      addr: def.addr,
+      span,
+      type: def.type,
+      ro: def.ro === true,
+      units: def.units || null,
+      desc: def.desc || null,
+      scale: def.scale ?? null,
+      byte_order: def.byte_order || map.byte_order || "BE",
+      word_order: def.word_order || map.word_order || "ABCD",
+      value: values[name] ?? null,
+      ...(values[`${name}_label`] !== undefined ? { label: values[`${name}_label`] } : {}),
+    });
+  }
+  return out.sort((a, b) => a.addr - b.addr);
+}
+
+function spanOf(def) {
+  if (def.type === "string") return def.length || 1;
+  const t = def.type === "enum" || def.type === "bitfield" ? def.base || "u16" : def.type;
+  if (["u32", "i32", "float32"].includes(t)) return 2;
+  if (["u64", "i64", "float64"].includes(t)) return 4;
+  return 1;
+}
+
+/* ------------------------------------------------------------------ */
+/*                           Unlocked writes                           */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Validate a raw write request. The caller must echo the tank ID in
+ * "confirm" (the page's unlock step) or the write is refused (403).
+ * @returns {{ fn:number, start:number, values:Array<number|boolean>, unitId?:number }}
+ */
+export function parseWriteRequest(body, tankId) {
+  if (body?.confirm !== tankId) {
+    throw httpError(403, `Writes are locked; send "confirm": "${tankId}" to unlock`);
+  }
+  const fn = intParam(body.fn, "fn", 5, 16);
+  if (![5, 6, 15, 16].includes(fn)) throw httpError(400, "fn must be 5, 6, 15 or 16");
+  const start = intParam(body.start, "start", 0, 65535);
+  const unitId = intParam(body.unitId, "unitId", 0, 255, null);
+
+  const raw = Array.isArray(body.values) ? body.values : [body.values];
+  if (!raw.length || raw[0] === undefined) throw httpError(400, "values is required");
+  if ((fn === 5 || fn === 6) && raw.length !== 1) throw httpError(400, `fn ${fn} writes exactly one value`);
+  if (raw.length > (MAX_WRITE[fn] || 1)) throw httpError(400, `at most ${MAX_WRITE[fn]} values for fn ${fn}`);
+  if (start + raw.length > 65536) throw httpError(400, "start + values must not pass address 65535");
+
+  const values =
+    fn === 5 || fn === 15
+      ? raw.map((v, i) => {
+          if (typeof v === "boolean") return v;
+          if (v === 0 || v === 1) return v === 1;
+          throw httpError(400, `values[${i}] must be true/false or 0/1`);
+        })
+      : raw.map((v, i) => {
+          const n = Number(v);
+          if (!Number.isInteger(n) || n < 0 || n > 65535) throw httpError(400, `values[${i}] must be 0-65535`);
+          return n;
+        });
+
+  return { fn, start, values, ...(unitId === null ? {} : { unitId }) };
+}
+
+/**
+ * Execute a validated raw write.
+ * @param {{ ip:string, opts:object }} target
+ * @param {{ fn:number, start:number, values:Array<number|boolean>, unitId?:number }} req
+ */
+export async function writeRaw(target, req) {
+  const opts = { ...target.opts, ...(req.unitId !== undefined ? { unitId: req.unitId } : {}) };
+  await writeRegisters(target.ip, req.fn, req.start, req.values, {
+    ...opts,
+    maxRetries: 0,
+    priority: PRIORITY.command,
+  });
+}
@@ -0,0 +1,57 @@
+// backend/src/discover.js
+// Scan a subnet for Modbus TCP devices and list the ones not configured yet.
+//
+//   npm run discover                                  # DISCOVERY_SUBNET or 192.168.0.0/24
+//   npm run discover -- 192.168.0.10-60 --units 1,2 --port 502
+
+import path from "path";
+import { fileURLToPath } from "url";
+import { scanForDevices } from "./discoveryService.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const configDir = path.join(__dirname, "..", "config");
+
+function parseArgs(argv) {
+  const out = { subnet: null, unitIds: undefined, port: undefined };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--units") out.unitIds = argv[++i].split(",").map(Number);
+    else if (a === "--port") out.port = Number(argv[++i]);
+    else if (!a.startsWith("--")) out.subnet = a;
+  }
+  return out;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const subnet = args.subnet || process.env.DISCOVERY_SUBNET || "192.168.0.0/24";
+
+  const scan = await scanForDevices(configDir, { ...args, subnet });
+
+  for (const d of scan.devices) {
+    const where = `${d.ip}:${d.port} unit ${d.unitId}`;
+    if (!d.modbus) {
+      console.log(`⚠️ ${where}: port open, no Modbus answer (${d.error})`);
+      continue;
+    }
+    const id = `model=${d.model_number} serial=${d.serial_number} fw=${d.fw_revision}`;
+    const fam = d.family ? `${d.family}${d.candidates.length > 1 ? ` (or ${d.candidates.slice(1).join("/")})` : ""}` : "unknown";
+    if (d.configured) {
+      console.log(`✅ ${where}: ${id} → configured as ${d.configured.family}:${d.configured.tankId}`);
+    } else {
+      console.log(`🆕 ${where}: ${id} → ${fam}, not configured`);
+    }
+  }
+
+  console.log(
+    `\n${scan.hosts_scanned} hosts scanned, ${scan.devices.filter((d) => d.modbus).length} responders, ${scan.unconfigured.length} new`,
+  );
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((e) => {
+    console.error(`❌ Discovery: ${e.message}`);
+    process.exit(1);
+  });
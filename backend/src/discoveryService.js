@@ -0,0 +1,314 @@
+// backend/src/discoveryService.js
+// Scan a subnet for Modbus TCP responders, read their identity points
+// (model_number, serial_number, firmware) through the known register maps
+// and classify each one as ctrl/util/bmm, flagging the ones that aren't in
+// any *Config.json yet.
+//
+// Classification, first hit wins:
+//   1. DISCOVERY_MODELS env, e.g. "2:ctrl,7:bmm"
+//   2. a register map whose "match" rule fits the identity
+//   3. model numbers of devices already configured per family (learned
+//      from the pinned identities, see identityService)
+
+import net from "net";
+import { readBlocksForDevice, PRIORITY } from "./modbusBlocks.js";
+import { planBlocks, decodePointsFromBlocks } from "./registerMap.js";
+import { loadMapCatalog, matchesIdentity } from "./mapSelector.js";
+import { listConfiguredDevices, createDevice } from "./deviceConfig.js";
+import { getDeviceIdentities } from "./identityService.js";
+
+const DEFAULTS = {
+  port: 502,
+  unitIds: [1],
+  concurrency: 32,
+  connectTimeoutMs: 400,
+  requestTimeoutMs: 800,
+  maxHosts: 1024,
+};
+
+const IDENTITY_POINTS = ["model_number", "serial_number", "fw_revision", "firmware_rev"];
+
+// Result of the most recent scan (for GET /api/discovery)
+let lastScan = null;
+// Promise of the scan in progress, so concurrent requests share it
+let scanning = null;
+
+/* ------------------------------------------------------------------ */
+/*                      Main entry: run a scan                         */
+/* ------------------------------------------------------------------ */
+
+/**
+ * @param {string} configDir
+ * @param {object} opts
+ * @param {string} opts.subnet        "192.168.0.0/24", "192.168.0.10-40" or a single IP
+ * @param {number[]} [opts.unitIds]   unit IDs to try on every responding host
+ * @param {number} [opts.port]
+ * @returns {Promise<{ subnet:string, started_at:string, finished_at:string,
+ *   hosts_scanned:number, devices:object[], unconfigured:object[] }>}
+ */
+export function scanForDevices(configDir, opts = {}) {
+  if (scanning) return scanning;
+  scanning = runScan(configDir, opts).finally(() => {
+    scanning = null;
+  });
+  return scanning;
+}
+
+export function getLastScan() {
+  return lastScan;
+}
+
+export function isScanning() {
+  return scanning !== null;
+}
+
+async function runScan(configDir, opts) {
+  const cfg = { ...DEFAULTS, ...dropUndefined(opts) };
+  if (!cfg.subnet) throw new Error("subnet is required");
+
+  const hosts = expandSubnet(cfg.subnet);
+  if (hosts.length > cfg.maxHosts) {
+    throw new Error(`subnet has ${hosts.length} hosts (max ${cfg.maxHosts})`);
+  }
+
+  const started = new Date().toISOString();
+  console.log(`🔎 Discovery: scanning ${hosts.length} hosts on ${cfg.subnet}:${cfg.port}`);
+
+  // 1) cheap TCP connect sweep
+  const open = [];
+  await mapLimit(hosts, cfg.concurrency, async (ip) => {
+    if (await isPortOpen(ip, cfg.port, cfg.connectTimeoutMs)) open.push(ip);
+  });
+  open.sort(compareIps);
+
+  // 2) Modbus identity read on every open host × unit ID
+  const catalog = loadMapCatalog(configDir);
+  const configured = listConfiguredDevices(configDir);
+  const learned = learnedModels(configured);
+  const overrides = parseModelOverrides(process.env.DISCOVERY_MODELS);
+
+  const devices = [];
+  for (const ip of open) {
+    for (const unitId of cfg.unitIds) {
+      const found = await identify(ip, cfg, unitId, catalog);
+      const known = configured.find(
+        (d) => d.ip === ip && Number(d.port) === Number(cfg.port) && Number(d.unitId) === Number(unitId),
+      );
+      const cls = found.modbus ? classify(found.identity, catalog, learned, overrides) : null;
+
+      devices.push({
+        ip,
+        port: cfg.port,
+        unitId,
+        modbus: found.modbus,
+        error: found.error || null,
+        ...(found.identity || {}),
+        family: cls?.family || null,
+        candidates: cls?.candidates || [],
+        classified_by: cls?.by || null,
+        configured: known ? { family: known.family, tankId: known.tankId } : null,
+      });
+    }
+  }
+
+  lastScan = {
+    subnet: cfg.subnet,
+    port: cfg.port,
+    unit_ids: cfg.unitIds,
+    started_at: started,
+    finished_at: new Date().toISOString(),
+    hosts_scanned: hosts.length,
+    devices,
+    unconfigured: devices.filter((d) => d.modbus && !d.configured),
+  };
+
+  console.log(
+    `🔎 Discovery: ${devices.filter((d) => d.modbus).length} responders, ${lastScan.unconfigured.length} not configured`,
+  );
+  return lastScan;
+}
+
+/* ------------------------------------------------------------------ */
+/*                     Adopt a discovered device                       */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Add a discovered device to its family config file under tankId
+ * (same validation and duplicate checks as POST /api/devices).
+ * @returns {Promise<{ family:string, tankId:string, ip:string, port:number, unitId:number }>}
+ */
+export async function adoptDevice(configDir, { family, tankId, ip, port = 502, unitId = 1 }) {
+  const dev = await createDevice(configDir, { family, tankId, ip, port, unitId });
+  console.log(`➕ Adopted ${dev.family}:${dev.tankId} @ ${dev.ip}`);
+  return dev;
+}
+
+/* ------------------------------------------------------------------ */
+/*                        Internal helpers                             */
+/* ------------------------------------------------------------------ */
+
+async function identify(ip, cfg, unitId, catalog) {
+  let lastErr;
+  for (const { mapCtx } of catalog) {
+    const points = {};
+    for (const name of IDENTITY_POINTS) {
+      if (mapCtx.map.points[name]) points[name] = mapCtx.map.points[name];
+    }
+    if (!points.serial_number && !points.model_number) continue;
+
+    const map = { ...mapCtx.map, points };
+    map.blocks = planBlocks(map);
+
+    try {
+      const bufs = await readBlocksForDevice(ip, map.blocks, {
+        port: cfg.port,
+        unitId,
+        maxRetries: 0,
+        connectTimeoutMs: cfg.connectTimeoutMs * 2,
+        requestTimeoutMs: cfg.requestTimeoutMs,
+        priority: PRIORITY.background,
+      });
+      const v = decodePointsFromBlocks({ map }, bufs);
+      return {
+        modbus: true,
+        identity: {
+          model_number: v.model_number ?? null,
+          serial_number: v.serial_number ?? null,
+          fw_revision: v.fw_revision ?? v.firmware_rev ?? null,
+        },
+      };
+    } catch (e) {
+      lastErr = e;
+    }
+  }
+  return { modbus: false, error: lastErr?.message || "no identity points in any map" };
+}
+
+function classify(identity, catalog, learned, overrides) {
+  const model = identity.model_number;
+
+  if (overrides.has(model)) {
+    return { family: overrides.get(model), candidates: [overrides.get(model)], by: "DISCOVERY_MODELS" };
+  }
+
+  const byMatch = catalog.filter((m) => m.match && matchesIdentity(m.match, identity));
+  if (byMatch.length) {
+    const fams = [...new Set(byMatch.flatMap((m) => m.families))];
+    return { family: fams[0] || null, candidates: fams, by: "map_match" };
+  }
+
+  const seen = learned.get(model);
+  if (seen) {
+    // most common family for this model first
+    const fams = [...seen.entries()].sort((a, b) => b[1] - a[1]).map(([f]) => f);
+    return { family: fams[0], candidates: fams, by: "fleet" };
+  }
+
+  return { family: null, candidates: [], by: null };
+}
+
+// model_number → Map<family, count> from pinned identities of configured devices
+function learnedModels(configured) {
+  const identities = getDeviceIdentities();
+  const out = new Map();
+  for (const d of configured) {
+    const model = identities[`${d.family}:${d.tankId}`]?.model_number;
+    if (model === undefined || model === null) continue;
+    if (!out.has(model)) out.set(model, new Map());
+    const counts = out.get(model);
+    counts.set(d.family, (counts.get(d.family) || 0) + 1);
+  }
+  return out;
+}
+
+function parseModelOverrides(raw) {
+  const out = new Map();
+  for (const part of String(raw || "").split(",")) {
+    const [model, family] = part.split(":").map((s) => s.trim());
+    if (model && family && Number.isFinite(Number(model))) out.set(Number(model), family);
+  }
+  return out;
+}
+
+function isPortOpen(ip, port, timeoutMs) {
+  return new Promise((resolve) => {
+    const socket = new net.Socket();
+    const done = (ok) => {
+      socket.destroy();
+      resolve(ok);
+    };
+    socket.setTimeout(timeoutMs, () => done(false));
+    socket.once("error", () => done(false));
+    socket.connect(port, ip, () => done(true));
+  });
+}
+
+/**
+ * Expand "a.b.c.d/nn", "a.b.c.d-e" / "a.b.c.d-a.b.c.e" or a single IP into
+ * host addresses (network and broadcast addresses skipped for /24 and wider).
+ */
+export function expandSubnet(subnet) {
+  const s = String(subnet).trim();
+
+  const cidr = s.match(/^(\d+\.\d+\.\d+\.\d+)\/(\d+)$/);
+  if (cidr) {
+    const bits = Number(cidr[2]);
+    if (bits < 16 || bits > 32) throw new Error("CIDR prefix must be between /16 and /32");
+    const base = ipToInt(cidr[1]) & (bits === 32 ? 0xffffffff : ~(2 ** (32 - bits) - 1));
+    const size = 2 ** (32 - bits);
+    const out = [];
+    for (let i = 0; i < size; i++) {
+      if (size >= 4 && (i === 0 || i === size - 1)) continue;
+      out.push(intToIp((base + i) >>> 0));
+    }
+    return out;
+  }
+
+  const range = s.match(/^(\d+\.\d+\.\d+\.\d+)-(\d+(?:\.\d+\.\d+\.\d+)?)$/);
+  if (range) {
+    const from = ipToInt(range[1]);
+    const to = range[2].includes(".")
+      ? ipToInt(range[2])
+      : ((from & 0xffffff00) | Number(range[2])) >>> 0;
+    if (to < from) throw new Error("range end is before its start");
+    const out = [];
+    for (let v = from; v <= to; v++) out.push(intToIp(v));
+    return out;
+  }
+
+  if (net.isIP(s) === 4) return [s];
+  throw new Error(`Unrecognized subnet "${subnet}"`);
+}
+
+function ipToInt(ip) {
+  const parts = ip.split(".").map(Number);
+  if (parts.length !== 4 || parts.some((p) => !Number.isInteger(p) || p < 0 || p > 255)) {
+    throw new Error(`Invalid IP ${ip}`);
+  }
+  return ((parts[0] << 24) | (parts[1] << 16) | (parts[2] << 8) | parts[3]) >>> 0;
+}
+
+function intToIp(v) {
+  return [v >>> 24, (v >>> 16) & 255, (v >>> 8) & 255, v & 255].join(".");
+}
+
+function compareIps(a, b) {
+  return ipToInt(a) - ipToInt(b);
+}
+
+async function mapLimit(items, limit, fn) {
+  let i = 0;
+  async function worker() {
+    while (i < items.length) {
+      const item = items[i++];
+      await fn(item);
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+}
+
+function dropUndefined(obj) {
+  const out = {};
+  for (const [k, v] of Object.entries(obj)) if (v !== undefined && v !== null) out[k] = v;
+  return out;
+}
@@ -0,0 +1,164 @@
+// backend/src/familyRegistry.js
+// Device families declared in backend/config/families.json:
+//
+//   { "families": [{
+//       "id": "bmm",                          // family id used everywhere (payloads, logs, MQTT)
+//       "label": "BMMs",                      // display name (nav, Devices page)
+//       "description": "...",                 // page subtitle (optional)
+//       "configFile": "bmmConfig.json",       // device list: { tankId: "ip" | { ip, port, unitId, ... } }
+//       "registerMap": "registerMap.bmm.json",// default register map
+//       "logPoints": "logPoints.bmm.json",    // logger whitelist (optional)
+//       "pollMs": 60000,                      // default poll interval (optional)
+//       "liveFilter": false,                  // honour liveTanks.json (optional)
+//       "seedLive": false,                    // show in /api/live before the first poll (optional)
+//       "page": "/bmms",                      // custom frontend page (optional; generic page otherwise)
+//       "summary": [{ "point": "biomass", "label": "Biomass", "digits": 2 }]
+//   }] }
+//
+// Without families.json the gateway falls back to the built-in ctrl/util/bmm set.
+// Edits are picked up on the next lookup (see configStore).
+
+import path from "path";
+import { fileURLToPath } from "url";
+import { readConfigJson } from "./configStore.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const configDir = path.join(__dirname, "..", "config");
+const REGISTRY_PATH = path.join(configDir, "families.json");
+
+const BUILTIN = [
+  { id: "ctrl", label: "Controllers", configFile: "tankConfig.json", registerMap: "registerMap.json", liveFilter: true },
+  { id: "util", label: "Utility", configFile: "utilityConfig.json", registerMap: "registerMap.json", seedLive: true },
+  { id: "bmm", label: "BMMs", configFile: "bmmConfig.json", registerMap: "registerMap.bmm.json" },
+];
+
+const ID_RE = /^[a-z][a-z0-9_]{0,31}$/;
+const FILE_RE = /^[A-Za-z0-9._-]+\.json$/;
+
+let specs = [];
+
+/* ------------------------------------------------------------------ */
+/*                           Load + validate                           */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Validate a families.json document.
+ * @returns {{ errors: string[], specs: object[] }} normalized specs
+ */
+export function validateFamilies(doc) {
+  const errors = [];
+  const list = Array.isArray(doc) ? doc : doc?.families;
+  if (!Array.isArray(list) || !list.length) {
+    return { errors: ['"families" must be a non-empty array'], specs: [] };
+  }
+
+  const out = [];
+  const ids = new Set();
+  const files = new Set();
+
+  list.forEach((raw, i) => {
+    const where = raw?.id ? `family ${raw.id}` : `families[${i}]`;
+    if (!raw || typeof raw !== "object") {
+      errors.push(`${where}: must be an object`);
+      return;
+    }
+    if (!ID_RE.test(raw.id || "")) errors.push(`${where}: id must be lowercase letters, digits or '_'`);
+    if (ids.has(raw.id)) errors.push(`${where}: duplicate id`);
+    ids.add(raw.id);
+
+    for (const key of ["configFile", "registerMap"]) {
+      if (!FILE_RE.test(raw[key] || "")) errors.push(`${where}: ${key} must be a .json filename in config/`);
+    }
+    if (raw.logPoints !== undefined && !FILE_RE.test(raw.logPoints)) {
+      errors.push(`${where}: logPoints must be a .json filename in config/`);
+    }
+    if (files.has(raw.configFile)) errors.push(`${where}: configFile ${raw.configFile} is used twice`);
+    files.add(raw.configFile);
+
+    if (raw.pollMs !== undefined && !(Number.isFinite(raw.pollMs) && raw.pollMs >= 1000)) {
+      errors.push(`${where}: pollMs must be a number >= 1000`);
+    }
+    if (raw.summary !== undefined) {
+      if (!Array.isArray(raw.summary)) errors.push(`${where}: summary must be an array`);
+      else {
+        raw.summary.forEach((f, j) => {
+          if (!f || typeof f.point !== "string") errors.push(`${where}: summary[${j}].point is required`);
+        });
+      }
+    }
+
+    out.push(normalizeSpec(raw));
+  });
+
+  return { errors, specs: out };
+}
+
+function normalizeSpec(raw) {
+  return {
+    family: raw.id,
+    label: raw.label || raw.id,
+    description: raw.description || "",
+    configFile: raw.configFile,
+    registerMap: raw.registerMap,
+    // loadRegisterMap resolves paths relative to src/
+    mapFile: `../config/${raw.registerMap}`,
+    logPoints: raw.logPoints || `logPoints.${raw.id}.json`,
+    pollMs: raw.pollMs,
+    liveFilter: raw.liveFilter === true,
+    seedLive: raw.seedLive === true,
+    page: typeof raw.page === "string" ? raw.page : null,
+    summary: Array.isArray(raw.summary)
+      ? raw.summary.map((f) => ({
+          point: f.point,
+          label: f.label || f.point,
+          digits: Number.isInteger(f.digits) ? f.digits : 2,
+          ...(f.units ? { units: f.units } : {}),
+        }))
+      : [],
+  };
+}
+
+/**
+ * Current family specs from families.json (re-read when the file changes).
+ * A missing file means the built-in families; an invalid edit keeps the
+ * last good version (see configStore), or the built-ins if there is none.
+ * @returns {object[]} normalized specs
+ */
+export function loadFamilyRegistry() {
+  try {
+    const next = readConfigJson(REGISTRY_PATH, { validate: assertValidFamilies });
+    specs = next || BUILTIN.map(normalizeSpec);
+  } catch {
+    // never loaded successfully; the error is in getConfigStatus()
+    if (!specs.length) specs = BUILTIN.map(normalizeSpec);
+  }
+  return specs;
+}
+
+function assertValidFamilies(doc) {
+  const { errors, specs: next } = validateFamilies(doc);
+  if (errors.length) throw new Error(`invalid:\n  - ${errors.join("\n  - ")}`);
+  return next;
+}
+
+/* ------------------------------------------------------------------ */
+/*                              Lookups                                */
+/* ------------------------------------------------------------------ */
+
+export function getFamilySpecs() {
+  return loadFamilyRegistry();
+}
+
+export function familySpec(family) {
+  return getFamilySpecs().find((s) => s.family === family) || null;
+}
+
+/**
+ * Map a device list filename to its family spec, or null for unrelated
+ * configs (co2Config.json etc).
+ */
+export function resolveFamily(configFile) {
+  const base = path.basename(configFile);
+  return getFamilySpecs().find((s) => s.configFile === base) || null;
+}
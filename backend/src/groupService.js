@@ -0,0 +1,148 @@
+// backend/src/groupService.js
+// Saved tank groups (a name for a list of tanks of one family) and the
+// tank sets bulk commands and schedules are aimed at: an explicit list, a
+// prefix (C -> C01, C02, ... as grouped on the Tanks page) or a saved group.
+// Groups live in data/groups.json.
+
+import path from "path";
+import { fileURLToPath } from "url";
+import fs from "fs";
+import { promises as fsp } from "fs";
+import { randomUUID } from "crypto";
+import { familySpec, getFamilySpecs } from "./familyRegistry.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const GROUPS_PATH = path.join(__dirname, "..", "data", "groups.json");
+const TANK_ID_RE = /^[A-Za-z0-9_-]{1,32}$/;
+
+let groups = loadFromDisk();
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/* ------------------------------------------------------------------ */
+/*                            Tank sets                                */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Leading letters of a tank ID, the groups on the Tanks page:
+ * C01 -> C, CTRL-01 -> CTRL, i7 -> I. "" when there are none.
+ */
+export function tankPrefix(tankId) {
+  const m = String(tankId).match(/^[A-Za-z]+/);
+  return m ? m[0].toUpperCase() : "";
+}
+
+/**
+ * Tank IDs a target stands for, sorted.
+ * @param {{ family?:string, tanks?:string[], prefix?:string, group?:string }} target
+ *   exactly one of tanks / prefix / group (a group id); a group brings its own family
+ * @param {(family: string) => string[]} listTanks  configured tanks of a family
+ * @returns {{ family:string, tankIds:string[], label:string }}
+ * @throws (status 400/404) on a bad target or unknown group
+ */
+export function resolveTankSet(target = {}, listTanks) {
+  if (target.group) {
+    const g = groups.find((x) => x.id === target.group);
+    if (!g) throw httpError(404, `Group ${target.group} not found`);
+    return { family: g.family, tankIds: sortIds(g.tanks), label: `group "${g.name}"` };
+  }
+
+  const family = String(target.family || "ctrl");
+  if (!familySpec(family)) throw httpError(400, `family must be one of ${getFamilySpecs().map((s) => s.family).join(", ")}`);
+
+  if (Array.isArray(target.tanks) && target.tanks.length) {
+    const tankIds = normalizeTankIds(target.tanks);
+    return { family, tankIds, label: tankIds.join(", ") };
+  }
+  if (typeof target.prefix === "string" && /^[A-Za-z]+$/.test(target.prefix.trim())) {
+    const prefix = target.prefix.trim().toUpperCase();
+    const tankIds = sortIds(listTanks(family).filter((id) => tankPrefix(id) === prefix));
+    return { family, tankIds, label: `${family} ${prefix}*` };
+  }
+  throw httpError(400, "target must be tanks (a list of tank IDs), prefix (letters, e.g. C) or group (a group id)");
+}
+
+function normalizeTankIds(list) {
+  const tankIds = [...new Set(list.map((t) => String(t).trim()))];
+  const bad = tankIds.find((t) => !TANK_ID_RE.test(t));
+  if (bad !== undefined) throw httpError(400, `"${bad}" is not a valid tank ID`);
+  return sortIds(tankIds);
+}
+
+function sortIds(ids) {
+  return [...ids].sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+}
+
+/* ------------------------------------------------------------------ */
+/*                           Saved groups                              */
+/* ------------------------------------------------------------------ */
+
+export function listGroups() {
+  return [...groups].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export async function createGroup(input) {
+  const group = { id: randomUUID(), ...normalizeGroup(input) };
+  groups = [...groups, group];
+  await persist();
+  console.log(`👥 Group "${group.name}" created (${group.tanks.join(", ")})`);
+  return group;
+}
+
+export async function updateGroup(id, input) {
+  const current = groups.find((g) => g.id === id);
+  if (!current) throw httpError(404, `Group ${id} not found`);
+  const group = { id, ...normalizeGroup({ ...current, ...input }, id) };
+  groups = groups.map((g) => (g.id === id ? group : g));
+  await persist();
+  console.log(`👥 Group "${group.name}" updated (${group.tanks.join(", ")})`);
+  return group;
+}
+
+export async function deleteGroup(id) {
+  const current = groups.find((g) => g.id === id);
+  if (!current) throw httpError(404, `Group ${id} not found`);
+  groups = groups.filter((g) => g.id !== id);
+  await persist();
+  console.log(`👥 Group "${current.name}" deleted`);
+}
+
+function normalizeGroup(input = {}, id) {
+  const name = String(input.name || "").trim();
+  if (!name || name.length > 80) throw httpError(400, "name must be 1-80 characters");
+  if (groups.some((g) => g.id !== id && g.name.toLowerCase() === name.toLowerCase())) {
+    throw httpError(409, `A group named "${name}" already exists`);
+  }
+
+  const family = String(input.family || "ctrl");
+  if (!familySpec(family)) throw httpError(400, `family must be one of ${getFamilySpecs().map((s) => s.family).join(", ")}`);
+
+  if (!Array.isArray(input.tanks) || !input.tanks.length) {
+    throw httpError(400, "tanks must be a non-empty list of tank IDs");
+  }
+  return { name, family, tanks: normalizeTankIds(input.tanks) };
+}
+
+function loadFromDisk() {
+  try {
+    if (!fs.existsSync(GROUPS_PATH)) return [];
+    const parsed = JSON.parse(fs.readFileSync(GROUPS_PATH, "utf8"));
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (err) {
+    console.error("Failed to load tank groups, starting empty:", err.message);
+    return [];
+  }
+}
+
+async function persist() {
+  const tmp = `${GROUPS_PATH}.tmp`;
+  await fsp.mkdir(path.dirname(GROUPS_PATH), { recursive: true });
+  await fsp.writeFile(tmp, JSON.stringify(groups, null, 2) + "\n", "utf8");
+  await fsp.rename(tmp, GROUPS_PATH);
+}
@@ -0,0 +1,144 @@
+// backend/src/healthService.js
+// GET /api/health: one status for systemd watchdogs and uptime monitors,
+// plus the individual dependency checks behind it.
+//
+//   ok        everything fine                         → HTTP 200
+//   degraded  gateway works but something needs care  → HTTP 200
+//   fail      poll loop stalled or logs can't be kept  → HTTP 503
+
+import { getSchedulerHealth, getScheduleState } from "./pollScheduler.js";
+import { getMqttStats } from "./mqttPublisher.js";
+import { checkLogDirectory } from "./loggingService.js";
+import { getAlarmDeliveryStats } from "./alarmService.js";
+import { getConfigStatus } from "./configStore.js";
+
+const MB = 1024 * 1024;
+
+const THRESHOLDS = {
+  // the dispatcher ticks every 500 ms; this long without a tick means it's stuck
+  tickStaleMs: Number(process.env.HEALTH_TICK_STALE_MS || 30_000),
+  diskWarnBytes: Number(process.env.HEALTH_DISK_WARN_MB || 500) * MB,
+  diskFailBytes: Number(process.env.HEALTH_DISK_FAIL_MB || 50) * MB,
+};
+
+const RANK = { ok: 0, degraded: 1, fail: 2 };
+
+function worst(...statuses) {
+  return statuses.reduce((a, b) => (RANK[b] > RANK[a] ? b : a), "ok");
+}
+
+/**
+ * Run every check.
+ * @param {{ mqttClient?:import('mqtt').MqttClient, pollMs:number }} ctx
+ * @returns {Promise<{ status:"ok"|"degraded"|"fail", http_status:number, checked_at:string,
+ *   checks:object }>}
+ */
+export async function getHealth({ mqttClient, pollMs }) {
+  const checks = {
+    poll_loop: checkPollLoop(pollMs),
+    mqtt: checkMqtt(mqttClient),
+    logger: await checkLogger(),
+    slack: checkSlack(),
+    devices: checkDevices(),
+    config: checkConfig(),
+  };
+
+  const status = worst(...Object.values(checks).map((c) => c.status));
+  return {
+    status,
+    http_status: status === "fail" ? 503 : 200,
+    checked_at: new Date().toISOString(),
+    checks,
+  };
+}
+
+/* ------------------------------------------------------------------ */
+/*                               Checks                                */
+/* ------------------------------------------------------------------ */
+
+function checkPollLoop(pollMs) {
+  const s = getSchedulerHealth();
+  let status = "ok";
+  let reason = null;
+
+  if (!s.running || s.last_tick_age_ms === null || s.last_tick_age_ms > THRESHOLDS.tickStaleMs) {
+    status = "fail";
+    reason = s.running ? "scheduler has not ticked recently" : "scheduler is not running";
+  } else if (s.max_lag_ms > pollMs) {
+    // the most overdue device has waited longer than a whole poll interval
+    status = "degraded";
+    reason = `${s.overdue_devices} device(s) behind schedule by up to ${Math.round(s.max_lag_ms / 1000)}s`;
+  }
+
+  return { status, reason, poll_ms: pollMs, falling_behind: s.max_lag_ms > pollMs, ...s };
+}
+
+function checkMqtt(mqttClient) {
+  const m = getMqttStats(mqttClient);
+  return {
+    status: m.connected ? "ok" : "degraded",
+    reason: m.connected ? null : `not connected${m.last_error ? ` (${m.last_error})` : ""}`,
+    ...m,
+  };
+}
+
+async function checkLogger() {
+  const l = await checkLogDirectory();
+  let status = "ok";
+  let reason = null;
+
+  if (!l.writable) {
+    status = "fail";
+    reason = `cannot write to ${l.dir}: ${l.error}`;
+  } else if (l.free_bytes !== null && l.free_bytes < THRESHOLDS.diskFailBytes) {
+    status = "fail";
+    reason = `${Math.round(l.free_bytes / MB)} MB free on log volume`;
+  } else if (l.free_bytes !== null && l.free_bytes < THRESHOLDS.diskWarnBytes) {
+    status = "degraded";
+    reason = `${Math.round(l.free_bytes / MB)} MB free on log volume`;
+  }
+
+  return { status, reason, ...l };
+}
+
+function checkSlack() {
+  const a = getAlarmDeliveryStats();
+  // nothing to check until a webhook is configured and something was sent
+  const failed = a.webhook_configured && a.last_error !== null;
+  return {
+    status: failed ? "degraded" : "ok",
+    reason: failed ? `last delivery failed: ${a.last_error}` : null,
+    webhook_configured: a.webhook_configured,
+    last_attempt_at: a.last_attempt_at,
+    last_ok_at: a.last_ok_at,
+    last_error: a.last_error,
+  };
+}
+
+function checkDevices() {
+  const families = {};
+  for (const d of getScheduleState().devices) {
+    if (!families[d.family]) families[d.family] = { ok: 0, failed: 0, pending: 0 };
+    const f = families[d.family];
+    if (d.consecutive_failures > 0) f.failed++;
+    else if (d.last_ok) f.ok++;
+    else f.pending++;
+  }
+
+  const failed = Object.values(families).reduce((n, f) => n + f.failed, 0);
+  return {
+    status: failed ? "degraded" : "ok",
+    reason: failed ? `${failed} device(s) failing` : null,
+    families,
+  };
+}
+
+function checkConfig() {
+  const c = getConfigStatus();
+  const bad = c.files.filter((f) => !f.ok).map((f) => f.file);
+  return {
+    status: bad.length ? "degraded" : "ok",
+    reason: bad.length ? `invalid: ${bad.join(", ")}` : null,
+    files_with_errors: bad,
+  };
+}
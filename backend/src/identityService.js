@@ -0,0 +1,163 @@
+// backend/src/identityService.js
+// Pins each tank to the device that first answered for it (serial_number +
+// model_number) and flags polls where a different device answers at that
+// address, e.g. after DHCP reservations get swapped.
+//
+// Pins are per device, `${family}:${tankId}`: a controller and a BMM on the
+// same raceway share the tank ID but are different devices.
+
+import path from "path";
+import { fileURLToPath } from "url";
+import fs from "fs";
+import { promises as fsp } from "fs";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Where learned identities are persisted
+const IDENTITY_PATH =
+  (process.env.IDENTITY_PATH?.trim && process.env.IDENTITY_PATH.trim()) ||
+  path.join(__dirname, "..", "data", "device-identity.json");
+
+// key: `${family}:${tankId}` -> { serial_number, model_number, ip, pinned_at }
+let pinned = loadFromDisk();
+
+// key: `${family}:${tankId}` -> { expected, actual, ip, since }
+const mismatched = new Map();
+
+// Writes run one after another so an older snapshot never lands last
+let saving = Promise.resolve();
+
+/* ------------------------------------------------------------------ */
+/*                      Main entry: check a poll                       */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Compare decoded identity points with the pinned identity for a device.
+ * The first device seen for a family + tank is pinned (learned) automatically.
+ * Devices whose map has no serial_number are never checked.
+ *
+ * @param {string} family
+ * @param {string} tankId
+ * @param {string} ip
+ * @param {object} values  decoded points
+ * @returns {{ ok: true } | { ok: false, error: string }}
+ */
+export function verifyIdentity(family, tankId, ip, values) {
+  const serial = values?.serial_number;
+  if (serial === undefined || serial === null) return { ok: true };
+
+  const key = `${family}:${tankId}`;
+  const pin = pinned[key];
+  if (!pin) {
+    pinned[key] = {
+      serial_number: serial,
+      model_number: values.model_number ?? null,
+      ip,
+      pinned_at: new Date().toISOString(),
+    };
+    console.log(`📌 ${key}: pinned serial ${serial} @ ${ip}`);
+    persist();
+    return { ok: true };
+  }
+
+  const sameSerial = String(pin.serial_number) === String(serial);
+  const sameModel =
+    pin.model_number === null ||
+    values.model_number === undefined ||
+    String(pin.model_number) === String(values.model_number);
+
+  if (sameSerial && sameModel) {
+    mismatched.delete(key);
+    return { ok: true };
+  }
+
+  const prev = mismatched.get(key);
+  mismatched.set(key, {
+    expected: pin.serial_number,
+    actual: serial,
+    ip,
+    since: prev?.since || new Date().toISOString(),
+  });
+
+  return {
+    ok: false,
+    error: `serial ${serial} (model ${values.model_number ?? "?"}) answered at ${ip}, expected serial ${pin.serial_number} (model ${pin.model_number ?? "?"})`,
+  };
+}
+
+/** True while the last poll of family:tankId was answered by the wrong device. */
+export function isIdentityMismatch(family, tankId) {
+  return mismatched.has(`${family}:${tankId}`);
+}
+
+/* ------------------------------------------------------------------ */
+/*           Public getters/setters (used by /api + Tanks page)        */
+/* ------------------------------------------------------------------ */
+
+/** Pinned identities keyed `${family}:${tankId}`. */
+export function getDeviceIdentities() {
+  const out = {};
+  for (const [key, pin] of Object.entries(pinned)) {
+    out[key] = { ...pin, mismatch: mismatched.get(key) || null };
+  }
+  return out;
+}
+
+/**
+ * Forget the pinned identity so the next poll learns the device that
+ * currently answers (after a controller is legitimately replaced).
+ */
+export async function resetDeviceIdentity(family, tankId) {
+  const key = `${family}:${tankId}`;
+  if (!pinned[key]) return false;
+  delete pinned[key];
+  mismatched.delete(key);
+  await persist();
+  return true;
+}
+
+/** Wait for identity writes still in flight (on shutdown). */
+export function flushDeviceIdentities() {
+  return saving;
+}
+
+/* ------------------------------------------------------------------ */
+/*                        Internal helpers                             */
+/* ------------------------------------------------------------------ */
+
+function loadFromDisk() {
+  try {
+    if (!fs.existsSync(IDENTITY_PATH)) return {};
+    const parsed = JSON.parse(fs.readFileSync(IDENTITY_PATH, "utf8"));
+    if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) return {};
+    // pins from before they were per family ("C01") can't be told apart; relearn those
+    const out = {};
+    const legacy = [];
+    for (const [key, pin] of Object.entries(parsed)) {
+      if (key.includes(":")) out[key] = pin;
+      else legacy.push(key);
+    }
+    if (legacy.length) console.warn(`Relearning device identities pinned by tank only: ${legacy.join(", ")}`);
+    return out;
+  } catch (err) {
+    console.error("Failed to load device identities, relearning:", err.message);
+    return {};
+  }
+}
+
+function persist() {
+  saving = saving.then(writeToDisk);
+  return saving;
+}
+
+async function writeToDisk() {
+  const tmp = `${IDENTITY_PATH}.tmp`;
+  try {
+    await fsp.mkdir(path.dirname(IDENTITY_PATH), { recursive: true });
+    await fsp.writeFile(tmp, JSON.stringify(pinned, null, 2), "utf8");
+    await fsp.rename(tmp, IDENTITY_PATH);
+  } catch (err) {
+    console.error("Failed to persist device identities:", err.message);
+  }
+}
@@ -0,0 +1,66 @@
+// backend/src/liveCacheStore.js
+// Persists the /api/live snapshot cache so the pages show the last known
+// readings right after a restart instead of waiting for the first poll.
+//
+// Restored entries keep their original ts_utc (so the pages' staleness logic
+// still applies) and carry restored: true + restored_at until the device's
+// next poll replaces them.
+
+import path from "path";
+import { fileURLToPath } from "url";
+import fs from "fs";
+import { promises as fsp } from "fs";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const LIVE_CACHE_PATH = path.join(__dirname, "..", "data", "live-cache.json");
+
+/**
+ * Read the persisted snapshots, marked as restored.
+ * @param {(tankId:string, entry:object) => boolean} [keep]  drop entries that no longer apply
+ * @returns {Record<string, object>} tankId → snapshot entry
+ */
+export function loadLiveCache(keep = () => true) {
+  try {
+    if (!fs.existsSync(LIVE_CACHE_PATH)) return {};
+    const parsed = JSON.parse(fs.readFileSync(LIVE_CACHE_PATH, "utf8"));
+    const entries = parsed?.entries;
+    if (!entries || typeof entries !== "object" || Array.isArray(entries)) return {};
+
+    const restoredAt = new Date().toISOString();
+    const out = {};
+    for (const [tankId, entry] of Object.entries(entries)) {
+      if (!entry || typeof entry !== "object" || typeof entry.family !== "string") continue;
+      if (!keep(tankId, entry)) continue;
+      out[tankId] = { ...entry, restored: true, restored_at: restoredAt };
+    }
+    return out;
+  } catch (err) {
+    console.error("Failed to load live cache, starting empty:", err.message);
+    return {};
+  }
+}
+
+/**
+ * Write the snapshot cache to disk (write-then-rename, so a crash mid-write
+ * can't leave a truncated file). Entries that were never polled are skipped.
+ * @param {Record<string, object>} cache
+ */
+export async function saveLiveCache(cache) {
+  const entries = {};
+  for (const [tankId, entry] of Object.entries(cache)) {
+    if (!entry?.ts_utc) continue;
+    const { restored, restored_at, ...rest } = entry;
+    entries[tankId] = rest;
+  }
+
+  const tmp = `${LIVE_CACHE_PATH}.tmp`;
+  try {
+    await fsp.mkdir(path.dirname(LIVE_CACHE_PATH), { recursive: true });
+    await fsp.writeFile(tmp, JSON.stringify({ saved_at: new Date().toISOString(), entries }, null, 2), "utf8");
+    await fsp.rename(tmp, LIVE_CACHE_PATH);
+  } catch (err) {
+    console.error("Failed to persist live cache:", err.message);
+  }
+}
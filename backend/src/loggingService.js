@@ -1,12 +1,15 @@
 // backend/src/loggingService.js
 // NDJSON telemetry logger with per-tank files, daily rotation, per-device rate limiting,
-// and a small write queue. Family-specific whitelists supported via:
-//   backend/config/logPoints.<family>.json
+// and a small write queue. Family-specific whitelists supported via the
+// "logPoints" file named in families.json (default logPoints.<family>.json).
 // Falls back to backend/config/logPoints.json if family file missing.
+// Whitelist edits apply to the next row written.
 
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
+import { familySpec } from "./familyRegistry.js";
+import { readConfigJson } from "./configStore.js";
 
 // ---------- path & env ----------
 const __filename = fileURLToPath(import.meta.url);
@@ -25,8 +28,12 @@ const streams = new Map();
 const queue = [];
 let writing = false;
 
-/** Cache of family -> Set<string> whitelist */
-const whitelistCache = new Map();
+// Counters for /metrics
+const stats = { rows_queued: 0, write_errors: 0 };
+
+const EMPTY_SET = new Set();
+/** Families already warned about a missing whitelist */
+const warnedMissing = new Set();
 
 /** Map<rateKey, lastWriteMs> */
 const lastWrite = new Map();
@@ -63,45 +70,36 @@ function todayStrHawaii(d = new Date()) {
   return `${yyyy}-${mm}-${dd}`;
 }
 
-// Load or return cached whitelist Set for family
-function loadWhitelistForFamily(family) {
-  if (whitelistCache.has(family)) return whitelistCache.get(family);
-
+// Whitelist Set for family. Re-read when the file changes; a bad edit keeps
+// the last good list (see configStore)
+export function loadWhitelistForFamily(family) {
   const cfgDir = path.join(__dirname, "..", "config");
-  const famPath = path.join(cfgDir, `logPoints.${family}.json`);
+  const famPath = path.join(cfgDir, familySpec(family)?.logPoints || `logPoints.${family}.json`);
   const defaultPath = path.join(cfgDir, "logPoints.json");
+  const p = fs.existsSync(famPath) ? famPath : defaultPath;
 
-  let raw;
   try {
-    if (fs.existsSync(famPath)) raw = fs.readFileSync(famPath, "utf-8");
-    else raw = fs.readFileSync(defaultPath, "utf-8");
-  } catch (e) {
-    console.warn(
-      `logger: could not read whitelist for family '${family}': ${e.message}`
-    );
-    const empty = new Set();
-    whitelistCache.set(family, empty);
-    return empty;
+    const set = readConfigJson(p, { validate: toWhitelistSet });
+    if (set) return set;
+    if (!warnedMissing.has(family)) {
+      warnedMissing.add(family);
+      console.warn(`logger: no whitelist for family '${family}' (${path.basename(famPath)})`);
+    }
+  } catch {
+    // already reported by configStore
   }
+  return EMPTY_SET;
+}
 
-  try {
-    const json = JSON.parse(raw);
-    // supports either { points:[...]} or simple array
-    const points = Array.isArray(json)
-  ? json
-  : (json?.log_points || json?.points || []);
-
-    const set = new Set(points);
-    whitelistCache.set(family, set);
-    return set;
-  } catch (e) {
-    console.warn(
-      `logger: invalid whitelist JSON for family '${family}': ${e.message}`
-    );
-    const empty = new Set();
-    whitelistCache.set(family, empty);
-    return empty;
+function toWhitelistSet(json) {
+  // supports either { points:[...]} or simple array
+  const points = Array.isArray(json)
+    ? json
+    : (json?.log_points || json?.points);
+  if (!Array.isArray(points) || !points.every((p) => typeof p === "string")) {
+    throw new Error("expected a list of point names (array or { points: [...] })");
   }
+  return new Set(points);
 }
 
 function truncateValue(key, v) {
@@ -133,7 +131,10 @@ function getStream(family, site, tank, dateStr) {
   ensureDirSync(LOG_DIR);
   const fpath = path.join(LOG_DIR, fileName(family, site, tank, dateStr));
   const stream = fs.createWriteStream(fpath, { flags: "a" });
-  stream.on("error", (e) => console.error("NDJSON stream error:", e.message));
+  stream.on("error", (e) => {
+    stats.write_errors++;
+    console.error("NDJSON stream error:", e.message);
+  });
   streams.set(key, stream);
   return stream;
 }
@@ -165,6 +166,41 @@ export function getLogDirectory() {
   return LOG_DIR;
 }
 
+/**
+ * Check that LOG_DIR accepts writes (a probe file is created and removed)
+ * and how much space is left on its volume.
+ * @returns {Promise<{ dir:string, writable:boolean, error:string|null,
+ *   free_bytes:number|null, total_bytes:number|null }>}
+ */
+export async function checkLogDirectory() {
+  const out = { dir: LOG_DIR, writable: false, error: null, free_bytes: null, total_bytes: null };
+  try {
+    ensureDirSync(LOG_DIR);
+    const probe = path.join(LOG_DIR, `.write-probe-${process.pid}`);
+    await fs.promises.writeFile(probe, "ok");
+    await fs.promises.unlink(probe);
+    out.writable = true;
+  } catch (e) {
+    out.error = e.message;
+  }
+  try {
+    const st = await fs.promises.statfs(LOG_DIR);
+    out.free_bytes = st.bavail * st.bsize;
+    out.total_bytes = st.blocks * st.bsize;
+  } catch (e) {
+    out.error = out.error || e.message;
+  }
+  return out;
+}
+
+/**
+ * Write queue depth, open file streams and row counters.
+ * @returns {{ queue_depth:number, open_streams:number, rows_queued:number, write_errors:number }}
+ */
+export function getLoggerStats() {
+  return { queue_depth: queue.length, open_streams: streams.size, ...stats };
+}
+
 /**
  * Log a telemetry payload (rate-limited per family/site/tank).
  * Payload shape:
@@ -199,6 +235,7 @@ export function logTelemetry(payload, familyOverride = null) {
     
 
     queue.push({ stream, line: JSON.stringify(row) + "\n" });
+    stats.rows_queued++;
     lastWrite.set(rateKey, ts);
     flushQueue();
   } catch (e) {
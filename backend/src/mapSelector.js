@@ -0,0 +1,130 @@
+// backend/src/mapSelector.js
+// Per-device register map selection.
+//
+// Every family has a default map (registerMap in families.json). Other maps in
+// backend/config/registerMap*.json join a family by listing it and saying
+// which devices they fit:
+//
+//   "families": ["ctrl", "util"],
+//   "match": { "model_number": 3, "fw_revision": { "min": 512 } }
+//
+// Match values: a number (equal), an array (any of) or { min, max }.
+// On first contact the match points are read using the family's default
+// map and the first matching map wins; a device config entry may instead
+// name its map explicitly with "map": "registerMap.mk3.json".
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { loadRegisterMap, getBlocks, planBlocks, decodePointsFromBlocks } from "./registerMap.js";
+import { readBlocksForDevice, transportOpts } from "./modbusBlocks.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// key: `${family}:${tankId}` → { ip, file }
+const selections = new Map();
+
+/**
+ * Load every registerMap*.json in configDir.
+ * A broken edit keeps serving the last good version of that map (see
+ * configStore); maps that never loaded are logged and left out.
+ * @param {string} configDir
+ * @returns {Array<{ file:string, mapCtx:{map:object}, blocks:object[], families:string[], match:object|null }>}
+ */
+export function loadMapCatalog(configDir) {
+  const files = fs.readdirSync(configDir).filter((fn) => /^registerMap.*\.json$/.test(fn));
+  const out = [];
+
+  for (const file of files.sort()) {
+    try {
+      // loadRegisterMap resolves paths relative to src/
+      const mapCtx = loadRegisterMap(path.relative(__dirname, path.join(configDir, file)));
+      out.push({
+        file,
+        mapCtx,
+        blocks: getBlocks(mapCtx),
+        families: Array.isArray(mapCtx.map.families) ? mapCtx.map.families : [],
+        match: mapCtx.map.match && typeof mapCtx.map.match === "object" ? mapCtx.map.match : null,
+      });
+    } catch (e) {
+      console.error(`Register map ${file} skipped: ${e.message}`);
+    }
+  }
+
+  return out;
+}
+
+function matchesValue(rule, v) {
+  if (typeof v !== "number") return false;
+  if (Array.isArray(rule)) return rule.includes(v);
+  if (rule && typeof rule === "object") {
+    if (typeof rule.min === "number" && v < rule.min) return false;
+    if (typeof rule.max === "number" && v > rule.max) return false;
+    return true;
+  }
+  return v === rule;
+}
+
+export function matchesIdentity(match, identity) {
+  return Object.entries(match).every(([point, rule]) => matchesValue(rule, identity[point]));
+}
+
+// Read the identity points named by the candidates' match rules,
+// using the family's default map to locate them.
+async function probeIdentity(defaultMap, names, device) {
+  const points = {};
+  for (const name of names) {
+    if (defaultMap.points[name]) points[name] = defaultMap.points[name];
+  }
+  if (!Object.keys(points).length) return {};
+
+  const probeMap = { byte_order: defaultMap.byte_order, word_order: defaultMap.word_order, points };
+  probeMap.blocks = planBlocks(probeMap);
+
+  const bufs = await readBlocksForDevice(device.ip, probeMap.blocks, transportOpts(device));
+  return decodePointsFromBlocks({ map: probeMap }, bufs);
+}
+
+/**
+ * Resolve the register map for one device of a family.
+ * @param {{ family:string, mapFile:string, mapCtx:object, blocks:object[], maps:object[] }} family
+ * @param {{ tankId:string, ip:string, map?:string }} device
+ * @returns {Promise<{ file:string, mapCtx:{map:object}, blocks:object[] }>}
+ */
+export async function resolveDeviceMap(family, device) {
+  const catalog = family.maps || [];
+  const fallback = { file: path.basename(family.mapFile), mapCtx: family.mapCtx, blocks: family.blocks };
+
+  // 1) explicit "map" in the device config
+  if (device.map) {
+    const entry = catalog.find((e) => e.file === path.basename(device.map));
+    if (!entry) throw new Error(`unknown register map ${device.map}`);
+    return entry;
+  }
+
+  // 2) no alternative maps for this family → nothing to probe
+  const candidates = catalog.filter((e) => e.families.includes(family.family) && e.match);
+  if (!candidates.length) return fallback;
+
+  // 3) remembered from an earlier probe of the same IP
+  const key = `${family.family}:${device.tankId}`;
+  const prev = selections.get(key);
+  if (prev && prev.ip === device.ip) {
+    const entry = catalog.find((e) => e.file === prev.file);
+    if (entry) return entry;
+    if (prev.file === fallback.file) return fallback;
+  }
+
+  // 4) probe; if the device doesn't answer the poll fails rather than
+  //    decoding with a map that may not fit it
+  const names = [...new Set(candidates.flatMap((e) => Object.keys(e.match)))];
+  const identity = await probeIdentity(family.mapCtx.map, names, device);
+
+  const picked = candidates.find((e) => matchesIdentity(e.match, identity)) || fallback;
+  selections.set(key, { ip: device.ip, file: picked.file });
+
+  const ident = names.map((n) => `${n}=${identity[n] ?? "?"}`).join(" ");
+  console.log(`🗺️ ${family.family}:${device.tankId} @ ${device.ip} → ${picked.file} (${ident})`);
+  return picked;
+}
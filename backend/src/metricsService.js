@@ -0,0 +1,215 @@
+// backend/src/metricsService.js
+// Prometheus text exposition for GET /metrics.
+//
+// Poll results are recorded here by the poller (recordPoll); everything else
+// is read at scrape time from the stats getters of the modules that own it
+// (Modbus pool/queues, MQTT, logger, alarm delivery, commands).
+
+import { getPoolStats, getQueueStats } from "./modbusBlocks.js";
+import { getMqttStats } from "./mqttPublisher.js";
+import { getLoggerStats } from "./loggingService.js";
+import { getAlarmDeliveryStats } from "./alarmService.js";
+import { getCommandStats } from "./commandService.js";
+
+const PREFIX = "symon";
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+// `${family}:${tankId}` → { site, family, tankId, up, last_ok, duration:{buckets,sum,count},
+//   results:{ [result]: count }, values:{ [point]: number } }
+const devices = new Map();
+
+/* ------------------------------------------------------------------ */
+/*                           Poll recording                            */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Record one poll.
+ * @param {{ site:string, family:string, tankId:string, durationMs:number,
+ *   ok:boolean, error?:Error, values?:object }} poll
+ */
+export function recordPoll({ site, family, tankId, durationMs, ok, error, values }) {
+  const key = `${family}:${tankId}`;
+  let d = devices.get(key);
+  if (!d) {
+    d = {
+      site,
+      family,
+      tankId,
+      up: 0,
+      last_ok: null,
+      duration: { buckets: DURATION_BUCKETS.map(() => 0), sum: 0, count: 0 },
+      results: {},
+      values: {},
+    };
+    devices.set(key, d);
+  }
+
+  const seconds = durationMs / 1000;
+  DURATION_BUCKETS.forEach((le, i) => {
+    if (seconds <= le) d.duration.buckets[i]++;
+  });
+  d.duration.sum += seconds;
+  d.duration.count++;
+
+  const result = ok ? "ok" : classifyError(error);
+  d.results[result] = (d.results[result] || 0) + 1;
+  d.up = ok ? 1 : 0;
+
+  if (ok) {
+    d.last_ok = Date.now() / 1000;
+    // only numeric and boolean points make sense as gauges
+    d.values = {};
+    for (const [point, v] of Object.entries(values || {})) {
+      if (typeof v === "number" && Number.isFinite(v)) d.values[point] = v;
+      else if (typeof v === "boolean") d.values[point] = v ? 1 : 0;
+    }
+  }
+}
+
+/**
+ * Drop series for devices that are no longer polled.
+ * @param {Set<string>} keep  `${family}:${tankId}` keys still configured
+ */
+export function forgetDevicesExcept(keep) {
+  for (const key of devices.keys()) {
+    if (!keep.has(key)) devices.delete(key);
+  }
+}
+
+/**
+ * Bucket a poll error into a small set of label values.
+ */
+export function classifyError(e) {
+  if (!e) return "error";
+  if (e.qcStatus === "identity_mismatch") return "identity_mismatch";
+  const msg = `${e.code || ""} ${e.message || ""}`;
+  if (/ECONNREFUSED/.test(msg)) return "connection_refused";
+  if (/EHOSTUNREACH|ENETUNREACH|EHOSTDOWN/.test(msg)) return "unreachable";
+  if (/ECONNRESET|EPIPE|closed|Offline/i.test(msg)) return "connection_lost";
+  if (/timed? ?out|ETIMEDOUT/i.test(msg)) return "timeout";
+  if (/exception/i.test(msg)) return "modbus_exception";
+  return "error";
+}
+
+/* ------------------------------------------------------------------ */
+/*                              Rendering                              */
+/* ------------------------------------------------------------------ */
+
+function escapeLabel(v) {
+  return String(v).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+function labelStr(labels) {
+  const parts = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+  return parts.length ? `{${parts.join(",")}}` : "";
+}
+
+function formatNumber(v) {
+  if (v === Infinity) return "+Inf";
+  if (v === -Infinity) return "-Inf";
+  if (Number.isNaN(v)) return "NaN";
+  return String(v);
+}
+
+// Collects samples grouped by metric name so HELP/TYPE appear once each
+function createWriter() {
+  const metrics = new Map();
+  const add = (name, type, help, labels, value) => {
+    const full = `${PREFIX}_${name}`;
+    if (!metrics.has(full)) metrics.set(full, { type, help, lines: [] });
+    metrics.get(full).lines.push(`${full}${labelStr(labels)} ${formatNumber(value)}`);
+  };
+  return {
+    gauge: (name, help, labels, value) => add(name, "gauge", help, labels, value),
+    counter: (name, help, labels, value) => add(name, "counter", help, labels, value),
+    histogram(name, help, labels, { buckets, sum, count }) {
+      const full = `${PREFIX}_${name}`;
+      if (!metrics.has(full)) metrics.set(full, { type: "histogram", help, lines: [] });
+      const lines = metrics.get(full).lines;
+      DURATION_BUCKETS.forEach((le, i) => {
+        lines.push(`${full}_bucket${labelStr({ ...labels, le })} ${buckets[i]}`);
+      });
+      lines.push(`${full}_bucket${labelStr({ ...labels, le: "+Inf" })} ${count}`);
+      lines.push(`${full}_sum${labelStr(labels)} ${sum}`);
+      lines.push(`${full}_count${labelStr(labels)} ${count}`);
+    },
+    render() {
+      const out = [];
+      for (const [name, m] of metrics) {
+        out.push(`# HELP ${name} ${m.help}`, `# TYPE ${name} ${m.type}`, ...m.lines);
+      }
+      return out.join("\n") + "\n";
+    },
+  };
+}
+
+/**
+ * Render every gateway metric in Prometheus text format (version 0.0.4).
+ * @param {{ mqttClient?:import('mqtt').MqttClient }} ctx
+ * @returns {string}
+ */
+export function renderMetrics({ mqttClient } = {}) {
+  const w = createWriter();
+
+  // --- polling ---
+  for (const d of devices.values()) {
+    const dev = { site: d.site, family: d.family, tank: d.tankId };
+    w.histogram("poll_duration_seconds", "Poll duration per device", dev, d.duration);
+    for (const [result, n] of Object.entries(d.results)) {
+      w.counter("polls_total", "Polls by result (ok or error type)", { ...dev, result }, n);
+    }
+    w.gauge("device_up", "1 if the last poll of the device succeeded", dev, d.up);
+    if (d.last_ok !== null) {
+      w.gauge("device_last_success_timestamp_seconds", "Time of the last successful poll", dev, d.last_ok);
+    }
+    for (const [point, v] of Object.entries(d.values)) {
+      w.gauge("point_value", "Latest decoded value of a register map point", { ...dev, point }, v);
+    }
+  }
+
+  // --- Modbus ---
+  const pool = getPoolStats();
+  w.gauge("modbus_links", "Open Modbus links (TCP sockets / serial ports)", {}, pool.links);
+  w.gauge("modbus_clients", "Modbus clients (unit IDs) on open links", {}, pool.clients);
+  w.counter("modbus_connects_total", "Modbus links opened", {}, pool.connects);
+  w.counter("modbus_reconnects_total", "Modbus links re-opened after closing", {}, pool.reconnects);
+  w.counter("modbus_connect_errors_total", "Failed attempts to open a Modbus link", {}, pool.connect_errors);
+  for (const [link, q] of Object.entries(getQueueStats())) {
+    w.gauge("modbus_queue_depth", "Transactions waiting per Modbus link", { link }, q.depth);
+    w.counter("modbus_transactions_total", "Modbus transactions per link", { link, result: "ok" }, q.completed);
+    w.counter("modbus_transactions_total", "Modbus transactions per link", { link, result: "error" }, q.failed);
+  }
+
+  // --- MQTT ---
+  const mqtt = getMqttStats(mqttClient);
+  w.gauge("mqtt_connected", "1 if the MQTT client is connected", {}, mqtt.connected ? 1 : 0);
+  w.counter("mqtt_publish_total", "MQTT telemetry publishes", { result: "ok" }, mqtt.published);
+  w.counter("mqtt_publish_total", "MQTT telemetry publishes", { result: "error" }, mqtt.publish_errors);
+  w.counter("mqtt_connects_total", "MQTT (re)connections", {}, mqtt.connects);
+
+  // --- NDJSON logger ---
+  const logger = getLoggerStats();
+  w.gauge("logger_queue_depth", "Rows waiting to be written", {}, logger.queue_depth);
+  w.gauge("logger_open_streams", "Open NDJSON log files", {}, logger.open_streams);
+  w.counter("logger_rows_total", "Rows queued for writing", {}, logger.rows_queued);
+  w.counter("logger_write_errors_total", "NDJSON stream errors", {}, logger.write_errors);
+
+  // --- alarms ---
+  const alarms = getAlarmDeliveryStats();
+  for (const [kind, n] of Object.entries(alarms.events_sent)) {
+    w.counter("alarm_events_sent_total", "Alarm events delivered to Slack", { kind: kind.toLowerCase() }, n);
+  }
+  w.counter("alarm_batches_total", "Slack alarm batches", { result: "ok" }, alarms.batches_sent);
+  w.counter("alarm_batches_total", "Slack alarm batches", { result: "error" }, alarms.batches_failed);
+
+  // --- commands ---
+  for (const [result, n] of Object.entries(getCommandStats())) {
+    w.counter("commands_total", "Command ops by result (or rejection reason)", { result }, n);
+  }
+
+  // --- process ---
+  w.gauge("process_uptime_seconds", "Gateway process uptime", {}, Math.round(process.uptime()));
+  w.gauge("process_resident_memory_bytes", "Resident memory", {}, process.memoryUsage().rss);
+
+  return w.render();
+}
@@ -1,86 +1,206 @@
 /***************************************************************************************************
  * modbusBlocks.js — ESM
- *  - Manages Modbus TCP clients (pooled)
+ *  - Manages Modbus clients (pooled): TCP, RTU over serial, RTU over TCP
  *  - Provides readBlocksForDevice for telemetry
- *  - Provides writeRegisters for control ops
- *  - Provides runCycleForFamily for polling loop + live cache updates
+ *  - Provides writeRegisters for control ops (registers and coils)
+ *  - Serializes every request per device/bus through a priority queue
  **************************************************************************************************/
 
 import net from "net";
 import Modbus from "jsmodbus";
-import { publishTelemetry } from "./mqttPublisher.js";
-
-
-/** ---------- simple concurrency limiter (instead of p-limit) ---------- */
-function createLimiter(concurrency) {
-  let active = 0;
-  const queue = [];
-
-  const next = () => {
-    if (active >= concurrency || queue.length === 0) return;
-    active++;
-    const { fn, resolve, reject } = queue.shift();
-    fn()
-      .then((res) => {
-        active--;
-        resolve(res);
-        next();
-      })
-      .catch((err) => {
-        active--;
-        reject(err);
-        next();
-      });
-  };
-
-  return (fn) =>
-    new Promise((resolve, reject) => {
-      queue.push({ fn, resolve, reject });
-      next();
-    });
-}
 
 /** ---------- client pooling ---------- */
 
 const DEFAULTS = {
+  transport: "tcp", // "tcp" | "rtu" (serial) | "rtu-tcp" (RTU frames through an Ethernet bridge)
   port: 502,
   unitId: 1,
   connectTimeoutMs: 2500,
   requestTimeoutMs: 1500,
   idleCloseMs: 60_000,
-  maxRetries: 2
+  maxRetries: 2,
+  interRequestDelayMs: 0, // pause between requests for slow firmware
+  // serial line settings (transport "rtu")
+  baudRate: 9600,
+  parity: "none",
+  dataBits: 8,
+  stopBits: 1
 };
 
-// key: "ip:port:unitId" → { client, socket, lastUsed, closing, cfg }
+const TRANSPORTS = new Set(["tcp", "rtu", "rtu-tcp"]);
+
+// Device config keys that describe how to reach (and pace) a device
+const TRANSPORT_KEYS = [
+  "transport",
+  "port",
+  "unitId",
+  "path",
+  "baudRate",
+  "parity",
+  "dataBits",
+  "stopBits",
+  "interRequestDelayMs"
+];
+
+/**
+ * Pick the transport-related fields out of a device config entry
+ * (tankConfig.json / bmmConfig.json / utilityConfig.json), dropping
+ * anything unset so DEFAULTS still apply.
+ * @param {object|string} entry
+ * @returns {{ transport?:string, port?:number, unitId?:number, path?:string,
+ *             baudRate?:number, parity?:string, dataBits?:number, stopBits?:number,
+ *             interRequestDelayMs?:number }}
+ */
+export function transportOpts(entry) {
+  const out = {};
+  if (!entry || typeof entry !== "object") return out;
+  for (const k of TRANSPORT_KEYS) {
+    if (entry[k] !== undefined && entry[k] !== null) out[k] = entry[k];
+  }
+  return out;
+}
+
+// A "link" is one physical connection (TCP socket or serial port).
+// Modbus TCP keeps one socket per unit ID, RTU links are shared by every
+// unit ID on the bus.
+// key: linkKey(...) → { link, clients: Map<unitId, client>, lastUsed, closing, cfg }
 const pool = new Map();
 
-function poolKey(ip, port, unitId) {
-  return `${ip}:${port}:${unitId}`;
+// key → Promise<pooled> while a link is being opened, so concurrent callers
+// on the same bus share one serial port / socket
+const opening = new Map();
+
+// Link open counters for /metrics; a key opened before counts as a reconnect
+const linkStats = { connects: 0, reconnects: 0, connect_errors: 0 };
+const everOpened = new Set();
+
+function linkKey(cfg, ip) {
+  if (cfg.transport === "rtu") return `rtu:${cfg.path || ip}`;
+  if (cfg.transport === "rtu-tcp") return `rtu-tcp:${ip}:${cfg.port}`;
+  return `${ip}:${cfg.port}:${cfg.unitId}`;
+}
+
+function isLinkOpen(pooled) {
+  if (pooled.cfg.transport === "rtu") return pooled.link.isOpen === true;
+  return pooled.link.readyState === "open";
+}
+
+/** ---------- per-device transaction queue ---------- */
+
+// Lower runs first. Operator commands jump ahead of routine polls.
+export const PRIORITY = {
+  command: 0,
+  poll: 1,
+  background: 2
+};
+
+// One queue per link (see linkKey): a TCP device, or a whole RTU bus, so
+// only one request is ever outstanding on it.
+// key → { pending[], running, lastDoneAt, delayMs, stats }
+const txQueues = new Map();
+
+function txQueue(key) {
+  let q = txQueues.get(key);
+  if (!q) {
+    q = {
+      pending: [],
+      running: false,
+      lastDoneAt: 0,
+      delayMs: 0,
+      stats: { completed: 0, failed: 0, lastWaitMs: 0, avgWaitMs: 0, maxWaitMs: 0 }
+    };
+    txQueues.set(key, q);
+  }
+  return q;
 }
 
 /**
- * Get or create a pooled Modbus TCP client.
+ * Queue fn as one Modbus transaction on the device's link.
+ * @param {object} cfg       resolved config (transport, port, unitId, interRequestDelayMs)
+ * @param {string} ip
+ * @param {() => Promise<any>} fn
+ * @param {number} priority  PRIORITY.*
  */
-export async function getOrCreateModbusClient(
-  ip,
-  port = DEFAULTS.port,
-  unitId = DEFAULTS.unitId,
-  opts = {}
-) {
-  const cfg = { ...DEFAULTS, ...opts, port, unitId };
-  const key = poolKey(ip, port, unitId);
+function transact(cfg, ip, fn, priority = PRIORITY.poll) {
+  const q = txQueue(linkKey(cfg, ip));
+  // Devices sharing a bus may disagree; the slowest one wins
+  q.delayMs = Math.max(q.delayMs, Number(cfg.interRequestDelayMs) || 0);
+
+  return new Promise((resolve, reject) => {
+    const item = { fn, resolve, reject, priority, enqueuedAt: Date.now() };
+    // Stable insert: behind everything of equal or more urgent priority
+    let i = q.pending.length;
+    while (i > 0 && q.pending[i - 1].priority > priority) i--;
+    q.pending.splice(i, 0, item);
+    pump(q);
+  });
+}
 
-  const pooled = pool.get(key);
-  if (pooled && !pooled.closing && pooled.socket.readyState === "open") {
-    pooled.lastUsed = Date.now();
-    return pooled.client;
+async function pump(q) {
+  if (q.running || q.pending.length === 0) return;
+  q.running = true;
+
+  // Pick the next item only after the pacing delay, so a command that
+  // arrives meanwhile still goes first
+  const gap = q.lastDoneAt + q.delayMs - Date.now();
+  if (gap > 0) await wait(gap);
+
+  const item = q.pending.shift();
+  const waited = Date.now() - item.enqueuedAt;
+  const st = q.stats;
+  st.lastWaitMs = waited;
+  st.maxWaitMs = Math.max(st.maxWaitMs, waited);
+  st.avgWaitMs = st.completed + st.failed === 0 ? waited : st.avgWaitMs * 0.8 + waited * 0.2;
+
+  try {
+    item.resolve(await item.fn());
+    st.completed++;
+  } catch (e) {
+    item.reject(e);
+    st.failed++;
+  } finally {
+    q.lastDoneAt = Date.now();
+    q.running = false;
+    pump(q);
   }
+}
 
-  const socket = new net.Socket();
-  const client = new Modbus.client.TCP(socket, cfg.unitId, cfg.requestTimeoutMs);
+/**
+ * Queue depth and wait times per device link (for diagnostics).
+ * @returns {Record<string, { depth:number, busy:boolean, delay_ms:number, completed:number,
+ *   failed:number, last_wait_ms:number, avg_wait_ms:number, max_wait_ms:number }>}
+ */
+export function getQueueStats() {
+  const out = {};
+  for (const [key, q] of txQueues) {
+    out[key] = {
+      depth: q.pending.length,
+      busy: q.running,
+      delay_ms: q.delayMs,
+      completed: q.stats.completed,
+      failed: q.stats.failed,
+      last_wait_ms: q.stats.lastWaitMs,
+      avg_wait_ms: Math.round(q.stats.avgWaitMs),
+      max_wait_ms: q.stats.maxWaitMs
+    };
+  }
+  return out;
+}
 
-  await new Promise((resolve, reject) => {
-    const to = setTimeout(() => reject(new Error("connect timeout")), cfg.connectTimeoutMs);
+function resolveCfg(opts) {
+  const cfg = { ...DEFAULTS, ...opts };
+  if (!TRANSPORTS.has(cfg.transport)) {
+    throw new Error(`Unsupported transport=${cfg.transport}`);
+  }
+  return cfg;
+}
+
+function connectSocket(socket, ip, cfg) {
+  return new Promise((resolve, reject) => {
+    const to = setTimeout(() => {
+      socket.destroy();
+      reject(new Error("connect timeout"));
+    }, cfg.connectTimeoutMs);
     socket.once("error", (e) => {
       clearTimeout(to);
       reject(e);
@@ -90,30 +210,129 @@ export async function getOrCreateModbusClient(
       resolve();
     });
   });
+}
+
+async function openSerialLink(path, cfg) {
+  if (!path) throw new Error("serial transport requires a port path");
+
+  let SerialPort;
+  try {
+    ({ SerialPort } = await import("serialport"));
+  } catch {
+    throw new Error("serial transport requires the 'serialport' package");
+  }
+
+  const port = new SerialPort({
+    path,
+    baudRate: cfg.baudRate,
+    parity: cfg.parity,
+    dataBits: cfg.dataBits,
+    stopBits: cfg.stopBits,
+    autoOpen: false
+  });
+
+  await new Promise((resolve, reject) => {
+    const to = setTimeout(() => reject(new Error("serial open timeout")), cfg.connectTimeoutMs);
+    port.open((err) => {
+      clearTimeout(to);
+      if (err) reject(err);
+      else resolve();
+    });
+  });
+
+  return port;
+}
+
+function createClient(link, cfg) {
+  return cfg.transport === "tcp"
+    ? new Modbus.client.TCP(link, cfg.unitId, cfg.requestTimeoutMs)
+    : new Modbus.client.RTU(link, cfg.unitId, cfg.requestTimeoutMs);
+}
 
-  const pooledNew = {
-    client,
-    socket,
+async function openLink(ip, key, cfg) {
+  const clients = new Map();
+  let link;
+
+  if (cfg.transport === "rtu") {
+    link = await openSerialLink(cfg.path || ip, cfg);
+  } else {
+    link = new net.Socket();
+    // TCP clients learn they are online from the socket's connect event,
+    // so they must exist before we connect
+    if (cfg.transport === "tcp") clients.set(cfg.unitId, createClient(link, cfg));
+    await connectSocket(link, ip, cfg);
+    // jsmodbus' RTU client expects a serialport-style `isOpen` flag
+    if (cfg.transport === "rtu-tcp") link.isOpen = true;
+  }
+
+  const pooled = {
+    link,
+    clients,
     lastUsed: Date.now(),
     closing: false,
     cfg
   };
-  pool.set(key, pooledNew);
+  pool.set(key, pooled);
 
-  socket.on("close", () => {
-    pooledNew.closing = true;
-    pool.delete(key);
-  });
-  socket.on("error", () => {
-    pooledNew.closing = true;
+  const drop = () => {
+    pooled.closing = true;
+    if (cfg.transport === "rtu-tcp") link.isOpen = false;
+    if (pool.get(key) === pooled) pool.delete(key);
+  };
+
+  link.on("close", drop);
+  link.on("error", () => {
+    drop();
     try {
-      socket.destroy();
+      link.destroy();
     } catch {}
-    pool.delete(key);
   });
 
   setTimeout(() => maybeCloseIdle(key), cfg.idleCloseMs).unref();
 
+  return pooled;
+}
+
+/**
+ * Get or create a pooled Modbus client.
+ * For transport "rtu" the serial port path comes from opts.path (or ip).
+ */
+export async function getOrCreateModbusClient(
+  ip,
+  port = DEFAULTS.port,
+  unitId = DEFAULTS.unitId,
+  opts = {}
+) {
+  const cfg = resolveCfg({ ...opts, port, unitId });
+  const key = linkKey(cfg, ip);
+
+  let pooled = pool.get(key);
+  if (!pooled || pooled.closing || !isLinkOpen(pooled)) {
+    let pending = opening.get(key);
+    if (!pending) {
+      pending = openLink(ip, key, cfg)
+        .then((opened) => {
+          linkStats.connects++;
+          if (everOpened.has(key)) linkStats.reconnects++;
+          everOpened.add(key);
+          return opened;
+        }, (e) => {
+          linkStats.connect_errors++;
+          throw e;
+        })
+        .finally(() => opening.delete(key));
+      opening.set(key, pending);
+    }
+    pooled = await pending;
+  }
+  pooled.lastUsed = Date.now();
+
+  let client = pooled.clients.get(cfg.unitId);
+  if (!client) {
+    client = createClient(pooled.link, cfg);
+    pooled.clients.set(cfg.unitId, client);
+  }
+
   return client;
 }
 
@@ -123,7 +342,8 @@ function maybeCloseIdle(key) {
   if (Date.now() - pooled.lastUsed >= pooled.cfg.idleCloseMs) {
     pooled.closing = true;
     try {
-      pooled.socket.end();
+      if (pooled.cfg.transport === "rtu") pooled.link.close();
+      else pooled.link.end();
     } catch {}
     pool.delete(key);
   } else {
@@ -131,34 +351,52 @@ function maybeCloseIdle(key) {
   }
 }
 
+/**
+ * Connection pool size and link open counters.
+ * @returns {{ links:number, clients:number, connects:number, reconnects:number, connect_errors:number }}
+ */
+export function getPoolStats() {
+  let clients = 0;
+  for (const pooled of pool.values()) clients += pooled.clients.size;
+  return { links: pool.size, clients, ...linkStats };
+}
+
 /** ---------- low-level read helpers ---------- */
 
-async function readBlockFC3(client, start, len) {
-  const resp = await client.readHoldingRegisters(start, len);
+// Register reads return 2 bytes per register; coil/discrete input reads
+// return bits packed LSB-first (len counts bits)
+const READERS = {
+  1: (client, start, len) => client.readCoils(start, len),
+  2: (client, start, len) => client.readDiscreteInputs(start, len),
+  3: (client, start, len) => client.readHoldingRegisters(start, len),
+  4: (client, start, len) => client.readInputRegisters(start, len)
+};
+
+async function readBlock(client, fn, start, len) {
+  const resp = await READERS[fn](client, start, len);
   return Buffer.from(resp.response._body._valuesAsBuffer);
 }
 
 /**
  * Read all declared blocks for a device IP.
- * @param {string} ip
+ * @param {string} ip  IP address, or serial port path for transport "rtu"
  * @param {Array<{name:string, fn:number, start:number, len:number}>} blocks
- * @param {{ unitId?:number, port?:number, maxRetries?:number }} opts
+ * @param {{ unitId?:number, port?:number, maxRetries?:number, transport?:string, path?:string,
+ *           priority?:number }} opts  priority defaults to PRIORITY.poll
  * @returns {Promise<Record<string, Buffer>>}
  */
 export async function readBlocksForDevice(ip, blocks, opts = {}) {
-  const cfg = { ...DEFAULTS, ...opts };
+  const { priority = PRIORITY.poll, ...rest } = opts;
+  const cfg = resolveCfg(rest);
   const client = await getOrCreateModbusClient(ip, cfg.port, cfg.unitId, cfg);
 
   const out = {};
   for (const b of blocks) {
-    if (b.fn !== 3) {
-      throw new Error(`Unsupported fn=${b.fn} (only FC3 supported here)`);
+    if (!READERS[b.fn]) {
+      throw new Error(`Unsupported fn=${b.fn} (FC1-FC4 supported here)`);
     }
     out[b.name] = await retry(
-      async () => {
-        const buf = await readBlockFC3(client, b.start, b.len);
-        return buf;
-      },
+      () => transact(cfg, ip, () => readBlock(client, b.fn, b.start, b.len), priority),
       cfg.maxRetries
     );
   }
@@ -169,19 +407,33 @@ export async function readBlocksForDevice(ip, blocks, opts = {}) {
 
 /**
  * Execute a write:
+ *  - FC5 for single coil
  *  - FC6 for single register
+ *  - FC15 for multiple coils
  *  - FC16 for multiple registers
- * @param {string} ip
- * @param {number} fc      6 | 16
- * @param {number} start   register address
- * @param {number[]} regs  array of u16 values OR single u16
- * @param {{ unitId?:number, port?:number, maxRetries?:number }} opts
+ * @param {string} ip      IP address, or serial port path for transport "rtu"
+ * @param {number} fc      5 | 6 | 15 | 16
+ * @param {number} start   register (or coil) address
+ * @param {number[]|boolean[]} regs  array of u16 values OR single u16 (booleans for coils)
+ * @param {{ unitId?:number, port?:number, maxRetries?:number, transport?:string, path?:string,
+ *           priority?:number }} opts  priority defaults to PRIORITY.command
  */
 export async function writeRegisters(ip, fc, start, regs, opts = {}) {
-  const cfg = { ...DEFAULTS, ...opts };
+  const { priority = PRIORITY.command, ...rest } = opts;
+  const cfg = resolveCfg(rest);
   const client = await getOrCreateModbusClient(ip, cfg.port, cfg.unitId, cfg);
 
   const doWrite = async () => {
+    if (fc === 5) {
+      const v = Array.isArray(regs) ? regs[0] : regs;
+      await client.writeSingleCoil(start, Boolean(v));
+      return;
+    }
+    if (fc === 15) {
+      const arr = (Array.isArray(regs) ? regs : [regs]).map(Boolean);
+      await client.writeMultipleCoils(start, arr);
+      return;
+    }
     if (fc === 6) {
       const v = Array.isArray(regs) ? regs[0] : regs;
       await client.writeSingleRegister(start, v);
@@ -195,7 +447,7 @@ export async function writeRegisters(ip, fc, start, regs, opts = {}) {
     throw new Error(`Unsupported write FC=${fc}`);
   };
 
-  await retry(doWrite, cfg.maxRetries);
+  await retry(() => transact(cfg, ip, doWrite, priority), cfg.maxRetries);
 }
 
 /** ---------- retry helper ---------- */
@@ -219,80 +471,3 @@ async function retry(fn, max = 2) {
 function wait(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
-
-/** ---------- family polling for telemetry + live cache ---------- */
-
-/**
- * Run one full polling cycle for a given family.
- *
- * @param {object} family        - { family, config, mapCtx, devicePrefix, blocks }
- * @param {object} mqttPublisher - object from initMqttPublisher(siteId)
- * @param {object} loggingService- object from initLogging(siteId)
- * @param {Function} onLiveUpdate- callback(tankId, ip, payload) for /api/live
- * @param {object} liveTanks     - map of tankId -> boolean (for ctrl family)
- */
-export async function runCycleForFamily(
-  family,
-  mqttClient,
-  siteId,
-  onLiveUpdate,
-  liveTanks
-)
- {
-  const { family: familyName, config, mapCtx, devicePrefix, blocks } = family;
-  const tanks = Object.keys(config);
-  const limit = createLimiter(8);
-
-  const tasks = tanks.map((tankId) =>
-    limit(async () => {
-      const cfg = config[tankId];
-
-      if (familyName === "ctrl" && liveTanks && liveTanks[tankId] !== true) {
-        return;
-      }
-
-      const ip = typeof cfg === "string" ? cfg : cfg.ip;
-      const unitId = typeof cfg === "object" && cfg.unitId ? cfg.unitId : 1;
-      const deviceId = `${devicePrefix}-${tankId}`;
-
-      try {
-        const blkBufs = await readBlocksForDevice(ip, blocks, { unitId });
-        if (!blkBufs || Object.keys(blkBufs).length === 0) {
-          console.error(`❌ ${familyName}:${tankId} @ ${ip}: no block data returned`);
-          return;
-        }
-
-        const values = mapCtx.decodePointsFromBlocks
-          ? mapCtx.decodePointsFromBlocks(blkBufs)
-          : mapCtx.decode(blkBufs);
-
-        const payload = {
-          ts_utc: new Date().toISOString(),
-          schema_ver: mapCtx.map?.schema_ver || 1,
-          site_id: siteId,
-          tank_id: tankId,
-          device_id: deviceId,
-          fw: "gw-1.0.0",
-          s: values,
-          qc: { status: "ok" }
-        };
-
-        publishTelemetry(mqttClient, payload, familyName);
-
-
-        if (onLiveUpdate) {
-          onLiveUpdate(tankId, ip, payload);
-        }
-
-        const short = Object.entries(values)
-          .map(([k, v]) => `${k}=${v}`)
-          .join(" ");
-        console.log(`✅ ${familyName}:${tankId} @ ${ip} → ${short}`);
-      } catch (err) {
-        console.error(`❌ ${familyName}:${tankId} @ ${ip}:`, err.message);
-      }
-    })
-  );
-
-  await Promise.all(tasks);
-}
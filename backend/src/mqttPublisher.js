@@ -2,6 +2,9 @@
 import mqtt from "mqtt";
 import { logTelemetry } from "./loggingService.js";
 
+// Counters for /metrics and /api/health
+const stats = { published: 0, publish_errors: 0, connects: 0, last_connect: null, last_error: null };
+
 export function createMqttClient(env) {
   const url = `mqtt://${env.MQTT_HOST || "localhost"}:${env.MQTT_PORT || 1883}`;
   const client = mqtt.connect(url, {
@@ -12,14 +15,31 @@ export function createMqttClient(env) {
     clean: true
   });
 
-  client.on("connect", () => console.log(`✅ MQTT connected → ${url}`));
+  client.on("connect", () => {
+    stats.connects++;
+    stats.last_connect = new Date().toISOString();
+    console.log(`✅ MQTT connected → ${url}`);
+  });
   client.on("reconnect", () => console.log("… MQTT reconnecting …"));
-  client.on("error", (e) => console.error("MQTT error:", e.message));
+  client.on("error", (e) => {
+    stats.last_error = e.message;
+    console.error("MQTT error:", e.message);
+  });
   client.on("close", () => console.log("MQTT connection closed"));
 
   return client;
 }
 
+/**
+ * Connection state and publish counters.
+ * @param {import('mqtt').MqttClient} client
+ * @returns {{ connected:boolean, published:number, publish_errors:number, connects:number,
+ *   last_connect:string|null, last_error:string|null }}
+ */
+export function getMqttStats(client) {
+  return { connected: !!client?.connected, ...stats };
+}
+
 /**
  * Publish telemetry to MQTT AND persist it to NDJSON logs.
  *
@@ -33,7 +53,12 @@ export function publishTelemetry(client, payload, family) {
   // 1) Publish to MQTT
   const topic = `symbrosia/${site_id}/${tank_id}/${device_id}/telemetry`;
   client.publish(topic, JSON.stringify(payload), { qos: 1 }, (err) => {
-    if (err) console.error("MQTT publish error:", err);
+    if (err) {
+      stats.publish_errors++;
+      console.error("MQTT publish error:", err);
+    } else {
+      stats.published++;
+    }
   });
 
   // 2) Persist to local logs (rate-limited, per-tank-per-day)
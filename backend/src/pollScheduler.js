@@ -0,0 +1,282 @@
+// backend/src/pollScheduler.js
+// Per-device poll scheduler. Every device has its own next-due time and
+// interval; failing devices back off exponentially, tanks in alarm (or just
+// written to) are polled faster, and a device is never polled twice at once.
+
+import { isTankInAlarm } from "./alarmService.js";
+
+const DEFAULTS = {
+  intervalMs: 60_000, // normal cadence when nothing else applies
+  fastMs: 15_000, // cadence while in alarm / after a write
+  fastWindowMs: 120_000, // how long the post-write fast cadence lasts
+  backoffMaxMs: 15 * 60_000, // ceiling for failing devices
+  concurrency: 8, // max polls in flight
+  tickMs: 500, // how often due devices are dispatched
+};
+
+let opts = { ...DEFAULTS };
+let pollFn = null; // async (family, device) => { ok: boolean }
+let onIdle = null; // called when the last in-flight poll of a burst finishes
+
+// key: `${family}:${tankId}` -> entry (see makeEntry)
+const entries = new Map();
+
+let inFlight = 0;
+let timer = null;
+let lastTickAt = null; // last dispatch run
+let lastPollOkAt = null; // last successful poll of any device
+
+/* ------------------------------------------------------------------ */
+/*                          Setup + lifecycle                          */
+/* ------------------------------------------------------------------ */
+
+/**
+ * @param {object} cfg
+ * @param {(family: object, device: object) => Promise<{ok: boolean}>} cfg.poll
+ * @param {() => any} [cfg.onIdle]
+ * @param {number} [cfg.intervalMs]
+ * @param {number} [cfg.fastMs]
+ * @param {number} [cfg.fastWindowMs]
+ * @param {number} [cfg.backoffMaxMs]
+ * @param {number} [cfg.concurrency]
+ */
+export function configureScheduler(cfg = {}) {
+  const { poll, onIdle: idle, ...rest } = cfg;
+  pollFn = poll;
+  onIdle = idle || null;
+  for (const [k, v] of Object.entries(rest)) {
+    if (Number.isFinite(v) && v > 0) opts[k] = v;
+  }
+}
+
+/**
+ * Replace the set of scheduled devices. Devices already known keep their
+ * due time and failure count; new ones are spread over the first few seconds.
+ *
+ * @param {Array<{family: string, pollMs?: number, devices: object[]}>} families
+ */
+export function syncDevices(families) {
+  const seen = new Set();
+  const now = Date.now();
+
+  for (const family of families) {
+    for (const device of family.devices) {
+      const key = `${family.family}:${device.tankId}`;
+      seen.add(key);
+
+      const prev = entries.get(key);
+      if (prev) {
+        prev.family = family;
+        prev.device = device;
+        continue;
+      }
+      entries.set(key, makeEntry(family, device, now));
+    }
+  }
+
+  for (const key of entries.keys()) {
+    if (!seen.has(key)) entries.delete(key);
+  }
+}
+
+export function startScheduler() {
+  if (timer) return;
+  timer = setInterval(dispatch, opts.tickMs);
+  dispatch();
+}
+
+export function stopScheduler() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+/* ------------------------------------------------------------------ */
+/*                        Cadence adjustments                          */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Poll tankId as soon as possible and keep it on the fast cadence for a
+ * while (e.g. right after a write command, so the UI confirms quickly).
+ * Applies to every family the tank appears in.
+ */
+export function expeditePoll(tankId) {
+  const now = Date.now();
+  for (const entry of entries.values()) {
+    if (entry.device.tankId !== tankId) continue;
+    entry.fastUntil = now + opts.fastWindowMs;
+    entry.dueAt = Math.min(entry.dueAt, now);
+  }
+}
+
+/**
+ * Poll tankId right now, outside its schedule, and resolve when done. A poll
+ * already in flight for the device is joined instead of starting a second
+ * one, so a device is still never polled twice at once. Out-of-band polls
+ * don't wait for a free concurrency slot.
+ *
+ * @param {string} tankId
+ * @param {string} [family]  limit to one family (default: every family the tank is in)
+ * @returns {Promise<Array<{ family:string, ok:boolean }>>} empty if the device isn't scheduled
+ */
+export async function pollNow(tankId, family) {
+  const targets = [...entries.values()].filter(
+    (e) => e.device.tankId === tankId && (!family || e.family.family === family),
+  );
+  return Promise.all(
+    targets.map(async (entry) => {
+      if (!entry.running) entry.pending = runEntry(entry);
+      return { family: entry.family.family, ok: await entry.pending };
+    }),
+  );
+}
+
+/** Snapshot of the schedule for diagnostics. */
+export function getScheduleState() {
+  const now = Date.now();
+  const devices = [];
+  for (const [key, e] of entries) {
+    devices.push({
+      key,
+      family: e.family.family,
+      tankId: e.device.tankId,
+      ip: e.device.ip,
+      interval_ms: e.lastIntervalMs,
+      due_in_ms: Math.max(0, e.dueAt - now),
+      running: e.running,
+      consecutive_failures: e.failures,
+      last_duration_ms: e.lastDurationMs,
+      last_ok: e.lastOk ? new Date(e.lastOk).toISOString() : null,
+    });
+  }
+  return { in_flight: inFlight, concurrency: opts.concurrency, devices };
+}
+
+/**
+ * Loop liveness for /api/health: when the dispatcher last ran, the last
+ * successful poll, and how far behind schedule the most overdue device is
+ * (devices waiting for a free concurrency slot count as overdue).
+ */
+export function getSchedulerHealth() {
+  const now = Date.now();
+  let overdue = 0;
+  let maxLagMs = 0;
+  for (const e of entries.values()) {
+    if (e.running) continue;
+    const lag = now - e.dueAt;
+    if (lag > opts.tickMs * 2) {
+      overdue++;
+      maxLagMs = Math.max(maxLagMs, lag);
+    }
+  }
+  return {
+    running: timer !== null,
+    tick_ms: opts.tickMs,
+    interval_ms: opts.intervalMs,
+    last_tick_at: lastTickAt ? new Date(lastTickAt).toISOString() : null,
+    last_tick_age_ms: lastTickAt ? now - lastTickAt : null,
+    last_poll_ok_at: lastPollOkAt ? new Date(lastPollOkAt).toISOString() : null,
+    in_flight: inFlight,
+    devices: entries.size,
+    overdue_devices: overdue,
+    max_lag_ms: maxLagMs,
+  };
+}
+
+/* ------------------------------------------------------------------ */
+/*                        Internal helpers                             */
+/* ------------------------------------------------------------------ */
+
+function makeEntry(family, device, now) {
+  const base = baseInterval(family, device);
+  return {
+    family,
+    device,
+    dueAt: now + Math.random() * Math.min(base, 5_000),
+    running: false,
+    pending: null, // promise of the poll in flight (resolves to ok)
+    failures: 0,
+    fastUntil: 0,
+    lastOk: null,
+    lastDurationMs: null,
+    lastIntervalMs: base,
+  };
+}
+
+// Device override > family override > global default
+function baseInterval(family, device) {
+  return device.pollMs || family.pollMs || opts.intervalMs;
+}
+
+function nextInterval(entry, now) {
+  const base = baseInterval(entry.family, entry.device);
+
+  if (entry.failures > 0) {
+    // 1st failure retries on the normal cadence, then doubles each time
+    const backoff = base * 2 ** Math.min(entry.failures - 1, 16);
+    return Math.min(backoff, Math.max(opts.backoffMaxMs, base));
+  }
+
+  if (now < entry.fastUntil || isTankInAlarm(entry.device.tankId)) {
+    return Math.min(base, opts.fastMs);
+  }
+
+  return base;
+}
+
+function dispatch() {
+  if (!pollFn) return;
+  const now = Date.now();
+  lastTickAt = now;
+
+  const due = [];
+  for (const entry of entries.values()) {
+    if (!entry.running && entry.dueAt <= now) due.push(entry);
+  }
+  due.sort((a, b) => a.dueAt - b.dueAt);
+
+  for (const entry of due) {
+    if (inFlight >= opts.concurrency) break;
+    entry.pending = runEntry(entry);
+  }
+}
+
+async function runEntry(entry) {
+  entry.running = true;
+  inFlight++;
+  const started = Date.now();
+
+  let ok = false;
+  try {
+    const result = await pollFn(entry.family, entry.device);
+    ok = result?.ok !== false;
+  } catch (e) {
+    console.error(`Scheduler poll error ${entry.device.tankId}:`, e.message);
+  }
+
+  const finished = Date.now();
+  entry.lastDurationMs = finished - started;
+  if (ok) {
+    entry.failures = 0;
+    entry.lastOk = finished;
+    lastPollOkAt = finished;
+  } else {
+    entry.failures++;
+  }
+
+  // Keep the cadence anchored to the start time, but never schedule in the
+  // past (a slow poll simply pushes the next one out)
+  entry.lastIntervalMs = nextInterval(entry, finished);
+  entry.dueAt = Math.max(started + entry.lastIntervalMs, finished);
+  entry.running = false;
+
+  inFlight--;
+  if (inFlight === 0 && onIdle) {
+    // not awaited: whoever waits on entry.pending (a forced poll) gets its
+    // result first, without waiting on e.g. a Slack post
+    const idle = onIdle;
+    Promise.resolve(entry.pending)
+      .then(() => idle())
+      .catch((e) => console.error("Scheduler idle hook error:", e.message));
+  }
+  return ok;
+}
@@ -1,24 +1,218 @@
-import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
+import { readConfigJson } from "./configStore.js";
 
 /** ---------- load & validate ---------- */
 const __filename = fileURLToPath(import.meta.url);
 const __dirname  = path.dirname(__filename);
 
+// Re-parsed only when the file changes; an invalid edit keeps the last good
+// map (see configStore)
 export function loadRegisterMap(relativeJsonPath = "../config/registerMap.json") {
   const p = path.join(__dirname, relativeJsonPath);
-  const map = JSON.parse(fs.readFileSync(p, "utf8"));
-  validateMap(map);
+  const map = readConfigJson(p, {
+    validate: (json) => {
+      validateMap(json, path.basename(p));
+      // Hand-written blocks are an override; otherwise plan them from the points
+      if (!json.blocks) json.blocks = planBlocks(json);
+      return json;
+    },
+  });
+  if (!map) throw new Error(`${path.basename(p)} not found`);
   return { map };
 }
 
-function validateMap(map) {
-  if (!map || typeof map !== "object") throw new Error("registerMap missing");
-  if (!Array.isArray(map.blocks)) throw new Error("registerMap.blocks missing");
-  if (!map.points || typeof map.points !== "object") throw new Error("registerMap.points missing");
-  if (!["BE","LE"].includes(map.byte_order || "BE")) throw new Error("byte_order invalid");
-  if (!["ABCD","CDAB"].includes(map.word_order || "ABCD")) throw new Error("word_order invalid");
+// Warnings already printed, so periodic family reloads don't repeat them
+const warned = new Set();
+
+function validateMap(map, label = "registerMap") {
+  const { errors, warnings } = lintRegisterMap(map);
+  for (const w of warnings) {
+    const key = `${label}: ${w}`;
+    if (warned.has(key)) continue;
+    warned.add(key);
+    console.warn(`⚠️ ${key}`);
+  }
+  if (errors.length) {
+    throw new Error(`${label} invalid:\n  - ${errors.join("\n  - ")}`);
+  }
+}
+
+/** ---------- schema lint ---------- */
+const POINT_TYPES = new Set([
+  "bool", "u16", "i16", "u32", "i32", "float32", "u64", "i64", "float64",
+  "string", "enum", "bitfield"
+]);
+const INTEGER_TYPES = new Set(["u16", "i16", "u32", "i32", "u64", "i64"]);
+// what each integer type can hold on the wire (writes outside are refused)
+const INTEGER_RANGES = {
+  u16: [0, 0xffff],
+  i16: [-0x8000, 0x7fff],
+  u32: [0, 0xffffffff],
+  i32: [-0x80000000, 0x7fffffff],
+  // 64-bit writes arrive as JS numbers: past the safe integers they would
+  // round silently, so those are refused too
+  u64: [0, Number.MAX_SAFE_INTEGER],
+  i64: [Number.MIN_SAFE_INTEGER, Number.MAX_SAFE_INTEGER],
+};
+const FLOAT_TYPES = new Set(["float32", "float64"]);
+const POINT_KEYS = new Set([
+  "addr", "type", "fn", "ro", "desc", "units", "scale", "offset", "safe_bounds",
+  "deadband", "byte_order", "word_order", "bit", "bits", "values", "base",
+  "length", "packing", "encoding", "write_fc"
+]);
+
+const isInt = (v) => Number.isInteger(v) && v >= 0;
+
+/**
+ * Check a register map against the schema without throwing.
+ * Errors make the map unusable; warnings flag things that are probably wrong.
+ * Messages name the point (and address) or block they refer to.
+ * @param {object} map
+ * @returns {{ errors: string[], warnings: string[] }}
+ */
+export function lintRegisterMap(map) {
+  const errors = [];
+  const warnings = [];
+
+  if (!map || typeof map !== "object") return { errors: ["registerMap missing"], warnings };
+  if (!map.points || typeof map.points !== "object") errors.push("registerMap.points missing");
+  if (!["BE","LE"].includes(map.byte_order || "BE")) errors.push("byte_order invalid");
+  if (!["ABCD","CDAB"].includes(map.word_order || "ABCD")) errors.push("word_order invalid");
+  if (map.blocks !== undefined && !Array.isArray(map.blocks)) errors.push("registerMap.blocks must be an array");
+  if (errors.length) return { errors, warnings };
+
+  if (map.families !== undefined &&
+      !(Array.isArray(map.families) && map.families.every((f) => typeof f === "string"))) {
+    errors.push("families must be a list of family names");
+  }
+  if (map.match !== undefined) {
+    if (!map.match || typeof map.match !== "object") errors.push("match must be an object");
+    else if (!Array.isArray(map.families)) warnings.push("match has no effect without families");
+  }
+
+  const planner = { ...PLANNER_DEFAULTS, ...(map.planner || {}) };
+  for (const key of ["max_regs", "max_bits", "max_gap"]) {
+    if (!isInt(planner[key])) errors.push(`planner.${key} must be a non-negative integer`);
+  }
+  if (!Array.isArray(planner.forbidden) ||
+      !planner.forbidden.every((r) => Array.isArray(r) && isInt(r[0]) && isInt(r[1]) && r[0] <= r[1])) {
+    errors.push("planner.forbidden must be a list of [start, end] ranges");
+    planner.forbidden = [];
+  }
+
+  // --- points ---
+  const spans = []; // { name, fn, start, end, bitOnly }
+  for (const [name, def] of Object.entries(map.points)) {
+    const where = `point ${name} @ ${def?.addr}`;
+    if (!def || typeof def !== "object") { errors.push(`point ${name}: definition must be an object`); continue; }
+
+    for (const k of Object.keys(def)) {
+      if (!POINT_KEYS.has(k) && !k.startsWith("_")) warnings.push(`${where}: unknown key "${k}"`);
+    }
+
+    if (!isInt(def.addr) || def.addr > 0xFFFF) { errors.push(`${where}: addr must be an integer 0-65535`); continue; }
+    if (!POINT_TYPES.has(def.type)) { errors.push(`${where}: unsupported type "${def.type}"`); continue; }
+
+    const fn = tableForPoint(def);
+    if (![1, 2, 3, 4].includes(fn)) { errors.push(`${where}: fn must be 1, 2, 3 or 4`); continue; }
+    if (BIT_TABLES.has(fn) && def.type !== "bool") { errors.push(`${where}: fn=${fn} points must be type bool`); continue; }
+
+    if (def.byte_order && !["BE","LE"].includes(def.byte_order)) errors.push(`${where}: byte_order invalid`);
+    if (def.word_order && !["ABCD","CDAB"].includes(def.word_order)) errors.push(`${where}: word_order invalid`);
+
+    if (def.type === "bool" && def.bit !== undefined && !(isInt(def.bit) && def.bit <= 15)) {
+      errors.push(`${where}: bit must be 0-15`);
+    }
+    if (def.type === "string") {
+      if (!isInt(def.length) || def.length < 1) { errors.push(`${where}: string needs length (registers)`); continue; }
+      if (def.packing && !["hi_lo", "lo_hi", "lo_only"].includes(def.packing)) errors.push(`${where}: packing invalid`);
+      if (def.encoding && !Buffer.isEncoding(def.encoding)) errors.push(`${where}: encoding invalid`);
+    }
+    if (def.type === "enum" || def.type === "bitfield") {
+      if (def.base !== undefined && !INTEGER_TYPES.has(def.base)) { errors.push(`${where}: base must be an integer type`); continue; }
+    }
+    if (def.type === "enum" && (!def.values || typeof def.values !== "object" || !Object.keys(def.values).length)) {
+      errors.push(`${where}: enum needs a values table`);
+    }
+    if (def.type === "bitfield") {
+      const width = wordsForType(def.base || "u16") * 16;
+      if (!def.bits || typeof def.bits !== "object") errors.push(`${where}: bitfield needs a bits table`);
+      for (const [bitName, bit] of Object.entries(def.bits || {})) {
+        if (!isInt(bit) || bit >= width) errors.push(`${where}: bit ${bitName}=${bit} outside 0-${width - 1}`);
+        if (map.points[bitName]) errors.push(`${where}: bit name ${bitName} collides with a point`);
+      }
+    }
+    if (def.write_fc !== undefined && !(fn === 1 && [5, 15].includes(def.write_fc))) {
+      errors.push(`${where}: write_fc is only valid on coils (5 or 15)`);
+    }
+
+    const writable = !def.ro && !READ_ONLY_TABLES.has(fn);
+    if (Array.isArray(def.safe_bounds)) {
+      const [lo, hi] = def.safe_bounds;
+      if (def.safe_bounds.length !== 2 || typeof lo !== "number" || typeof hi !== "number" || lo > hi) {
+        errors.push(`${where}: safe_bounds must be [low, high]`);
+      }
+      if (!writable) warnings.push(`${where}: safe_bounds on a read-only point`);
+    } else if (def.safe_bounds !== undefined) {
+      errors.push(`${where}: safe_bounds must be [low, high]`);
+    } else if (writable && (INTEGER_TYPES.has(def.type) || FLOAT_TYPES.has(def.type))) {
+      warnings.push(`${where}: writable point has no safe_bounds`);
+    }
+
+    if (def.deadband !== undefined) {
+      if (typeof def.deadband !== "number" || def.deadband < 0) errors.push(`${where}: deadband must be a non-negative number`);
+      if (!FLOAT_TYPES.has(def.type)) warnings.push(`${where}: deadband on non-float type ${def.type}`);
+      if (!writable) warnings.push(`${where}: deadband on a read-only point`);
+    }
+    if (writable && (typeof def.scale === "number" || typeof def.offset === "number")) {
+      warnings.push(`${where}: scale/offset are not applied to writes`);
+    }
+
+    const span = BIT_TABLES.has(fn) ? 1 : wordsForPoint(def);
+    const end = def.addr + span - 1;
+    if (overlapsForbidden(def.addr, end, planner.forbidden)) {
+      errors.push(`${where}: overlaps a planner.forbidden range`);
+    }
+    spans.push({ name, fn, start: def.addr, end, bitOnly: def.type === "bool" && def.bit !== undefined });
+  }
+
+  // --- overlapping points (bit flags may share a register with anything) ---
+  spans.sort((a, b) => a.fn - b.fn || a.start - b.start);
+  for (let i = 0; i < spans.length; i++) {
+    for (let j = i + 1; j < spans.length; j++) {
+      const a = spans[i], b = spans[j];
+      if (b.fn !== a.fn || b.start > a.end) break;
+      if (a.bitOnly || b.bitOnly) continue;
+      errors.push(`point ${a.name} @ ${a.start}-${a.end} overlaps point ${b.name} @ ${b.start}-${b.end} (fn=${a.fn})`);
+    }
+  }
+
+  // --- hand-written blocks ---
+  if (Array.isArray(map.blocks)) {
+    const names = new Set();
+    for (const b of map.blocks) {
+      const where = `block ${b?.name}`;
+      if (!b?.name) errors.push("block without a name");
+      else if (names.has(b.name)) errors.push(`${where}: duplicate name`);
+      names.add(b?.name);
+      if (![1, 2, 3, 4].includes(b?.fn)) { errors.push(`${where}: fn must be 1, 2, 3 or 4`); continue; }
+      const max = BIT_TABLES.has(b.fn) ? 2000 : 125;
+      if (!isInt(b.start) || !isInt(b.len) || b.len < 1 || b.len > max) {
+        errors.push(`${where}: start/len invalid (len 1-${max})`);
+        continue;
+      }
+      if (overlapsForbidden(b.start, b.start + b.len - 1, planner.forbidden)) {
+        warnings.push(`${where}: reads a planner.forbidden range`);
+      }
+    }
+    for (const sp of spans) {
+      const covered = map.blocks.some((b) => b.fn === sp.fn && sp.start >= b.start && sp.end <= b.start + b.len - 1);
+      if (!covered) errors.push(`point ${sp.name} @ ${sp.start}: not inside any block`);
+    }
+  }
+
+  return { errors, warnings };
 }
 
 /** ---------- public getters ---------- */
@@ -33,6 +227,77 @@ export function getPointDef({ map }, pointName) {
   return def;
 }
 
+/** ---------- block planning ---------- */
+const PLANNER_DEFAULTS = {
+  max_regs: 125,  // Modbus limit for FC3/FC4
+  max_bits: 2000, // Modbus limit for FC1/FC2
+  max_gap: 8,     // unused registers we'll read to save a request
+  forbidden: []   // [[start, end], ...] inclusive ranges the device rejects
+};
+
+function overlapsForbidden(start, end, forbidden) {
+  return forbidden.some(([lo, hi]) => start <= hi && end >= lo);
+}
+
+/**
+ * Compute read blocks from the declared points, one table (fn) at a time.
+ * Adjacent points are merged while the gap stays within max_gap, the block
+ * stays within max_regs/max_bits and no forbidden address is covered.
+ * Options come from map.planner, overridden by opts.
+ * @param {object} map
+ * @param {{ max_regs?:number, max_bits?:number, max_gap?:number, forbidden?:Array<[number,number]> }} [opts]
+ * @returns {Array<{name:string, fn:number, start:number, len:number}>}
+ */
+export function planBlocks(map, opts = {}) {
+  const cfg = { ...PLANNER_DEFAULTS, ...(map.planner || {}), ...opts };
+  const spansByFn = new Map();
+
+  for (const [name, def] of Object.entries(map.points || {})) {
+    const fn = tableForPoint(def);
+    const span = BIT_TABLES.has(fn) ? 1 : wordsForPoint(def);
+    const start = def.addr;
+    const end = def.addr + span - 1;
+    if (overlapsForbidden(start, end, cfg.forbidden)) {
+      throw new Error(`Point ${name} @ ${start} overlaps a forbidden range`);
+    }
+    if (!spansByFn.has(fn)) spansByFn.set(fn, []);
+    spansByFn.get(fn).push({ name, start, end });
+  }
+
+  const blocks = [];
+  for (const fn of [...spansByFn.keys()].sort()) {
+    const maxLen = BIT_TABLES.has(fn) ? cfg.max_bits : cfg.max_regs;
+    const spans = spansByFn.get(fn).sort((a, b) => a.start - b.start);
+
+    let cur = null;
+    const flush = () => {
+      if (cur) blocks.push({ name: `auto${fn}_${cur.start}`, fn, start: cur.start, len: cur.end - cur.start + 1 });
+    };
+
+    for (const sp of spans) {
+      if (sp.end - sp.start + 1 > maxLen) {
+        throw new Error(`Point ${sp.name} @ ${sp.start} is longer than ${maxLen} per request`);
+      }
+      if (cur) {
+        const end = Math.max(cur.end, sp.end);
+        const fits =
+          sp.start <= cur.end + 1 + cfg.max_gap &&
+          end - cur.start + 1 <= maxLen &&
+          !overlapsForbidden(cur.start, end, cfg.forbidden);
+        if (fits) {
+          cur.end = end;
+          continue;
+        }
+      }
+      flush();
+      cur = { start: sp.start, end: sp.end };
+    }
+    flush();
+  }
+
+  return blocks;
+}
+
 /** ---------- decode (reads) ---------- */
 // Helpers to resolve per-point overrides or fall back to map defaults
 function resolveByteOrder(map, def) {
@@ -41,19 +306,49 @@ function resolveByteOrder(map, def) {
 function resolveWordOrder(map, def) {
   return def.word_order || map.word_order || "ABCD";
 }
+// Modbus tables: 1=coils, 2=discrete inputs (bit-addressed), 3=holding, 4=input registers
+const BIT_TABLES = new Set([1, 2]);
+const READ_ONLY_TABLES = new Set([2, 4]);
+
+function tableForPoint(def) {
+  return def.fn ?? 3;
+}
+
 function wordsForType(t) {
   switch (t) {
+    case "bool":
     case "u16":
     case "i16": return 1;
     case "u32":
     case "i32":
     case "float32": return 2;
+    case "u64":
+    case "i64":
+    case "float64": return 4;
     default: throw new Error(`Unsupported type: ${t}`);
   }
 }
+// enum/bitfield points are stored as a plain integer ("base", default u16)
+function numericTypeOf(def) {
+  return def.type === "enum" || def.type === "bitfield" ? def.base || "u16" : def.type;
+}
+function wordsForPoint(def) {
+  if (def.type === "string") {
+    if (!Number.isInteger(def.length) || def.length < 1) throw new Error("string point needs length (registers)");
+    return def.length;
+  }
+  return wordsForType(numericTypeOf(def));
+}
 function assemble32(hiBuf, loBuf, wordOrder) {
   return wordOrder === "CDAB" ? Buffer.concat([loBuf, hiBuf]) : Buffer.concat([hiBuf, loBuf]);
 }
+// 64-bit values: CDAB means the least significant word comes first
+function assemble64(buf, byteIndex, wordOrder) {
+  const words = [];
+  for (let i = 0; i < 4; i++) words.push(buf.slice(byteIndex + i * 2, byteIndex + i * 2 + 2));
+  if (wordOrder === "CDAB") words.reverse();
+  return Buffer.concat(words);
+}
 function readU16(buf, offset, byteOrder) { return byteOrder === "LE" ? buf.readUInt16LE(offset) : buf.readUInt16BE(offset); }
 function readI16(buf, offset, byteOrder) { return byteOrder === "LE" ? buf.readInt16LE(offset)  : buf.readInt16BE(offset); }
 function readU32FromWords(hi, lo, byteOrder, wordOrder) {
@@ -68,47 +363,107 @@ function readF32FromWords(hi, lo, byteOrder, wordOrder) {
   const b4 = assemble32(hi, lo, wordOrder);
   return byteOrder === "LE" ? b4.readFloatLE(0) : b4.readFloatBE(0);
 }
+// 64-bit integers come back as Number (exact up to 2^53, which covers counters in practice)
+function read64(buf, byteIndex, type, byteOrder, wordOrder) {
+  const b8 = assemble64(buf, byteIndex, wordOrder);
+  if (type === "float64") return byteOrder === "LE" ? b8.readDoubleLE(0) : b8.readDoubleBE(0);
+  if (type === "u64") return Number(byteOrder === "LE" ? b8.readBigUInt64LE(0) : b8.readBigUInt64BE(0));
+  return Number(byteOrder === "LE" ? b8.readBigInt64LE(0) : b8.readBigInt64BE(0));
+}
+function readNumeric(buf, byteIndex, type, byteOrder, wordOrder) {
+  if (type === "u16") return readU16(buf, byteIndex, byteOrder);
+  if (type === "i16") return readI16(buf, byteIndex, byteOrder);
+  if (["u64", "i64", "float64"].includes(type)) return read64(buf, byteIndex, type, byteOrder, wordOrder);
+
+  const hi = buf.slice(byteIndex, byteIndex + 2);
+  const lo = buf.slice(byteIndex + 2, byteIndex + 4);
+  if (type === "u32") return readU32FromWords(hi, lo, byteOrder, wordOrder);
+  if (type === "i32") return readI32FromWords(hi, lo, byteOrder, wordOrder);
+  if (type === "float32") return readF32FromWords(hi, lo, byteOrder, wordOrder);
+  throw new Error(`Unsupported type: ${type}`);
+}
+// String packing per register:
+//   "hi_lo"   (default) two chars, first char in the high byte
+//   "lo_hi"   two chars, first char in the low byte
+//   "lo_only" one char per register, in the low byte
+function readString(buf, byteIndex, def) {
+  const raw = buf.slice(byteIndex, byteIndex + def.length * 2);
+  const packing = def.packing || "hi_lo";
+  const bytes = [];
+  for (let i = 0; i < raw.length; i += 2) {
+    if (packing === "lo_only") bytes.push(raw[i + 1]);
+    else if (packing === "lo_hi") bytes.push(raw[i + 1], raw[i]);
+    else bytes.push(raw[i], raw[i + 1]);
+  }
+  const nul = bytes.indexOf(0);
+  const text = Buffer.from(nul === -1 ? bytes : bytes.slice(0, nul)).toString(def.encoding || "latin1");
+  return text.replace(/\s+$/, "");
+}
+function enumLabel(def, v) {
+  const label = def.values?.[String(v)];
+  return label ?? `unknown(${v})`;
+}
+// Coil/discrete input buffers are packed LSB-first, 8 bits per byte
+function readPackedBit(buf, bitIndex) {
+  return ((buf[bitIndex >> 3] >> (bitIndex & 7)) & 1) === 1;
+}
 
 /**
  * Decode all declared points from provided block buffers.
  * @param {{ map: object }} ctx
  * @param {{[blockName:string]: Buffer}} blockBuffers
- * @returns {{[pointName:string]: number|undefined}}
+ * @returns {{[pointName:string]: number|boolean|undefined}}
  */
 export function decodePointsFromBlocks({ map }, blockBuffers) {
   const out = {};
   const blocks = map.blocks.map(b => ({ ...b, end: b.start + b.len - 1 }));
 
   for (const [name, def] of Object.entries(map.points)) {
-    const words = wordsForType(def.type);
-    const blk = blocks.find(b => def.addr >= b.start && (def.addr + words - 1) <= b.end);
+    const fn = tableForPoint(def);
+    const span = BIT_TABLES.has(fn) ? 1 : wordsForPoint(def);
+    const blk = blocks.find(b => b.fn === fn && def.addr >= b.start && (def.addr + span - 1) <= b.end);
     if (!blk) { out[name] = undefined; continue; }
 
     const buf = blockBuffers[blk.name];
     if (!buf) { out[name] = undefined; continue; }
 
+    if (BIT_TABLES.has(fn)) {
+      out[name] = readPackedBit(buf, def.addr - blk.start);
+      continue;
+    }
+
     const byteOrder = resolveByteOrder(map, def);
     const wordOrder = resolveWordOrder(map, def);
     const byteIndex = (def.addr - blk.start) * 2;
 
+    if (def.type === "bool") {
+      // Register-backed flag: a single bit of the word, or the whole word != 0
+      const word = readU16(buf, byteIndex, byteOrder);
+      out[name] = typeof def.bit === "number" ? ((word >> def.bit) & 1) === 1 : word !== 0;
+      continue;
+    }
+
     try {
-      let v;
-      if (def.type === "u16") {
-        v = readU16(buf, byteIndex, byteOrder);
-      } else if (def.type === "i16") {
-        v = readI16(buf, byteIndex, byteOrder);
-      } else if (def.type === "u32") {
-        const hi = buf.slice(byteIndex, byteIndex + 2);
-        const lo = buf.slice(byteIndex + 2, byteIndex + 4);
-        v = readU32FromWords(hi, lo, byteOrder, wordOrder);
-      } else if (def.type === "i32") {
-        const hi = buf.slice(byteIndex, byteIndex + 2);
-        const lo = buf.slice(byteIndex + 2, byteIndex + 4);
-        v = readI32FromWords(hi, lo, byteOrder, wordOrder);
-      } else if (def.type === "float32") {
-        const hi = buf.slice(byteIndex, byteIndex + 2);
-        const lo = buf.slice(byteIndex + 2, byteIndex + 4);
-        v = readF32FromWords(hi, lo, byteOrder, wordOrder);
+      if (def.type === "string") {
+        out[name] = readString(buf, byteIndex, def);
+        continue;
+      }
+
+      let v = readNumeric(buf, byteIndex, numericTypeOf(def), byteOrder, wordOrder);
+
+      if (def.type === "enum") {
+        // keep the raw code for logging/alarms, add the label next to it
+        out[name] = v;
+        out[`${name}_label`] = enumLabel(def, v);
+        continue;
+      }
+      if (def.type === "bitfield") {
+        // raw word plus one boolean per named bit: bits: { "pump_on": 0, ... }
+        out[name] = v;
+        for (const [bitName, bit] of Object.entries(def.bits || {})) {
+          out[bitName] = Number((BigInt(v) >> BigInt(bit)) & 1n) === 1;
+        }
+        continue;
       }
 
       if (typeof def.scale === "number") v = v * def.scale;
@@ -123,6 +478,45 @@ export function decodePointsFromBlocks({ map }, blockBuffers) {
   return out;
 }
 
+/**
+ * Decode the registers starting at byteIndex as every numeric type, for
+ * reverse-engineering unknown registers (diagnostics inspector).
+ * 32/64-bit values are given for all four byte/word orders; ABCD is the
+ * map default (BE, ABCD), CDAB swaps words, BADC swaps bytes, DCBA both.
+ * Types that need more registers than remain in buf are left out.
+ * @param {Buffer} buf
+ * @param {number} byteIndex
+ * @returns {{ u16:object, i16:object, u32?:object, i32?:object, float32?:object,
+ *   u64?:object, i64?:object, float64?:object, ascii:string }}
+ */
+export function decodeAllTypes(buf, byteIndex) {
+  const remaining = (buf.length - byteIndex) / 2;
+  const orders = { ABCD: ["BE", "ABCD"], CDAB: ["BE", "CDAB"], BADC: ["LE", "CDAB"], DCBA: ["LE", "ABCD"] };
+  const byOrder = (type) => {
+    const out = {};
+    for (const [label, [byteOrder, wordOrder]] of Object.entries(orders)) {
+      out[label] = readNumeric(buf, byteIndex, type, byteOrder, wordOrder);
+    }
+    return out;
+  };
+
+  const out = {
+    u16: { BE: readU16(buf, byteIndex, "BE"), LE: readU16(buf, byteIndex, "LE") },
+    i16: { BE: readI16(buf, byteIndex, "BE"), LE: readI16(buf, byteIndex, "LE") },
+  };
+  if (remaining >= 2) {
+    for (const t of ["u32", "i32", "float32"]) out[t] = byOrder(t);
+  }
+  if (remaining >= 4) {
+    for (const t of ["u64", "i64", "float64"]) out[t] = byOrder(t);
+  }
+  // printable characters only, "hi_lo" packing
+  out.ascii = [buf[byteIndex], buf[byteIndex + 1]]
+    .map((c) => (c >= 0x20 && c < 0x7f ? String.fromCharCode(c) : "."))
+    .join("");
+  return out;
+}
+
 /** ---------- encode (writes) ---------- */
 function writeU16(buf, idx, v, byteOrder) { return byteOrder === "LE" ? buf.writeUInt16LE(v, idx) : buf.writeUInt16BE(v, idx); }
 function writeI16(buf, idx, v, byteOrder) { return byteOrder === "LE" ? buf.writeInt16LE(v, idx)  : buf.writeInt16BE(v, idx); }
@@ -130,17 +524,172 @@ function splitWords(b4, wordOrder) {
   const hi = b4.slice(0, 2), lo = b4.slice(2, 4);
   return wordOrder === "CDAB" ? [lo, hi] : [hi, lo];
 }
+function splitWords64(b8, wordOrder) {
+  const words = [];
+  for (let i = 0; i < 4; i++) words.push(b8.slice(i * 2, i * 2 + 2));
+  return wordOrder === "CDAB" ? words.reverse() : words;
+}
+function encodeString(def, raw) {
+  const text = Buffer.from(String(raw ?? ""), def.encoding || "latin1");
+  const packing = def.packing || "hi_lo";
+  const capacity = packing === "lo_only" ? def.length : def.length * 2;
+  if (text.length > capacity) throw new Error(`String longer than ${capacity} chars`);
+
+  const words = [];
+  for (let r = 0; r < def.length; r++) {
+    const w = Buffer.alloc(2); // NUL padded
+    if (packing === "lo_only") {
+      w[1] = text[r] ?? 0;
+    } else {
+      const c0 = text[r * 2] ?? 0;
+      const c1 = text[r * 2 + 1] ?? 0;
+      if (packing === "lo_hi") { w[0] = c1; w[1] = c0; }
+      else { w[0] = c0; w[1] = c1; }
+    }
+    words.push(w);
+  }
+  return words;
+}
+// enum: accept the numeric code or its label
+function enumToNumber(pointName, def, raw) {
+  const table = def.values || {};
+  const byLabel = Object.entries(table).find(([, label]) => label === raw);
+  const v = byLabel ? Number(byLabel[0]) : Number(raw);
+  if (!Object.prototype.hasOwnProperty.call(table, String(v))) {
+    throw new Error(`Value ${raw} is not one of ${pointName}'s enum values`);
+  }
+  return v;
+}
+// bitfield: accept the whole word, or { bitName: bool } (unlisted bits are written as 0)
+function bitfieldToNumber(pointName, def, raw) {
+  if (!raw || typeof raw !== "object") return Number(raw);
+  let v = 0;
+  for (const [bitName, on] of Object.entries(raw)) {
+    const bit = def.bits?.[bitName];
+    if (typeof bit !== "number") throw new Error(`Unknown bit ${bitName} for ${pointName}`);
+    if (toBool(on)) v += 2 ** bit;
+  }
+  return v;
+}
+
+function toBool(raw) {
+  if (typeof raw === "boolean") return raw;
+  const s = String(raw).trim().toLowerCase();
+  if (["1", "true", "on"].includes(s)) return true;
+  if (["0", "false", "off"].includes(s)) return false;
+  throw new Error(`Value ${raw} is not a boolean`);
+}
+
+/**
+ * Encode a point's value into its Modbus representation, without any
+ * read-only/bounds/deadband checks (planWrite does those). Values are raw:
+ * scale/offset are not undone. Used by planWrite and the simulator.
+ * Returns { fn, start, words[] } for registers, { fn, start, coils[] } for
+ * coils/discrete inputs, or { fn, start, bit, value } for a bit inside a register.
+ */
+export function encodePointValue({ map }, pointName, rawValue) {
+  const def = getPointDef({ map }, pointName);
+  const fn = tableForPoint(def);
+
+  if (BIT_TABLES.has(fn)) {
+    return { fn, start: def.addr, coils: [toBool(rawValue)] };
+  }
+
+  const byteOrder = resolveByteOrder(map, def);
+
+  if (def.type === "bool") {
+    const v = toBool(rawValue);
+    if (typeof def.bit === "number") return { fn, start: def.addr, bit: def.bit, value: v };
+    const b = Buffer.alloc(2);
+    writeU16(b, 0, v ? 1 : 0, byteOrder);
+    return { fn, start: def.addr, words: [b] };
+  }
+
+  if (def.type === "string") {
+    return { fn, start: def.addr, words: encodeString(def, rawValue) };
+  }
+
+  let v;
+  if (def.type === "enum") v = enumToNumber(pointName, def, rawValue);
+  else if (def.type === "bitfield") v = bitfieldToNumber(pointName, def, rawValue);
+  else v = Number(rawValue);
+  if (Number.isNaN(v) && !FLOAT_TYPES.has(def.type)) throw new Error("Value is NaN");
+
+  const wordOrder = resolveWordOrder(map, def);
+  const type = numericTypeOf(def);
+
+  if (type === "u16" || type === "i16") {
+    const b = Buffer.alloc(2);
+    (type === "u16" ? writeU16 : writeI16)(b, 0, v, byteOrder);
+    return { fn, start: def.addr, words: [b] };
+  }
+
+  if (["u32", "i32", "float32"].includes(type)) {
+    const b4 = Buffer.alloc(4);
+    if (type === "u32") { byteOrder === "LE" ? b4.writeUInt32LE(v, 0) : b4.writeUInt32BE(v, 0); }
+    else if (type === "i32") { byteOrder === "LE" ? b4.writeInt32LE(v, 0) : b4.writeInt32BE(v, 0); }
+    else { byteOrder === "LE" ? b4.writeFloatLE(v, 0) : b4.writeFloatBE(v, 0); }
+    return { fn, start: def.addr, words: splitWords(b4, wordOrder) };
+  }
+
+  if (["u64", "i64", "float64"].includes(type)) {
+    const b8 = Buffer.alloc(8);
+    if (type === "u64") { const big = BigInt(Math.round(v)); byteOrder === "LE" ? b8.writeBigUInt64LE(big, 0) : b8.writeBigUInt64BE(big, 0); }
+    else if (type === "i64") { const big = BigInt(Math.round(v)); byteOrder === "LE" ? b8.writeBigInt64LE(big, 0) : b8.writeBigInt64BE(big, 0); }
+    else { byteOrder === "LE" ? b8.writeDoubleLE(v, 0) : b8.writeDoubleBE(v, 0); }
+    return { fn, start: def.addr, words: splitWords64(b8, wordOrder) };
+  }
+
+  throw new Error(`Unsupported write type ${def.type}`);
+}
 
 /**
  * Validate bounds/deadband and produce a Modbus write plan for a point.
- * Returns { fc, start, quantity, words[], value, reason }
+ * Returns { fc, start, quantity, words[], value, reason }; value is what the
+ * words hold (decoded back, so float32 rounding shows), not the request.
+ * Coil plans (FC5/FC15) carry coils[] (booleans) instead of words.
+ * Integer types (incl. enum/bitfield bases) refuse fractions and values
+ * their type can't hold.
+ * reason is "deadband_skip" when the value is within the point's deadband of
+ * lastValue, the device's current raw value (deadbandService); the caller
+ * decides not to write. force skips the deadband check.
  */
-export function planWrite({ map }, pointName, rawValue, { allowClamp = true } = {}) {
+export function planWrite({ map }, pointName, rawValue, { allowClamp = true, lastValue, force = false } = {}) {
   const def = getPointDef({ map }, pointName);
   if (def.ro) throw new Error(`Point ${pointName} is read-only`);
 
-  let v = Number(rawValue);
+  const fn = tableForPoint(def);
+  if (READ_ONLY_TABLES.has(fn)) throw new Error(`Point ${pointName} is read-only (fn=${fn})`);
+
+  if (fn === 1) {
+    const v = toBool(rawValue);
+    // write_fc: 15 for devices that only implement Write Multiple Coils
+    const fc = def.write_fc === 15 ? 15 : 5;
+    return { fc, start: def.addr, quantity: 1, words: [], coils: [v], value: v, reason: "ok" };
+  }
+
+  if (def.type === "bool") {
+    if (typeof def.bit === "number") {
+      throw new Error(`Point ${pointName} is a bit inside a register and cannot be written on its own`);
+    }
+    const v = toBool(rawValue);
+    const { words } = encodePointValue({ map }, pointName, v);
+    return { fc: 6, start: def.addr, quantity: 1, words, value: v, reason: "ok" };
+  }
+
+  if (def.type === "string") {
+    const { words } = encodePointValue({ map }, pointName, rawValue);
+    return { fc: 16, start: def.addr, quantity: words.length, words, value: String(rawValue ?? ""), reason: "ok" };
+  }
+
+  let v;
+  if (def.type === "enum") v = enumToNumber(pointName, def, rawValue);
+  else if (def.type === "bitfield") v = bitfieldToNumber(pointName, def, rawValue);
+  else v = Number(rawValue);
   if (Number.isNaN(v)) throw new Error("Value is NaN");
+  const type = numericTypeOf(def);
+  const range = INTEGER_RANGES[type];
+  if (range && !Number.isInteger(v)) throw new Error(`Point ${pointName} is ${type}; ${v} is not an integer`);
   let reason = "ok";
 
   // safe bounds
@@ -152,29 +701,68 @@ export function planWrite({ map }, pointName, rawValue, { allowClamp = true } =
       reason = "clamped";
     }
   }
+  if (range && (v < range[0] || v > range[1])) {
+    throw new Error(`Value ${v} is out of range for ${type} [${range[0]}, ${range[1]}]`);
+  }
   // deadband
-  if (typeof def.deadband === "number" && typeof def._lastSet === "number") {
-    if (Math.abs(v - def._lastSet) < def.deadband) reason = "deadband_skip";
+  if (!force && typeof def.deadband === "number" && typeof lastValue === "number") {
+    if (Math.abs(v - lastValue) < def.deadband) reason = "deadband_skip";
   }
-  def._lastSet = v;
 
-  const byteOrder = resolveByteOrder(map, def);
-  const wordOrder = resolveWordOrder(map, def);
+  const { words } = encodePointValue({ map }, pointName, v);
+  const fc = words.length === 1 ? 6 : 16;
+  // enum/bitfield codes are exact integers already (and decode to labels)
+  const value = def.type === type ? decodeRawPoint({ map }, pointName, Buffer.concat(words)) : v;
+  return { fc, start: def.addr, quantity: words.length, words, value, reason };
+}
 
-  if (def.type === "u16" || def.type === "i16") {
-    const b = Buffer.alloc(2);
-    (def.type === "u16" ? writeU16 : writeI16)(b, 0, v, byteOrder);
-    return { fc: 6, start: def.addr, quantity: 1, words: [b], value: v, reason };
-  }
+/** ---------- write read-back ---------- */
 
-  if (["u32", "i32", "float32"].includes(def.type)) {
-    const b4 = Buffer.alloc(4);
-    if (def.type === "u32") { byteOrder === "LE" ? b4.writeUInt32LE(v, 0) : b4.writeUInt32BE(v, 0); }
-    else if (def.type === "i32") { byteOrder === "LE" ? b4.writeInt32LE(v, 0) : b4.writeInt32BE(v, 0); }
-    else { byteOrder === "LE" ? b4.writeFloatLE(v, 0) : b4.writeFloatBE(v, 0); }
-    const [w1, w2] = splitWords(b4, wordOrder);
-    return { fc: 16, start: def.addr, quantity: 2, words: [w1, w2], value: v, reason };
-  }
+// Floats written and read back may differ by the device's own rounding
+const READBACK_REL_TOL = 1e-5;
+const READBACK_ABS_TOL = 1e-6;
 
-  throw new Error(`Unsupported write type ${def.type}`);
+/**
+ * The registers (or coil) to read after writing a point.
+ * @returns {{ name:string, fn:number, start:number, len:number }}
+ */
+export function readBackBlock({ map }, pointName) {
+  const def = getPointDef({ map }, pointName);
+  const fn = tableForPoint(def);
+  return { name: "readback", fn, start: def.addr, len: BIT_TABLES.has(fn) ? 1 : wordsForPoint(def) };
+}
+
+/**
+ * Decode a point from its readBackBlock registers, raw (no scale/offset, the
+ * same units planWrite takes), e.g. the value before a write.
+ * @returns {any}
+ */
+export function decodeRawPoint({ map }, pointName, buf) {
+  const { scale, offset, ...rawDef } = getPointDef({ map }, pointName);
+  const block = readBackBlock({ map }, pointName);
+  const ctx = { map: { ...map, blocks: [block], points: { [pointName]: rawDef } } };
+  return decodePointsFromBlocks(ctx, { readback: buf })[pointName];
+}
+
+/**
+ * Decode a point read back after a write and compare it with what the plan
+ * wrote. Both sides are decoded with the same point definition, raw (no
+ * scale/offset, like the write itself).
+ * @param {{ map: object }} ctx
+ * @param {string} pointName
+ * @param {object} plan  from planWrite
+ * @param {Buffer} buf   the readBackBlock registers
+ * @returns {{ value:any, expected:any, verified:boolean }}
+ */
+export function verifyReadBack({ map }, pointName, plan, buf) {
+  const value = decodeRawPoint({ map }, pointName, buf);
+  const expected = plan.coils ? plan.coils[0] : decodeRawPoint({ map }, pointName, Buffer.concat(plan.words));
+  return { value, expected, verified: readBackMatches(expected, value) };
+}
+
+function readBackMatches(expected, actual) {
+  if (typeof expected !== "number" || typeof actual !== "number") return expected === actual;
+  if (Number.isInteger(expected) && Number.isInteger(actual)) return expected === actual;
+  const tol = Math.max(READBACK_ABS_TOL, Math.abs(expected) * READBACK_REL_TOL);
+  return Math.abs(expected - actual) <= tol;
 }
@@ -0,0 +1,399 @@
+// backend/src/scheduleService.js
+// Setpoint programs: a daily or weekly list of point values for a set of
+// tanks (a list, a prefix or a saved group, see groupService), e.g. ctl1_setpoint 7.6 from 06:00 and 7.9 from 18:00 (Hawaiʻi time).
+// Writes go through executeCommand with source "schedule", so they are rate
+// limited, read back and audited like any operator command.
+//
+// A program always has one step "in effect": the latest transition at or
+// before now. Every tick the runner applies that step to each target tank
+// that hasn't had it yet, so a transition missed while the gateway was down
+// is applied on the first tick after a restart. Only the step in effect is
+// applied; older missed steps would be overwritten straight away anyway.
+// Transitions from before a program's times or tanks last changed
+// (effective_from) are not applied: adding a program or changing what it
+// writes where never writes, the next transition does. Renaming it or
+// switching it off and on again keeps effective_from, so the step in effect
+// is still applied if it hasn't been.
+//
+// Programs live in data/schedules.json, what was applied for which
+// transition in data/schedule-state.json. Past executions come from the
+// audit log (source "schedule").
+
+import path from "path";
+import { fileURLToPath } from "url";
+import fs from "fs";
+import { promises as fsp } from "fs";
+import { randomUUID } from "crypto";
+import { executeCommand, recordRejection, parseOps } from "./commandService.js";
+import { familySpec, getFamilySpecs } from "./familyRegistry.js";
+import { resolveTankSet } from "./groupService.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const PROGRAMS_PATH = path.join(__dirname, "..", "data", "schedules.json");
+const STATE_PATH = path.join(__dirname, "..", "data", "schedule-state.json");
+
+const TICK_MS = Number(process.env.SCHEDULE_TICK_MS || 30_000);
+// a tank that failed a transition is tried again this often until the next one
+const RETRY_MS = Number(process.env.SCHEDULE_RETRY_MS || 5 * 60_000);
+
+const HST_OFFSET_MS = 10 * 60 * 60 * 1000; // UTC-10, no DST
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const TIME_RE = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+let programs = loadJson(PROGRAMS_PATH, []);
+// key: program id -> { transition: ISO, step: index, tanks: { [tankId]: { ok, at, tx_id, error, attempts } } }
+const state = loadJson(STATE_PATH, {});
+
+let resolveTarget = null; // async (tankId, family) => command target
+let listTanks = null; // (family) => tankIds configured in that family
+let timer = null;
+let ticking = false;
+
+/* ------------------------------------------------------------------ */
+/*                          Setup + lifecycle                          */
+/* ------------------------------------------------------------------ */
+
+/**
+ * @param {object} cfg
+ * @param {(tankId: string, family: string) => Promise<object>} cfg.resolveTarget
+ *   the same target executeCommand gets for HTTP/MQTT commands
+ * @param {(family: string) => string[]} cfg.listTanks  for prefix targets
+ */
+export function startScheduleRunner(cfg) {
+  resolveTarget = cfg.resolveTarget;
+  listTanks = cfg.listTanks;
+  stopScheduleRunner();
+  timer = setInterval(runDuePrograms, TICK_MS);
+  // catch up on anything missed while we were down
+  setTimeout(runDuePrograms, 0);
+}
+
+export function stopScheduleRunner() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+/* ------------------------------------------------------------------ */
+/*                             Programs                                */
+/* ------------------------------------------------------------------ */
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * All programs with their next transition and the state of the current one.
+ */
+export function listPrograms(now = Date.now()) {
+  return programs.map((p) => ({
+    ...p,
+    next_at: iso(upcomingTransitions(p, now, now + 8 * DAY_MS)[0]?.atMs),
+    current: state[p.id] || null,
+  }));
+}
+
+export async function createProgram(input) {
+  const program = normalizeProgram(input);
+  program.id = randomUUID();
+  programs = [...programs, program];
+  await saveJson(PROGRAMS_PATH, programs);
+  console.log(`🗓️ Schedule "${program.name}" created (${describeTarget(program)})`);
+  return program;
+}
+
+export async function updateProgram(id, input) {
+  const current = programs.find((p) => p.id === id);
+  if (!current) throw httpError(404, `Schedule ${id} not found`);
+  // a new target replaces the old one, whichever kind it was
+  const targetKeys = ["tanks", "prefix", "group"];
+  const base = targetKeys.some((k) => k in input)
+    ? Object.fromEntries(Object.entries(current).filter(([k]) => !targetKeys.includes(k)))
+    : current;
+  const next = normalizeProgram({ ...base, ...input });
+  const program = {
+    ...next,
+    id,
+    effective_from: sameTimetable(current, next) ? current.effective_from ?? current.updated_at : next.effective_from,
+  };
+  programs = programs.map((p) => (p.id === id ? program : p));
+  await saveJson(PROGRAMS_PATH, programs);
+  console.log(`🗓️ Schedule "${program.name}" updated (${describeTarget(program)})`);
+  return program;
+}
+
+export async function deleteProgram(id) {
+  const current = programs.find((p) => p.id === id);
+  if (!current) throw httpError(404, `Schedule ${id} not found`);
+  programs = programs.filter((p) => p.id !== id);
+  delete state[id];
+  await saveJson(PROGRAMS_PATH, programs);
+  await saveJson(STATE_PATH, state);
+  console.log(`🗓️ Schedule "${current.name}" deleted`);
+}
+
+/**
+ * Transitions still to come for one tank, soonest first.
+ * @returns {Array<{ at:string, program_id:string, program_name:string, family:string, ops:object[] }>}
+ */
+export function upcomingForTank(tankId, { hours = 48, now = Date.now() } = {}) {
+  const out = [];
+  for (const p of programs) {
+    if (!p.enabled) continue;
+    let set;
+    try {
+      set = programTargets(p);
+    } catch {
+      continue; // its group was deleted
+    }
+    if (!set.tankIds.includes(tankId)) continue;
+    for (const t of upcomingTransitions(p, now, now + hours * 60 * 60 * 1000)) {
+      out.push({ at: iso(t.atMs), program_id: p.id, program_name: p.name, family: set.family, ops: p.steps[t.index].ops });
+    }
+  }
+  return out.sort((a, b) => a.at.localeCompare(b.at));
+}
+
+/**
+ * Validate and normalize API input. Throws (status 400) on bad values, 404
+ * for an unknown group. Targets are `tanks` (a list of tank IDs), `prefix`
+ * (every tank of the family whose ID starts with those letters, like the
+ * groups on /tanks) or `group` (a saved group id; the group's family wins).
+ * Prefixes and groups are resolved again on every run.
+ */
+function normalizeProgram(input = {}) {
+  const name = String(input.name || "").trim();
+  if (!name || name.length > 80) throw httpError(400, "name must be 1-80 characters");
+
+  const family = String(input.family || "ctrl");
+  if (!familySpec(family)) throw httpError(400, `family must be one of ${getFamilySpecs().map((s) => s.family).join(", ")}`);
+  const enabled = input.enabled !== false;
+
+  const repeat = input.repeat || "daily";
+  if (repeat !== "daily" && repeat !== "weekly") throw httpError(400, 'repeat must be "daily" or "weekly"');
+
+  const target = input.group
+    ? { group: String(input.group) }
+    : Array.isArray(input.tanks) && input.tanks.length
+    ? { family, tanks: input.tanks }
+    : { family, prefix: input.prefix };
+  const set = resolveTankSet(target, listTanks || (() => []));
+  if (target.tanks) target.tanks = set.tankIds;
+  if (target.prefix) target.prefix = target.prefix.trim().toUpperCase();
+
+  if (!Array.isArray(input.steps) || !input.steps.length) {
+    throw httpError(400, "steps must be a non-empty array of { at, ops }");
+  }
+  const seen = new Set();
+  const steps = input.steps.map((s, i) => {
+    const at = String(s?.at || "");
+    if (!TIME_RE.test(at)) throw httpError(400, `steps[${i}].at must be HH:MM (24h, HST)`);
+
+    let days;
+    if (repeat === "weekly") {
+      days = Array.isArray(s.days) ? [...new Set(s.days.map((d) => String(d).toLowerCase()))] : [];
+      if (!days.length || days.some((d) => !DAYS.includes(d))) {
+        throw httpError(400, `steps[${i}].days must list days of the week (${DAYS.join(", ")})`);
+      }
+      days.sort((a, b) => DAYS.indexOf(a) - DAYS.indexOf(b));
+    }
+    for (const d of days || ["*"]) {
+      if (seen.has(`${d} ${at}`)) throw httpError(400, `Two steps at ${at}${d === "*" ? "" : ` on ${d}`}`);
+      seen.add(`${d} ${at}`);
+    }
+
+    let ops;
+    try {
+      ops = parseOps(s.ops).map(({ point, value, force }) => (force ? { point, value, force } : { point, value }));
+    } catch (e) {
+      throw httpError(400, `steps[${i}]: ${e.message}`);
+    }
+    return days ? { at, days, ops } : { at, ops };
+  });
+
+  const program = { id: input.id, name, enabled, ...target, family: set.family };
+  const now = new Date().toISOString();
+  return { ...program, repeat, steps, updated_at: now, effective_from: now };
+}
+
+// Same tanks and the same values at the same times: only name or enabled changed
+function sameTimetable(a, b) {
+  const timetable = (p) => JSON.stringify([p.family, p.tanks, p.prefix, p.group, p.repeat, p.steps]);
+  return timetable(a) === timetable(b);
+}
+
+/* ------------------------------------------------------------------ */
+/*                              Runner                                 */
+/* ------------------------------------------------------------------ */
+
+async function runDuePrograms() {
+  if (ticking || !resolveTarget) return;
+  ticking = true;
+  try {
+    for (const program of programs) {
+      if (!program.enabled) continue;
+      try {
+        await runProgram(program);
+      } catch (e) {
+        console.error(`Schedule "${program.name}" error:`, e.message);
+      }
+    }
+  } finally {
+    ticking = false;
+  }
+}
+
+async function runProgram(program) {
+  const now = Date.now();
+  const t = dueTransition(program, now);
+  if (!t) return;
+  const { family, tankIds } = programTargets(program);
+
+  const transition = iso(t.atMs);
+  let st = state[program.id];
+  if (!st || st.transition !== transition) {
+    st = state[program.id] = { transition, step: t.index, tanks: {} };
+  }
+
+  const due = tankIds.filter((tankId) => {
+    const r = st.tanks[tankId];
+    return !r || (!r.ok && now - Date.parse(r.at) >= RETRY_MS);
+  });
+  if (!due.length) return;
+
+  const late = now - t.atMs > 2 * TICK_MS;
+  const step = program.steps[t.index];
+  console.log(
+    `🗓️ Schedule "${program.name}" ${step.at}${late ? ` (catching up, due ${transition})` : ""} → ${due.join(", ")}`,
+  );
+
+  for (const tankId of due) {
+    st.tanks[tankId] = await applyStep(program, family, step, tankId, st.tanks[tankId]);
+  }
+  await saveJson(STATE_PATH, state);
+}
+
+async function applyStep(program, family, step, tankId, previous) {
+  const request = {
+    ops: step.ops,
+    requested_by: `schedule:${program.name}`,
+    source: "schedule",
+  };
+  const attempts = (previous?.attempts || 0) + 1;
+  let target = null;
+  try {
+    target = await resolveTarget(tankId, family);
+    const result = await executeCommand(target, request);
+    const failed = result.results.find((r) => !r.ok);
+    return {
+      ok: !failed,
+      at: result.ts_utc,
+      tx_id: result.tx_id,
+      error: failed ? `${failed.point}: ${failed.error}` : null,
+      attempts,
+    };
+  } catch (e) {
+    recordRejection({ tankId, family: target?.family || family }, request, e);
+    console.error(`🗓️ Schedule "${program.name}" ${tankId} failed: ${e.message}`);
+    return { ok: false, at: new Date().toISOString(), tx_id: null, error: e.message, attempts };
+  }
+}
+
+// { family, tankIds, label } right now; throws (404) once the program's group is deleted
+function programTargets(program) {
+  return resolveTankSet(program, listTanks || (() => []));
+}
+
+function describeTarget(program) {
+  return programTargets(program).label;
+}
+
+/* ------------------------------------------------------------------ */
+/*                         Transition times                            */
+/* ------------------------------------------------------------------ */
+
+// Transitions of one HST day: [{ atMs, index }]
+function transitionsOnDay(program, dayStartMs) {
+  const weekday = DAYS[new Date(dayStartMs - HST_OFFSET_MS).getUTCDay()];
+  const out = [];
+  program.steps.forEach((s, index) => {
+    if (program.repeat === "weekly" && !s.days.includes(weekday)) return;
+    const [h, m] = s.at.split(":").map(Number);
+    out.push({ atMs: dayStartMs + (h * 60 + m) * 60_000, index });
+  });
+  return out.sort((a, b) => a.atMs - b.atMs);
+}
+
+// UTC ms of midnight HST on the day containing ms
+function hstDayStart(ms) {
+  return Math.floor((ms - HST_OFFSET_MS) / DAY_MS) * DAY_MS + HST_OFFSET_MS;
+}
+
+/**
+ * The step a program should have applied by now: its latest transition at
+ * or before now, looking back up to a week, so one missed while the gateway
+ * was down still counts. null when that transition is older than the
+ * program's effective_from.
+ * @returns {{ atMs:number, index:number }|null}  index into program.steps
+ */
+export function dueTransition(program, now) {
+  const t = currentTransition(program, now);
+  if (!t || t.atMs < Date.parse(program.effective_from ?? program.updated_at)) return null;
+  return t;
+}
+
+// Latest transition at or before now (looking back up to a week)
+function currentTransition(program, now) {
+  const today = hstDayStart(now);
+  for (let d = 0; d <= 7; d++) {
+    const past = transitionsOnDay(program, today - d * DAY_MS).filter((t) => t.atMs <= now);
+    if (past.length) return past[past.length - 1];
+  }
+  return null;
+}
+
+/**
+ * Transitions after fromMs up to and including untilMs, soonest first.
+ * @returns {Array<{ atMs:number, index:number }>}
+ */
+export function upcomingTransitions(program, fromMs, untilMs) {
+  const out = [];
+  for (let day = hstDayStart(fromMs); day <= untilMs; day += DAY_MS) {
+    for (const t of transitionsOnDay(program, day)) {
+      if (t.atMs > fromMs && t.atMs <= untilMs) out.push(t);
+    }
+  }
+  return out;
+}
+
+function iso(ms) {
+  return ms === undefined ? null : new Date(ms).toISOString();
+}
+
+/* ------------------------------------------------------------------ */
+/*                           Persistence                               */
+/* ------------------------------------------------------------------ */
+
+function loadJson(p, fallback) {
+  try {
+    if (!fs.existsSync(p)) return fallback;
+    const parsed = JSON.parse(fs.readFileSync(p, "utf8"));
+    return Array.isArray(fallback) === Array.isArray(parsed) && parsed && typeof parsed === "object"
+      ? parsed
+      : fallback;
+  } catch (err) {
+    console.error(`Failed to load ${path.basename(p)}, starting empty:`, err.message);
+    return fallback;
+  }
+}
+
+async function saveJson(p, data) {
+  const tmp = `${p}.tmp`;
+  await fsp.mkdir(path.dirname(p), { recursive: true });
+  await fsp.writeFile(tmp, JSON.stringify(data, null, 2) + "\n", "utf8");
+  await fsp.rename(tmp, p);
+}
@@ -14,8 +14,66 @@ import {
   setAlarmThresholds,
 } from "./alarmService.js";
 import { loadRegisterMap, getBlocks, decodePointsFromBlocks } from "./registerMap.js";
-import { readBlocksForDevice } from "./modbusBlocks.js";
-import { initLogger, shutdownLogger, getLogDirectory } from "./loggingService.js";
+import { readBlocksForDevice, transportOpts, getQueueStats } from "./modbusBlocks.js";
+import { loadMapCatalog, resolveDeviceMap } from "./mapSelector.js";
+import {
+  listConfiguredDevices,
+  createDevice,
+  updateDevice,
+  deleteDevice,
+  validateDeviceList,
+} from "./deviceConfig.js";
+import { getFamilySpecs, familySpec } from "./familyRegistry.js";
+import {
+  scanForDevices,
+  getLastScan,
+  isScanning,
+  adoptDevice,
+} from "./discoveryService.js";
+import {
+  verifyIdentity,
+  getDeviceIdentities,
+  resetDeviceIdentity,
+  flushDeviceIdentities,
+} from "./identityService.js";
+import {
+  configureScheduler,
+  syncDevices,
+  startScheduler,
+  stopScheduler,
+  getScheduleState,
+  pollNow,
+} from "./pollScheduler.js";
+import {
+  parseInspectRequest,
+  inspectRegisters,
+  parseWriteRequest,
+} from "./diagnosticsService.js";
+import {
+  initLogger,
+  shutdownLogger,
+  getLogDirectory,
+  loadWhitelistForFamily,
+} from "./loggingService.js";
+import { readConfigJson, getConfigStatus, watchConfigDir } from "./configStore.js";
+import { recordPoll, forgetDevicesExcept, renderMetrics } from "./metricsService.js";
+import { getHealth } from "./healthService.js";
+import { attachCmdSubscriber } from "./cmdSubscriber.js";
+import { executeCommand, executeRawWrite, recordRejection, commandError } from "./commandService.js";
+import { queryCommandAudit } from "./auditService.js";
+import { noteDeadbandPoll, flushDeadbandState } from "./deadbandService.js";
+import {
+  startScheduleRunner,
+  stopScheduleRunner,
+  listPrograms,
+  createProgram,
+  updateProgram,
+  deleteProgram,
+  upcomingForTank,
+} from "./scheduleService.js";
+import { resolveTankSet, listGroups, createGroup, updateGroup, deleteGroup } from "./groupService.js";
+import { planBulk, executeBulk } from "./bulkCommandService.js";
+import { loadLiveCache, saveLiveCache } from "./liveCacheStore.js";
 
 // ---- path helpers ----
 const __filename = fileURLToPath(import.meta.url);
@@ -28,46 +86,60 @@ dotenv.config({ path: path.join(projectRoot, ".env") });
 
 const SITE_ID = process.env.SITE_ID || "dev01";
 const DEVICE_FW = "gw-1.0.0";
-const POLL_MS = Number(process.env.POLL_MS || 60_000); // polling cadence
-const CONCURRENCY = Number(process.env.POLL_CONCURRENCY || 8); // worker pool size
+const POLL_MS = Number(process.env.POLL_MS || 60_000); // default per-device cadence
+const POLL_FAST_MS = Number(process.env.POLL_FAST_MS || 15_000); // tanks in alarm / after writes
+const POLL_BACKOFF_MAX_MS = Number(process.env.POLL_BACKOFF_MAX_MS || 15 * 60_000);
+const CONCURRENCY = Number(process.env.POLL_CONCURRENCY || 8); // max polls in flight
+// Config edits are picked up by the directory watcher within a second; the
+// periodic reload is a backstop for filesystems without change events
 const FAMILY_RELOAD_MS = Number(process.env.FAMILY_RELOAD_MS || 5 * 60_000);
 const API_PORT = Number(process.env.API_PORT || 4000);
 const API_HOST = process.env.API_HOST || "0.0.0.0";
+const DISCOVERY_SUBNET = process.env.DISCOVERY_SUBNET || "192.168.0.0/24";
+const LIVE_CACHE_SAVE_MS = Number(process.env.LIVE_CACHE_SAVE_MS || 60_000);
 
 // ---- live snapshot cache for /api/live ----
-// Structure: liveCache[tankId] = { family, ip, ts_utc, qc, ...decodedValues }
+// Structure: liveCache[tankId] = { family, ip, ts_utc, qc, qc_error?, restored?, restored_at?, ...decodedValues }
+// Saved to data/live-cache.json every LIVE_CACHE_SAVE_MS (when changed) and on
+// shutdown; restored entries stay flagged until the device is polled again.
 const liveCache = Object.create(null);
+let liveCacheDirty = false;
 
 function updateLiveCache(tankId, family, ip, payload) {
+  liveCacheDirty = true;
   liveCache[tankId] = {
     family,
     ip,
     ts_utc: payload.ts_utc,
     qc: payload.qc?.status || "ok",
+    ...(payload.qc?.error ? { qc_error: payload.qc.error } : {}),
     ...payload.s,
   };
 }
 
-// Ensure util controllers always exist in /api/live, even before first poll,
-// seeded from backend/config/utilityConfig.json (id -> ip)
-function ensureUtilDevicesInLiveCache() {
-  try {
-    const utilCfgPath = path.join(configDir, "utilityConfig.json");
-    if (!fs.existsSync(utilCfgPath)) return;
-
-    const utilCfg = JSON.parse(fs.readFileSync(utilCfgPath, "utf8"));
-    for (const [tankId, ip] of Object.entries(utilCfg || {})) {
-      if (!liveCache[tankId]) {
-        liveCache[tankId] = {
-          family: "util",
-          ip: typeof ip === "string" ? ip : ip?.ip,
-          ts_utc: null,
-          qc: "fail",
-        };
+// Ensure devices of "seedLive" families (util controllers) always exist in
+// /api/live, even before first poll, seeded from their config file (id -> ip)
+function ensureSeededDevicesInLiveCache() {
+  for (const spec of getFamilySpecs()) {
+    if (!spec.seedLive) continue;
+    try {
+      const cfgPath = path.join(configDir, spec.configFile);
+      if (!fs.existsSync(cfgPath)) continue;
+
+      const cfg = JSON.parse(fs.readFileSync(cfgPath, "utf8"));
+      for (const [tankId, ip] of Object.entries(cfg || {})) {
+        if (!liveCache[tankId]) {
+          liveCache[tankId] = {
+            family: spec.family,
+            ip: typeof ip === "string" ? ip : ip?.ip || ip?.path,
+            ts_utc: null,
+            qc: "fail",
+          };
+        }
       }
+    } catch (e) {
+      console.error(`ensureSeededDevicesInLiveCache (${spec.family}) error:`, e.message);
     }
-  } catch (e) {
-    console.error("ensureUtilDevicesInLiveCache error:", e.message);
   }
 }
 
@@ -76,21 +148,31 @@ function liveTanksPath() {
   return path.join(configDir, "liveTanks.json");
 }
 
+// null = no filter (file missing, or broken with no good version to fall back on)
 function loadLiveTanks() {
-  const p = liveTanksPath(); // backend/config/liveTanks.json
-  if (!fs.existsSync(p)) return null;
   try {
-    return JSON.parse(fs.readFileSync(p, "utf8"));
-  } catch (e) {
-    console.error("liveTanks.json parse error:", e.message);
+    return readConfigJson(liveTanksPath(), { validate: validateLiveTanks }) || null;
+  } catch {
     return null;
   }
 }
 
+function validateLiveTanks(json) {
+  if (!json || typeof json !== "object" || Array.isArray(json)) {
+    throw new Error('expected { "<tankId>": true | false }');
+  }
+  for (const [tankId, v] of Object.entries(json)) {
+    if (typeof v !== "boolean") throw new Error(`${tankId}: expected true or false`);
+  }
+  return json;
+}
+
 async function saveLiveTanks(map) {
   const p = liveTanksPath();
   const payload = JSON.stringify(map, null, 2) + "\n";
-  await fsp.writeFile(p, payload, "utf8");
+  // write-then-rename so the config watcher never sees a half-written file
+  await fsp.writeFile(`${p}.tmp`, payload, "utf8");
+  await fsp.rename(`${p}.tmp`, p);
 }
 
 function listTankIds() {
@@ -122,7 +204,7 @@ function setSecurityHeaders(res) {
 
 function setCorsHeaders(res) {
   res.setHeader("Access-Control-Allow-Origin", "*");
-  res.setHeader("Access-Control-Allow-Methods", "GET,POST,OPTIONS");
+  res.setHeader("Access-Control-Allow-Methods", "GET,POST,PUT,DELETE,OPTIONS");
   res.setHeader("Access-Control-Allow-Headers", "Content-Type");
 }
 
@@ -272,24 +354,33 @@ function co2ConfigPath() {
 }
 
 function loadCo2Config() {
-  const p = co2ConfigPath();
-  if (!fs.existsSync(p)) return { defaultLpm: 2.5, perTank: {} };
   try {
-    const parsed = JSON.parse(fs.readFileSync(p, "utf8"));
-    const defaultLpm = Number(parsed?.defaultLpm ?? 2.5);
-    return {
-      defaultLpm: Number.isFinite(defaultLpm) && defaultLpm > 0 ? defaultLpm : 2.5,
-      perTank:
-        parsed?.perTank && typeof parsed.perTank === "object" ? parsed.perTank : {},
-    };
+    return readConfigJson(co2ConfigPath(), { validate: validateCo2Config }) || { defaultLpm: 2.5, perTank: {} };
   } catch {
     return { defaultLpm: 2.5, perTank: {} };
   }
 }
 
+function validateCo2Config(parsed) {
+  const defaultLpm = Number(parsed?.defaultLpm ?? 2.5);
+  if (!Number.isFinite(defaultLpm) || defaultLpm <= 0) {
+    throw new Error("defaultLpm must be a positive number");
+  }
+  const perTank = parsed?.perTank ?? {};
+  if (!perTank || typeof perTank !== "object" || Array.isArray(perTank)) {
+    throw new Error("perTank must be an object of { tankId: lpm }");
+  }
+  for (const [tankId, lpm] of Object.entries(perTank)) {
+    if (!(Number(lpm) > 0)) throw new Error(`perTank.${tankId} must be a positive number`);
+  }
+  return { defaultLpm, perTank };
+}
+
 async function saveCo2Config(cfg) {
+  const p = co2ConfigPath();
   const payload = JSON.stringify(cfg, null, 2) + "\n";
-  await fsp.writeFile(co2ConfigPath(), payload, "utf8");
+  await fsp.writeFile(`${p}.tmp`, payload, "utf8");
+  await fsp.rename(`${p}.tmp`, p);
 }
 
 // Compute a delta over a day from a monotonic counter that may reset.
@@ -365,10 +456,27 @@ async function handleApiRequest(req, res) {
   const url = new URL(req.url || "/", "http://localhost");
   const { pathname, searchParams } = url;
 
+  // --- Prometheus scrape endpoint ---
+  if (req.method === "GET" && pathname === "/metrics") {
+    res.statusCode = 200;
+    res.setHeader("Content-Type", "text/plain; version=0.0.4; charset=utf-8");
+    setCorsHeaders(res);
+    setSecurityHeaders(res);
+    res.end(renderMetrics({ mqttClient }));
+    return;
+  }
+
+  // --- health: 200 when ok/degraded, 503 when failing ---
+  if (req.method === "GET" && pathname === "/api/health") {
+    const health = await getHealth({ mqttClient, pollMs: POLL_MS });
+    sendJson(res, health.http_status, health);
+    return;
+  }
+
   // --- live snapshot endpoint ---
   if (req.method === "GET" && pathname === "/api/live") {
     // ensure util controllers are always present in response (even if offline)
-    ensureUtilDevicesInLiveCache();
+    ensureSeededDevicesInLiveCache();
 
     const tankId = searchParams.get("tankId");
     if (tankId) {
@@ -421,6 +529,551 @@ async function handleApiRequest(req, res) {
     return;
   }
 
+  // --- per-device poll schedule (cadence, backoff, in-flight) ---
+  if (req.method === "GET" && pathname === "/api/poll-schedule") {
+    sendJson(res, 200, getScheduleState());
+    return;
+  }
+
+  // --- config file load state (last good version in use, errors) ---
+  if (req.method === "GET" && pathname === "/api/config-status") {
+    sendJson(res, 200, getConfigStatus());
+    return;
+  }
+
+  // --- device families (backend/config/families.json) ---
+  if (req.method === "GET" && pathname === "/api/families") {
+    const list = getFamilySpecs().map(({ family, label, description, configFile, registerMap, pollMs, liveFilter, page, summary }) => ({
+      id: family,
+      label,
+      description,
+      configFile,
+      registerMap,
+      pollMs: familyPollMs({ family, pollMs }) || POLL_MS,
+      liveFilter,
+      page,
+      summary,
+    }));
+    sendJson(res, 200, { families: list });
+    return;
+  }
+
+  // --- device configs (one file per family) ---
+  if (req.method === "GET" && pathname === "/api/devices") {
+    const live = loadLiveTanks();
+    const devices = listConfiguredDevices(configDir).map(({ entry, ...d }) => ({
+      ...d,
+      // ctrl tanks can be switched off by the live-tanks filter
+      live: isLiveFiltered(d.family) && live ? live[d.tankId] === true : true,
+    }));
+    sendJson(res, 200, { devices });
+    return;
+  }
+
+  if (req.method === "POST" && pathname === "/api/devices") {
+    let parsed;
+    try {
+      const body = await readRequestBody(req);
+      parsed = body ? JSON.parse(body) : {};
+    } catch {
+      sendError(res, 400, "invalid JSON");
+      return;
+    }
+
+    try {
+      const dev = await createDevice(configDir, parsed);
+      const live = loadLiveTanks();
+      if (isLiveFiltered(dev.family) && live) {
+        await saveLiveTanks({ ...live, [dev.tankId]: true });
+      }
+      reloadFamilies();
+      sendJson(res, 201, { ok: true, device: dev });
+    } catch (e) {
+      console.error("POST /api/devices error:", e.message);
+      sendError(res, e.status || 400, e.message);
+    }
+    return;
+  }
+
+  // --- poll one device now (refresh buttons on the live pages) ---
+  // POST /api/devices/:tankId/poll[?family=ctrl]
+  const pollRoute = pathname.match(/^\/api\/devices\/([^/]+)\/poll$/);
+  if (pollRoute && req.method === "POST") {
+    const tankId = decodeURIComponent(pollRoute[1]);
+    const family = searchParams.get("family") || undefined;
+
+    const results = await pollNow(tankId, family);
+    if (!results.length) {
+      sendError(res, 404, `${family ? `${family}:` : ""}${tankId} is not being polled`);
+      return;
+    }
+    console.log(`🔄 Poll now ${tankId}: ${results.map((r) => `${r.family} ${r.ok ? "ok" : "failed"}`).join(", ")}`);
+    sendJson(res, 200, {
+      ok: results.every((r) => r.ok),
+      tankId,
+      results,
+      snapshot: liveCache[tankId] || null,
+    });
+    return;
+  }
+
+  // --- operator commands (same path as the MQTT cmd topic) ---
+  // POST /api/devices/:tankId/commands[?family=ctrl]
+  //   { ops: [{ point, value }], tx_id?, requested_by? } → per-op results
+  const commandRoute = pathname.match(/^\/api\/devices\/([^/]+)\/commands$/);
+  if (commandRoute && req.method === "POST") {
+    const tankId = decodeURIComponent(commandRoute[1]);
+    let parsed;
+    try {
+      const body = await readRequestBody(req);
+      parsed = body ? JSON.parse(body) : {};
+    } catch (e) {
+      recordRejection({ tankId }, { source: "http" }, commandError(400, "bad_json", e.message));
+      sendJson(res, 400, { error: "invalid JSON", code: "bad_json" });
+      return;
+    }
+
+    const request = {
+      tx_id: parsed?.tx_id,
+      ops: parsed?.ops,
+      requested_by: parsed?.requested_by || "api",
+      source: "http",
+    };
+    let target = null;
+    try {
+      target = await commandTarget(tankId, searchParams.get("family") || parsed?.family || undefined);
+      sendJson(res, 200, await executeCommand(target, request));
+    } catch (e) {
+      recordRejection({ tankId, family: target?.family }, request, e);
+      console.error(`POST /api/devices/${tankId}/commands error:`, e.message);
+      sendJson(res, e.status || 500, { error: e.message, code: e.code || "error" });
+    }
+    return;
+  }
+
+  // --- bulk commands: one command to a list of tanks, a prefix or a saved group ---
+  // POST /api/bulk-commands/plan  { target: { family?, tanks? | prefix? | group? }, ops } → dry run
+  // POST /api/bulk-commands       { target, ops, tx_id?, requested_by? } → per-device report
+  if (req.method === "POST" && (pathname === "/api/bulk-commands" || pathname === "/api/bulk-commands/plan")) {
+    let parsed;
+    try {
+      const body = await readRequestBody(req);
+      parsed = body ? JSON.parse(body) : {};
+    } catch {
+      sendJson(res, 400, { error: "invalid JSON", code: "bad_json" });
+      return;
+    }
+
+    try {
+      const set = resolveTankSet(parsed?.target, listFamilyTanks);
+      if (!set.tankIds.length) throw commandError(400, "no_devices", `No configured tanks match ${set.label}`);
+
+      if (pathname.endsWith("/plan")) {
+        sendJson(res, 200, { dry_run: true, target: set.label, ...(await planBulk(set, parsed?.ops, commandTarget)) });
+        return;
+      }
+      const request = { tx_id: parsed?.tx_id, ops: parsed?.ops, requested_by: parsed?.requested_by || "api" };
+      sendJson(res, 200, { target: set.label, ...(await executeBulk(set, request, commandTarget)) });
+    } catch (e) {
+      console.error(`POST ${pathname} error:`, e.message);
+      sendJson(res, e.status || 500, { error: e.message, code: e.code || "error" });
+    }
+    return;
+  }
+
+  const deviceRoute = pathname.match(/^\/api\/devices\/([^/]+)\/([^/]+)$/);
+  if (deviceRoute && (req.method === "PUT" || req.method === "DELETE")) {
+    const family = decodeURIComponent(deviceRoute[1]);
+    const tankId = decodeURIComponent(deviceRoute[2]);
+
+    if (req.method === "DELETE") {
+      try {
+        await deleteDevice(configDir, family, tankId);
+        reloadFamilies();
+        sendJson(res, 200, { ok: true });
+      } catch (e) {
+        console.error("DELETE /api/devices error:", e.message);
+        sendError(res, e.status || 400, e.message);
+      }
+      return;
+    }
+
+    let parsed;
+    try {
+      const body = await readRequestBody(req);
+      parsed = body ? JSON.parse(body) : {};
+    } catch {
+      sendError(res, 400, "invalid JSON");
+      return;
+    }
+
+    try {
+      const dev = await updateDevice(configDir, family, tankId, parsed);
+      // carry the live-tanks flag over when a controller is renamed
+      const live = loadLiveTanks();
+      if (live && isLiveFiltered(dev.family) && dev.tankId !== tankId) {
+        const { [tankId]: was, ...rest } = live;
+        await saveLiveTanks({ ...rest, [dev.tankId]: was === true });
+      }
+      reloadFamilies();
+      sendJson(res, 200, { ok: true, device: dev });
+    } catch (e) {
+      console.error("PUT /api/devices error:", e.message);
+      sendError(res, e.status || 400, e.message);
+    }
+    return;
+  }
+
+  // --- discovery: scan the subnet for Modbus devices ---
+  if (req.method === "GET" && pathname === "/api/discovery") {
+    sendJson(res, 200, {
+      scanning: isScanning(),
+      defaultSubnet: DISCOVERY_SUBNET,
+      lastScan: getLastScan(),
+    });
+    return;
+  }
+
+  if (req.method === "POST" && pathname === "/api/discovery/scan") {
+    let parsed;
+    try {
+      const body = await readRequestBody(req);
+      parsed = body ? JSON.parse(body) : {};
+    } catch {
+      sendError(res, 400, "invalid JSON");
+      return;
+    }
+
+    const unitIds = Array.isArray(parsed?.unitIds)
+      ? parsed.unitIds.map(Number).filter((n) => Number.isInteger(n) && n >= 0 && n <= 255)
+      : undefined;
+
+    try {
+      const result = await scanForDevices(configDir, {
+        subnet: parsed?.subnet || DISCOVERY_SUBNET,
+        unitIds: unitIds?.length ? unitIds : undefined,
+        port: parsed?.port !== undefined ? Number(parsed.port) : undefined,
+      });
+      sendJson(res, 200, result);
+    } catch (e) {
+      console.error("POST /api/discovery/scan error:", e.message);
+      sendError(res, 400, e.message);
+    }
+    return;
+  }
+
+  if (req.method === "POST" && pathname === "/api/discovery/adopt") {
+    let parsed;
+    try {
+      const body = await readRequestBody(req);
+      parsed = body ? JSON.parse(body) : {};
+    } catch {
+      sendError(res, 400, "invalid JSON");
+      return;
+    }
+
+    try {
+      const adopted = await adoptDevice(configDir, {
+        family: parsed?.family,
+        tankId: parsed?.tankId,
+        ip: parsed?.ip,
+        port: parsed?.port ?? 502,
+        unitId: parsed?.unitId ?? 1,
+      });
+
+      // New controllers would otherwise be hidden by the live-tanks filter
+      const live = loadLiveTanks();
+      if (isLiveFiltered(adopted.family) && live) {
+        await saveLiveTanks({ ...live, [adopted.tankId]: true });
+      }
+
+      reloadFamilies();
+      sendJson(res, 200, { ok: true, ...adopted });
+    } catch (e) {
+      console.error("POST /api/discovery/adopt error:", e.message);
+      sendError(res, e.status || 400, e.message);
+    }
+    return;
+  }
+
+  // --- Modbus transaction queues (depth + wait per device link) ---
+  if (req.method === "GET" && pathname === "/api/modbus-queues") {
+    sendJson(res, 200, { queues: getQueueStats() });
+    return;
+  }
+
+  // --- Modbus register inspector (Diagnostics page) ---
+  // GET /api/diagnostics/modbus?family=ctrl&tankId=C01&fn=3&start=0&count=20[&unitId=1]
+  if (req.method === "GET" && pathname === "/api/diagnostics/modbus") {
+    try {
+      const target = await deviceTarget(searchParams.get("family"), searchParams.get("tankId"));
+      const params = Object.fromEntries(searchParams.entries());
+      const result = await inspectRegisters(target, parseInspectRequest(params));
+      sendJson(res, 200, {
+        family: target.family,
+        tankId: target.tankId,
+        ip: target.ip,
+        port: target.opts.port ?? 502,
+        ...result,
+      });
+    } catch (e) {
+      console.error("GET /api/diagnostics/modbus error:", e.message);
+      // anything that isn't a validation error is the device not answering
+      sendError(res, e.status || 502, e.message);
+    }
+    return;
+  }
+
+  if (req.method === "POST" && pathname === "/api/diagnostics/modbus/write") {
+    let parsed;
+    try {
+      const body = await readRequestBody(req);
+      parsed = body ? JSON.parse(body) : {};
+    } catch {
+      sendError(res, 400, "invalid JSON");
+      return;
+    }
+
+    let target;
+    try {
+      target = await deviceTarget(parsed?.family, parsed?.tankId);
+    } catch (e) {
+      sendError(res, e.status || 500, e.message);
+      return;
+    }
+
+    // same identity check, rate limit and audit trail as commands
+    const request = { requested_by: parsed?.requested_by || "api", source: "diagnostics" };
+    let write;
+    try {
+      write = parseWriteRequest(parsed, target.tankId);
+    } catch (e) {
+      e.code = e.status === 403 ? "locked" : "bad_request";
+      recordRejection({ tankId: target.tankId, family: target.family }, request, e);
+      sendError(res, e.status || 400, e.message);
+      return;
+    }
+
+    try {
+      const { tx_id } = await executeRawWrite(target, write, request);
+      sendJson(res, 200, { ok: true, tx_id, ...write });
+    } catch (e) {
+      console.error("POST /api/diagnostics/modbus/write error:", e.message);
+      sendJson(res, e.status || 502, { error: e.message, code: e.code || "error" });
+    }
+    return;
+  }
+
+  // --- command audit log ---
+  // GET /api/audit/commands?tankId=C01&point=ctl1_setpoint&source=schedule&start=ISO&end=ISO&limit=500
+  if (req.method === "GET" && pathname === "/api/audit/commands") {
+    const endParam = searchParams.get("end");
+    const startParam = searchParams.get("start");
+    const endMs = endParam ? Date.parse(endParam) : Date.now();
+    const startMs = startParam ? Date.parse(startParam) : endMs - 30 * 24 * 60 * 60 * 1000;
+
+    if (!Number.isFinite(startMs) || !Number.isFinite(endMs)) {
+      sendError(res, 400, "start and end must be valid ISO timestamps");
+      return;
+    }
+    if (startMs > endMs) {
+      sendError(res, 400, "start must be before end");
+      return;
+    }
+
+    const limit = Number(searchParams.get("limit") || 500);
+    if (!Number.isInteger(limit) || limit < 1) {
+      sendError(res, 400, "limit must be a positive integer");
+      return;
+    }
+
+    const { entries, truncated } = await queryCommandAudit({
+      tankId: searchParams.get("tankId") || undefined,
+      point: searchParams.get("point") || undefined,
+      source: searchParams.get("source") || undefined,
+      startMs,
+      endMs,
+      limit,
+    });
+    sendJson(res, 200, {
+      range: { start: new Date(startMs).toISOString(), end: new Date(endMs).toISOString() },
+      entries,
+      truncated,
+    });
+    return;
+  }
+
+  // --- saved tank groups (bulk command targets) ---
+  if (req.method === "GET" && pathname === "/api/groups") {
+    sendJson(res, 200, { groups: listGroups() });
+    return;
+  }
+
+  if (req.method === "POST" && pathname === "/api/groups") {
+    let parsed;
+    try {
+      const body = await readRequestBody(req);
+      parsed = body ? JSON.parse(body) : {};
+    } catch {
+      sendError(res, 400, "invalid JSON");
+      return;
+    }
+
+    try {
+      sendJson(res, 201, { ok: true, group: await createGroup(parsed) });
+    } catch (e) {
+      console.error("POST /api/groups error:", e.message);
+      sendError(res, e.status || 500, e.message);
+    }
+    return;
+  }
+
+  const groupRoute = pathname.match(/^\/api\/groups\/([^/]+)$/);
+  if (groupRoute && (req.method === "PUT" || req.method === "DELETE")) {
+    const id = decodeURIComponent(groupRoute[1]);
+
+    if (req.method === "DELETE") {
+      try {
+        await deleteGroup(id);
+        sendJson(res, 200, { ok: true });
+      } catch (e) {
+        console.error("DELETE /api/groups error:", e.message);
+        sendError(res, e.status || 500, e.message);
+      }
+      return;
+    }
+
+    let parsed;
+    try {
+      const body = await readRequestBody(req);
+      parsed = body ? JSON.parse(body) : {};
+    } catch {
+      sendError(res, 400, "invalid JSON");
+      return;
+    }
+
+    try {
+      sendJson(res, 200, { ok: true, group: await updateGroup(id, parsed) });
+    } catch (e) {
+      console.error("PUT /api/groups error:", e.message);
+      sendError(res, e.status || 500, e.message);
+    }
+    return;
+  }
+
+  // --- setpoint schedules ---
+  if (req.method === "GET" && pathname === "/api/schedules") {
+    sendJson(res, 200, { programs: listPrograms() });
+    return;
+  }
+
+  if (req.method === "POST" && pathname === "/api/schedules") {
+    let parsed;
+    try {
+      const body = await readRequestBody(req);
+      parsed = body ? JSON.parse(body) : {};
+    } catch {
+      sendError(res, 400, "invalid JSON");
+      return;
+    }
+
+    try {
+      sendJson(res, 201, { ok: true, program: await createProgram(parsed) });
+    } catch (e) {
+      console.error("POST /api/schedules error:", e.message);
+      sendError(res, e.status || 500, e.message);
+    }
+    return;
+  }
+
+  // GET /api/schedules/executions?tankId=C01&days=7&hours=48
+  //   → transitions still to come (next `hours`) and the scheduled writes of the last `days`
+  if (req.method === "GET" && pathname === "/api/schedules/executions") {
+    const tankId = searchParams.get("tankId");
+    const days = Number(searchParams.get("days") || 7);
+    const hours = Number(searchParams.get("hours") || 48);
+    if (!tankId) {
+      sendError(res, 400, "tankId is required");
+      return;
+    }
+    if (!(days > 0 && days <= 90) || !(hours > 0 && hours <= 24 * 14)) {
+      sendError(res, 400, "days must be 1-90 and hours 1-336");
+      return;
+    }
+
+    const endMs = Date.now();
+    const { entries, truncated } = await queryCommandAudit({
+      tankId,
+      source: "schedule",
+      startMs: endMs - days * 24 * 60 * 60 * 1000,
+      endMs,
+    });
+    sendJson(res, 200, {
+      tankId,
+      upcoming: upcomingForTank(tankId, { hours, now: endMs }),
+      past: entries,
+      truncated,
+    });
+    return;
+  }
+
+  const scheduleRoute = pathname.match(/^\/api\/schedules\/([^/]+)$/);
+  if (scheduleRoute && (req.method === "PUT" || req.method === "DELETE")) {
+    const id = decodeURIComponent(scheduleRoute[1]);
+
+    if (req.method === "DELETE") {
+      try {
+        await deleteProgram(id);
+        sendJson(res, 200, { ok: true });
+      } catch (e) {
+        console.error("DELETE /api/schedules error:", e.message);
+        sendError(res, e.status || 500, e.message);
+      }
+      return;
+    }
+
+    let parsed;
+    try {
+      const body = await readRequestBody(req);
+      parsed = body ? JSON.parse(body) : {};
+    } catch {
+      sendError(res, 400, "invalid JSON");
+      return;
+    }
+
+    try {
+      sendJson(res, 200, { ok: true, program: await updateProgram(id, parsed) });
+    } catch (e) {
+      console.error("PUT /api/schedules error:", e.message);
+      sendError(res, e.status || 500, e.message);
+    }
+    return;
+  }
+
+  // --- pinned device identities (serial/model per tank) ---
+  if (req.method === "GET" && pathname === "/api/device-identity") {
+    sendJson(res, 200, { identities: getDeviceIdentities() });
+    return;
+  }
+
+  if (req.method === "POST" && pathname === "/api/device-identity/reset") {
+    try {
+      const body = await readRequestBody(req);
+      const parsed = body ? JSON.parse(body) : {};
+      const { family, tankId } = parsed || {};
+      if (!tankId || typeof tankId !== "string" || !family || typeof family !== "string") {
+        sendError(res, 400, "family and tankId are required");
+        return;
+      }
+      const removed = await resetDeviceIdentity(family, tankId);
+      sendJson(res, 200, { ok: true, removed });
+    } catch (e) {
+      console.error("POST /api/device-identity/reset error:", e.message);
+      sendError(res, 400, "invalid JSON");
+    }
+    return;
+  }
+
   // --- list recent NDJSON log files for a tank/device ---
   if (req.method === "GET" && pathname === "/api/log-files") {
     const tankId = searchParams.get("tankId");
@@ -651,39 +1304,135 @@ let apiServer;
 // ---- MQTT wiring ----
 const mqttClient = createMqttClient(process.env);
 
+// symbrosia/{site}/{tank}/{device}/cmd takes the same command path as
+// POST /api/devices/:tankId/commands
+attachCmdSubscriber(mqttClient, {
+  siteId: SITE_ID,
+  resolveTarget: ({ tank, device }) => commandTarget(tank, familyFromDeviceId(tank, device)),
+});
+
 // ---- family discovery ----
-// Map config filename to (family id, register map path)
-function resolveFamily(configFile) {
-  const base = path.basename(configFile);
-  if (base === "tankConfig.json")
-    return { family: "ctrl", mapFile: "../config/registerMap.json" };
-  if (base === "utilityConfig.json")
-    return { family: "util", mapFile: "../config/registerMap.json" };
-  if (base === "bmmConfig.json")
-    return { family: "bmm", mapFile: "../config/registerMap.bmm.json" };
-  return null; // ignore unrelated configs
-}
-
-// Return array of { family, devicePrefix, mapCtx, blocks, devices[] }
+// (families, their config files and maps are declared in config/families.json)
+
+// Configured device for the diagnostics inspector and commands: its transport
+// options and the register map the poller uses for it (the family default
+// when it isn't polled, e.g. switched off in liveTanks.json)
+async function deviceTarget(family, tankId) {
+  const configured = listConfiguredDevices(configDir).find(
+    (d) => d.family === family && d.tankId === tankId,
+  );
+  if (!configured) {
+    const err = new Error(`${family}:${tankId} is not a configured device`);
+    err.status = 404;
+    throw err;
+  }
+
+  let mapCtx = null;
+  let mapFile = null;
+  try {
+    const fam = families.find((f) => f.family === family);
+    const polled = fam?.devices.find((d) => d.tankId === tankId);
+    if (polled) {
+      ({ mapCtx, file: mapFile } = await resolveDeviceMap(fam, polled));
+    } else {
+      const spec = familySpec(family);
+      mapCtx = loadRegisterMap(spec.mapFile);
+      mapFile = spec.registerMap;
+    }
+  } catch (e) {
+    // raw diagnostics reads still work without map definitions
+    console.warn(`No register map for ${family}:${tankId}: ${e.message}`);
+  }
+
+  return {
+    family,
+    tankId,
+    ip: configured.ip,
+    opts: transportOpts(configured.entry),
+    mapCtx,
+    mapFile,
+  };
+}
+
+// Device a command is for. The family is only needed when the tank ID is
+// configured in more than one family.
+async function commandTarget(tankId, family) {
+  const matches = listConfiguredDevices(configDir).filter(
+    (d) => d.tankId === tankId && (!family || d.family === family),
+  );
+  if (!matches.length) {
+    throw commandError(404, "unknown_tank", `${family ? `${family}:` : ""}${tankId} is not a configured device`);
+  }
+  if (matches.length > 1) {
+    const list = matches.map((d) => d.family).join(", ");
+    throw commandError(409, "ambiguous_tank", `${tankId} is configured in ${list}; pass family`);
+  }
+  return deviceTarget(matches[0].family, tankId);
+}
+
+// Configured tank IDs of one family (prefix targets of schedules and bulk commands)
+function listFamilyTanks(family) {
+  return listConfiguredDevices(configDir)
+    .filter((d) => d.family === family)
+    .map((d) => d.tankId);
+}
+
+// MQTT device IDs are `${family}-${tankId}` (e.g. ctrl-C15), see devicePrefix
+function familyFromDeviceId(tankId, deviceId) {
+  return getFamilySpecs().find((s) => deviceId === `${s.family}-${tankId}`)?.family;
+}
+
+// Families whose devices are switched on/off by liveTanks.json
+function isLiveFiltered(family) {
+  return familySpec(family)?.liveFilter === true;
+}
+
+// Per-family cadence: POLL_MS_<FAMILY> env (e.g. POLL_MS_BMM=300000) wins over
+// the pollMs in families.json; undefined means the global POLL_MS
+function familyPollMs(spec) {
+  return Number(process.env[`POLL_MS_${spec.family.toUpperCase()}`]) || spec.pollMs || undefined;
+}
+
+// Return array of { family, devicePrefix, pollMs, mapFile, mapCtx, blocks, maps, devices[] }
+// mapCtx/blocks are the family default; devices may resolve to another map in `maps`
 function loadFamilies() {
-  const files = fs.readdirSync(configDir).filter((fn) => fn.endsWith("Config.json"));
+  const maps = loadMapCatalog(configDir);
   const out = [];
 
-  for (const fn of files) {
-    const spec = resolveFamily(fn);
-    if (!spec) continue;
+  for (const spec of getFamilySpecs()) {
+    const cfgPath = path.join(configDir, spec.configFile);
 
-    const cfgPath = path.join(configDir, fn);
-    const devicesJson = JSON.parse(fs.readFileSync(cfgPath, "utf8"));
+    // A broken device list or map keeps its last good version (configStore);
+    // one that never loaded keeps whatever this family was polling before
+    let devicesJson, mapCtx;
+    try {
+      devicesJson = readConfigJson(cfgPath, { validate: validateDeviceList });
+      if (!devicesJson) continue;
+      mapCtx = loadRegisterMap(spec.mapFile);
+    } catch (e) {
+      const previous = families?.find((f) => f.family === spec.family);
+      console.error(`❌ Family ${spec.family}: ${e.message}${previous ? " (still polling previous config)" : ""}`);
+      if (previous) out.push(previous);
+      continue;
+    }
 
+    // Entries are either "ip" or { ip, unitId, port, transport, path, baudRate, map, pollMs, ... }
+    // (serial devices have no ip; their port path is shown in its place)
     const list = Object.entries(devicesJson).map(([tankId, v]) => {
       if (typeof v === "string") return { tankId, ip: v, unitId: 1 };
-      return { tankId, ip: v.ip, unitId: v.unitId ?? 1 };
+      return {
+        ...transportOpts(v),
+        tankId,
+        ip: v.ip || v.path,
+        unitId: v.unitId ?? 1,
+        map: v.map,
+        pollMs: Number(v.pollMs) || undefined,
+      };
     });
 
     const live = loadLiveTanks();
     const filtered =
-      spec.family === "ctrl" && live
+      spec.liveFilter && live
         ? list.filter((d) => live[d.tankId] === true)
         : list;
 
@@ -692,14 +1441,17 @@ function loadFamilies() {
       continue;
     }
 
-    const mapCtx = loadRegisterMap(spec.mapFile);
     const blocks = getBlocks(mapCtx);
 
     out.push({
       family: spec.family,
       devicePrefix: spec.family,
+      pollMs: familyPollMs(spec),
+      mapFile: spec.mapFile,
+      summary: spec.summary,
       mapCtx,
       blocks,
+      maps,
       devices: filtered,
     });
   }
@@ -713,13 +1465,23 @@ function fmt(x) {
 }
 
 async function pollDevice(mqttClient, family, device) {
-  const { tankId, ip, unitId } = device;
-  const { family: fam, devicePrefix, mapCtx, blocks } = family;
+  const { tankId, ip } = device;
+  const { family: fam, devicePrefix } = family;
+  const started = Date.now();
 
   try {
-    const blkBufs = await readBlocksForDevice(ip, blocks, { unitId });
+    const { mapCtx, blocks } = await resolveDeviceMap(family, device);
+    const blkBufs = await readBlocksForDevice(ip, blocks, transportOpts(device));
     const values = decodePointsFromBlocks(mapCtx, blkBufs);
 
+    // A different controller answering at this IP must not report as this tank
+    const identity = verifyIdentity(fam, tankId, ip, values);
+    if (!identity.ok) {
+      const err = new Error(identity.error);
+      err.qcStatus = "identity_mismatch";
+      throw err;
+    }
+
     const payload = {
       ts_utc: new Date().toISOString(),
       schema_ver: mapCtx.map?.schema_ver || 1,
@@ -732,21 +1494,19 @@ async function pollDevice(mqttClient, family, device) {
     };
 
     updateLiveCache(tankId, fam, ip, payload);
+    noteDeadbandPoll(`${fam}:${tankId}`, mapCtx, values);
 
     publishTelemetry(mqttClient, payload, fam);
     processTelemetryForAlarms(payload, fam);
 
-    if (fam === "ctrl" || fam === "util") {
-      console.log(
-        `✅ ${fam}:${tankId} @ ${ip} → pH=${fmt(values.ph)} temp=${fmt(values.temp1_C)}C`,
-      );
-    } else if (fam === "bmm") {
-      console.log(
-        `✅ bmm:${tankId} @ ${ip} → biomass=${fmt(values.biomass)} ch_clear=${fmt(values.ch_clear)}`,
-      );
-    } else {
-      console.log(`✅ ${fam}:${tankId} @ ${ip}`);
-    }
+    // summary fields from families.json, e.g. "ph=7.85 temp1_C=25.10"
+    const summary = (family.summary || [])
+      .filter((f) => f.point in values)
+      .map((f) => `${f.point}=${fmt(values[f.point])}`)
+      .join(" ");
+    console.log(`✅ ${fam}:${tankId} @ ${ip}${summary ? ` → ${summary}` : ""}`);
+    recordPoll({ site: SITE_ID, family: fam, tankId, durationMs: Date.now() - started, ok: true, values });
+    return { ok: true };
   } catch (e) {
     const failPayload = {
       ts_utc: new Date().toISOString(),
@@ -755,7 +1515,7 @@ async function pollDevice(mqttClient, family, device) {
       device_id: `${family.devicePrefix}-${tankId}`,
       fw: DEVICE_FW,
       s: {},
-      qc: { status: "fail", error: e.message },
+      qc: { status: e.qcStatus || "fail", error: e.message },
     };
 
     // IMPORTANT: update live cache on failure too (so util stays visible + status updates)
@@ -765,68 +1525,102 @@ async function pollDevice(mqttClient, family, device) {
     processTelemetryForAlarms(failPayload, fam, { error: e });
 
     console.error(`❌ ${family.family}:${tankId} @ ${ip}: ${e.message}`);
+    recordPoll({ site: SITE_ID, family: fam, tankId, durationMs: Date.now() - started, ok: false, error: e });
+    return { ok: false };
   }
 }
 
-async function pollAllFamilies(mqttClient, families) {
-  const work = families.flatMap((f) => f.devices.map((d) => ({ f, d })));
-  if (!work.length) return;
-
-  let i = 0;
-  const N = Math.min(CONCURRENCY, work.length);
-
-  async function worker() {
-    while (true) {
-      const idx = i++;
-      if (idx >= work.length) break;
-      const { f, d } = work[idx];
-      if (idx % 3 === 0) await new Promise((r) => setTimeout(r, Math.random() * 200));
-      await pollDevice(mqttClient, f, d);
-    }
-  }
+async function flushLiveCache() {
+  if (!liveCacheDirty) return;
+  liveCacheDirty = false;
+  await saveLiveCache(liveCache);
+}
 
-  await Promise.all(Array.from({ length: N }, worker));
+// Only devices that are still configured (same family) come back
+function restoreLiveCache() {
+  const configured = new Map(families.flatMap((f) => f.devices.map((d) => [d.tankId, f.family])));
+  const restored = loadLiveCache((tankId, entry) => configured.get(tankId) === entry.family);
+  Object.assign(liveCache, restored);
+  const n = Object.keys(restored).length;
+  if (n) console.log(`♻️ Restored ${n} live snapshot(s) from the last run`);
 }
 
 // ---- main loop + reload ----
 initLogger();
 
-let families = loadFamilies();
+let families = [];
+families = loadFamilies();
+restoreLiveCache();
 console.log(
-  `👟 Gateway starting: site=${SITE_ID}, interval=${POLL_MS}ms, concurrency=${CONCURRENCY}`,
+  `👟 Gateway starting: site=${SITE_ID}, interval=${POLL_MS}ms, fast=${POLL_FAST_MS}ms, concurrency=${CONCURRENCY}`,
 );
 console.log(
   `📦 Families loaded: ${families.map((f) => `${f.family}(${f.devices.length})`).join(", ")}`,
 );
 
-let lastReload = Date.now();
-
-async function tick() {
-  const now = Date.now();
-  if (now - lastReload >= FAMILY_RELOAD_MS) {
-    lastReload = now;
-    try {
-      families = loadFamilies();
-      console.log(
-        `🔁 Families reloaded: ${families.map((f) => `${f.family}(${f.devices.length})`).join(", ")}`,
-      );
-    } catch (e) {
-      console.error("Family reload error:", e.message);
-    }
+configureScheduler({
+  poll: (family, device) => pollDevice(mqttClient, family, device),
+  onIdle: flushAlarmBatch, // one Slack message per burst of polls
+  intervalMs: POLL_MS,
+  fastMs: POLL_FAST_MS,
+  backoffMaxMs: POLL_BACKOFF_MAX_MS,
+  concurrency: CONCURRENCY,
+});
+syncDevices(families);
+
+function reloadFamilies() {
+  try {
+    families = loadFamilies();
+    syncDevices(families);
+    forgetDevicesExcept(new Set(families.flatMap((f) => f.devices.map((d) => `${f.family}:${d.tankId}`))));
+    console.log(
+      `🔁 Families reloaded: ${families.map((f) => `${f.family}(${f.devices.length})`).join(", ")}`,
+    );
+  } catch (e) {
+    console.error("Family reload error:", e.message);
   }
+}
 
-  await pollAllFamilies(mqttClient, families);
-  await flushAlarmBatch(); // one Slack message per poll
+// ---- config hot-reload ----
+// Device lists, families.json, liveTanks.json and register maps change what
+// is polled, so they reload the families; whitelists and co2Config are read
+// on use and only re-validated here so errors show up straight away.
+function onConfigChange(file) {
+  const specs = getFamilySpecs();
+  console.log(`📝 Config changed: ${file}`);
+
+  if (
+    file === "families.json" ||
+    file === "liveTanks.json" ||
+    /^registerMap.*\.json$/.test(file) ||
+    specs.some((s) => s.configFile === file)
+  ) {
+    reloadFamilies();
+  } else if (file === "co2Config.json") {
+    loadCo2Config();
+  } else if (file.startsWith("logPoints")) {
+    for (const s of specs) loadWhitelistForFamily(s.family);
+  }
 }
 
-let pollTimer;
+let reloadTimer;
+let liveCacheTimer;
+let stopConfigWatch;
 
 function start() {
-  if (pollTimer) clearInterval(pollTimer);
-  pollTimer = setInterval(() => {
-    tick().catch((e) => console.error("Poll error:", e.message));
-  }, POLL_MS);
-  tick().catch((e) => console.error("Initial poll error:", e.message));
+  if (reloadTimer) clearInterval(reloadTimer);
+  reloadTimer = setInterval(reloadFamilies, FAMILY_RELOAD_MS);
+  if (liveCacheTimer) clearInterval(liveCacheTimer);
+  liveCacheTimer = setInterval(flushLiveCache, LIVE_CACHE_SAVE_MS);
+  // read everything once so a bad first edit still has a good version to keep
+  loadCo2Config();
+  for (const spec of getFamilySpecs()) loadWhitelistForFamily(spec.family);
+  stopConfigWatch = watchConfigDir(configDir, onConfigChange);
+  startScheduler();
+  startScheduleRunner({
+    resolveTarget: (tankId, family) => commandTarget(tankId, family),
+    listTanks: listFamilyTanks,
+  });
 
   apiServer = http.createServer((req, res) => {
     handleApiRequest(req, res).catch((err) => {
@@ -847,7 +1641,14 @@ function start() {
 // ---- graceful shutdown ----
 async function shutdown() {
   console.log("Shutting down…");
-  if (pollTimer) clearInterval(pollTimer);
+  if (reloadTimer) clearInterval(reloadTimer);
+  if (liveCacheTimer) clearInterval(liveCacheTimer);
+  if (stopConfigWatch) stopConfigWatch();
+  stopScheduler();
+  stopScheduleRunner();
+  await flushLiveCache();
+  await flushDeadbandState();
+  await flushDeviceIdentities();
   try {
     await shutdownLogger();
   } catch {}
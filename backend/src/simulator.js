@@ -0,0 +1,497 @@
+// backend/src/simulator.js
+// Local Modbus TCP slaves that behave like our controllers and BMM sensors,
+// driven by the register maps in config/. Point tankConfig.json (or
+// bmmConfig.json) at them to exercise polling, logging, alarms, CO2 usage
+// and commands without hardware on the bench.
+//
+//   npm run simulate                                   # 2 ctrl + 1 bmm from port 15020
+//   npm run simulate -- --ctrl 4 --bmm 2 --port 1502
+//   npm run simulate -- --scenario config/simulator.example.json
+//
+// A scenario file lists devices and scripted faults:
+//   {
+//     "speed": 10,                 // run the physics 10x faster than real time
+//     "devices": [{ "id": "SIM01", "family": "ctrl", "port": 15020, "serial": 101,
+//                   "init": { "ctl1_setpoint": 7.9 } }],
+//     "faults": [{ "device": "SIM01", "type": "timeout", "at_s": 60, "duration_s": 30 }]
+//   }
+//
+// Fault types: "timeout" (request is swallowed), "exception" (Modbus
+// exception, "code" default 4), "disconnect" (socket dropped) and
+// "garbage_float" (float points read NaN/Inf/huge values; "point" limits it
+// to one point). "probability" (0..1, default 1) applies per request/tick.
+
+import fs from "fs";
+import net from "net";
+import path from "path";
+import { fileURLToPath } from "url";
+import Modbus from "jsmodbus";
+import { decodePointsFromBlocks, encodePointValue } from "./registerMap.js";
+import { loadMapCatalog } from "./mapSelector.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const configDir = path.join(__dirname, "..", "config");
+
+const TICK_MS = 1000;
+const WRITE_FCS = new Set([5, 6, 15, 16]);
+const FLOAT_TYPES = new Set(["float32", "float64"]);
+
+/* ------------------------------------------------------------------ */
+/*                         Device memory                               */
+/* ------------------------------------------------------------------ */
+
+function tableSize(map, fns) {
+  let max = 0;
+  for (const def of Object.values(map.points)) {
+    if (fns.includes(def.fn ?? 3)) max = Math.max(max, def.addr + (def.length || 4));
+  }
+  return max;
+}
+
+// Wraps the four Modbus tables of one simulated device and reads/writes
+// points through the register map, so byte/word order always matches.
+function createMemory(map) {
+  const regs = Math.max(512, tableSize(map, [3, 4]) + 8);
+  const bits = Math.max(8192, tableSize(map, [1, 2]) + 8);
+  const tables = {
+    1: Buffer.alloc(Math.ceil(bits / 8)),
+    2: Buffer.alloc(Math.ceil(bits / 8)),
+    3: Buffer.alloc(regs * 2),
+    4: Buffer.alloc(regs * 2),
+  };
+
+  // One block per table spanning all of it, so every point decodes
+  const ctx = {
+    map: {
+      ...map,
+      blocks: [
+        { name: "t1", fn: 1, start: 0, len: bits },
+        { name: "t2", fn: 2, start: 0, len: bits },
+        { name: "t3", fn: 3, start: 0, len: regs },
+        { name: "t4", fn: 4, start: 0, len: regs },
+      ],
+    },
+  };
+
+  function read() {
+    return decodePointsFromBlocks(ctx, {
+      t1: tables[1],
+      t2: tables[2],
+      t3: tables[3],
+      t4: tables[4],
+    });
+  }
+
+  function write(name, value) {
+    const def = map.points[name];
+    if (!def) return;
+
+    // Simulated values are engineering units; undo scale/offset first
+    let raw = value;
+    if (typeof value === "number" && (typeof def.scale === "number" || typeof def.offset === "number")) {
+      raw = (value - (def.offset || 0)) / (def.scale || 1);
+    }
+    if (typeof raw === "number" && !FLOAT_TYPES.has(def.type) && def.type !== "bool") {
+      raw = Math.round(raw);
+    }
+
+    const enc = encodePointValue(ctx, name, raw);
+    const buf = tables[enc.fn];
+
+    if (enc.coils) {
+      const byte = Math.floor(enc.start / 8);
+      const mask = 1 << enc.start % 8;
+      buf[byte] = enc.coils[0] ? buf[byte] | mask : buf[byte] & ~mask;
+    } else if (typeof enc.bit === "number") {
+      let word = buf.readUInt16BE(enc.start * 2);
+      word = enc.value ? word | (1 << enc.bit) : word & ~(1 << enc.bit);
+      buf.writeUInt16BE(word, enc.start * 2);
+    } else {
+      enc.words.forEach((w, i) => w.copy(buf, (enc.start + i) * 2));
+    }
+  }
+
+  return { tables, read, write };
+}
+
+/* ------------------------------------------------------------------ */
+/*                           Device models                             */
+/* ------------------------------------------------------------------ */
+
+function noise(amplitude) {
+  return (Math.random() * 2 - 1) * amplitude;
+}
+
+// Controller: CO2 dosing keeps pH inside a band around ctl1_setpoint.
+// Photosynthesis pushes pH up; the relay (dosing) pulls it down and runs
+// timer_seconds, which is what the CO2 usage page integrates.
+const ctrlModel = {
+  init(dev) {
+    return {
+      model_number: 2,
+      serial_number: dev.serial,
+      fw_revision: 0x0102,
+      status_code: 0,
+      ctl1_setpoint: 7.8,
+      ctl1_hysteresis: 0.1,
+      ctl1_alarm_low: 7.2,
+      ctl1_alarm_high: 8.4,
+      ctl1_in_channel: 1,
+      ctl1_out_channel: 1,
+      ctl1_enable_src: 1,
+      ctl1_min_onoff: 30,
+      ph_temp_comp_src: 1,
+      temp1_gain: 1,
+      temp2_gain: 1,
+      analog1_gain: 1,
+      analog2_gain: 1,
+      timer_src: 1,
+      counter_src: 1,
+      log_interval_min: 5,
+      device_name: dev.id,
+      fw_build: "sim-1.02",
+    };
+  },
+
+  start(dev) {
+    return {
+      ph: 7.8 + noise(0.3),
+      relay: false,
+      timer: 0,
+      counter: 0,
+      logRecords: 0,
+      logAccum: 0,
+      phase: Math.random() * Math.PI * 2,
+    };
+  },
+
+  step(st, v, dt, t) {
+    const sp = num(v.ctl1_setpoint, 7.8);
+    const hyst = num(v.ctl1_hysteresis, 0.1);
+
+    if (st.ph > sp + hyst / 2) {
+      if (!st.relay) st.counter++;
+      st.relay = true;
+    } else if (st.ph < sp - hyst / 2) {
+      st.relay = false;
+    }
+    const dosing = st.relay || v.relay1_request === 1;
+
+    st.ph += (dosing ? -0.004 : 0.0015) * dt + noise(0.002);
+    if (dosing) st.timer += dt;
+
+    // ~10 min "day" so temperature swings are visible while testing
+    const temp = 24 + 1.5 * Math.sin((2 * Math.PI * t) / 600 + st.phase);
+
+    st.logAccum += dt;
+    const logEvery = num(v.log_interval_min, 5) * 60;
+    while (st.logAccum >= logEvery) {
+      st.logAccum -= logEvery;
+      st.logRecords = Math.min(65535, st.logRecords + 1);
+    }
+
+    return {
+      ph: st.ph + num(v.wq_offset, 0),
+      temp1_C: temp * num(v.temp1_gain, 1) + num(v.temp1_offset, 0),
+      temp2_C: (temp + 0.3) * num(v.temp2_gain, 1) + num(v.temp2_offset, 0),
+      internal_temp_C: 35 + noise(0.5),
+      analog1: 12 * num(v.analog1_gain, 1) + num(v.analog1_offset, 0) + noise(0.05),
+      analog2: 4 * num(v.analog2_gain, 1) + num(v.analog2_offset, 0),
+      relay1_status: dosing ? 1 : 0,
+      relay2_status: v.relay2_request === 1 ? 1 : 0,
+      timer_seconds: Math.floor(st.timer),
+      counter_value: st.counter,
+      log_records_available: st.logRecords,
+    };
+  },
+};
+
+// BMM: logistic biomass growth with the colour channels following the
+// optical density, plus heartbeat echo, uptime and a wall clock.
+const bmmModel = {
+  init(dev) {
+    return {
+      model_number: 7,
+      serial_number: dev.serial,
+      firmware_rev: 0x0100,
+      status_code: 0,
+      measurement_hour: 8,
+      timezone_hours: -10,
+      calib_k0: 0.02,
+      calib_k1: 1.1,
+      calib_k2: -0.05,
+      calib_k3: 0,
+    };
+  },
+
+  start() {
+    return { biomass: 0.2 + Math.random() * 0.2, uptime: 0 };
+  },
+
+  step(st, v, dt, t) {
+    // carrying capacity 3 g/L, doubling roughly every half hour of sim time
+    const K = 3;
+    const r = Math.log(2) / 1800;
+    st.biomass += r * st.biomass * (1 - st.biomass / K) * dt;
+    st.uptime += dt;
+
+    const clear = 1000 * Math.exp(-0.6 * st.biomass) + noise(5);
+    const red = clear * 0.3;
+    const green = clear * (0.45 - 0.05 * Math.min(st.biomass, 2));
+    const blue = clear * 0.25;
+
+    const local = new Date(Date.now() + num(v.timezone_hours, 0) * 3_600_000);
+
+    return {
+      biomass: st.biomass + noise(0.01),
+      ch_clear: clear,
+      ch_red: red,
+      ch_green: green,
+      ch_blue: blue,
+      ci_rg: red / green,
+      ci_bg: blue / green,
+      ci_rb: red / blue,
+      heartbeat_out: num(v.heartbeat_in, 0),
+      measure_stage: Math.floor(t / 10) % 4,
+      uptime_s: Math.floor(st.uptime),
+      clock_year: local.getUTCFullYear(),
+      clock_month: local.getUTCMonth() + 1,
+      clock_day: local.getUTCDate(),
+      clock_hour: local.getUTCHours(),
+      clock_minute: local.getUTCMinutes(),
+      clock_second: local.getUTCSeconds(),
+      sensor_gain: 16,
+    };
+  },
+};
+
+const MODELS = { ctrl: ctrlModel, util: ctrlModel, bmm: bmmModel };
+
+function num(v, fallback) {
+  return typeof v === "number" && Number.isFinite(v) ? v : fallback;
+}
+
+/* ------------------------------------------------------------------ */
+/*                              Faults                                 */
+/* ------------------------------------------------------------------ */
+
+function activeFaults(dev, type, t) {
+  return dev.faults.filter((f) => {
+    if (f.type !== type) return false;
+    const from = f.at_s || 0;
+    const to = typeof f.duration_s === "number" ? from + f.duration_s : Infinity;
+    if (t < from || t >= to) return false;
+    return Math.random() < (f.probability ?? 1);
+  });
+}
+
+function garbageFloat(kind) {
+  const choices = {
+    nan: NaN,
+    inf: Infinity,
+    huge: 3.4e38,
+    negative: -9999,
+  };
+  if (kind && kind in choices) return choices[kind];
+  const keys = Object.keys(choices);
+  return choices[keys[Math.floor(Math.random() * keys.length)]];
+}
+
+// Modbus TCP exception frame: MBAP header + (fc | 0x80) + exception code
+function exceptionFrame(request, code) {
+  const buf = Buffer.alloc(9);
+  buf.writeUInt16BE(request.id, 0);
+  buf.writeUInt16BE(request.protocol, 2);
+  buf.writeUInt16BE(3, 4);
+  buf.writeUInt8(request.unitId, 6);
+  buf.writeUInt8(request.body.fc | 0x80, 7);
+  buf.writeUInt8(code, 8);
+  return buf;
+}
+
+/* ------------------------------------------------------------------ */
+/*                          Device lifecycle                           */
+/* ------------------------------------------------------------------ */
+
+function pickMap(catalog, dev) {
+  const entry = dev.map
+    ? catalog.find((m) => m.file === dev.map)
+    : catalog.find((m) => m.families.includes(dev.family) && !m.match);
+  if (!entry) throw new Error(`${dev.id}: no register map for family ${dev.family}`);
+  return entry;
+}
+
+function startDevice(dev, catalog, speed) {
+  const model = MODELS[dev.family];
+  if (!model) throw new Error(`${dev.id}: unknown family ${dev.family}`);
+
+  const { file, mapCtx } = pickMap(catalog, dev);
+  const mem = createMemory(mapCtx.map);
+  const started = Date.now();
+  const simTime = () => ((Date.now() - started) / 1000) * speed;
+
+  for (const [name, value] of Object.entries({ ...model.init(dev), ...(dev.init || {}) })) {
+    mem.write(name, value);
+  }
+
+  const state = model.start(dev);
+  const tcp = new net.Server();
+  const server = new Modbus.server.TCP(tcp, {
+    coils: mem.tables[1],
+    discrete: mem.tables[2],
+    holding: mem.tables[3],
+    input: mem.tables[4],
+  });
+
+  server.on("connection", (client) => {
+    const handler = client._responseHandler;
+    const handle = handler.handle.bind(handler);
+
+    handler.handle = (request, cb) => {
+      if (!request) return handle(request, cb);
+      const t = simTime();
+      const fc = request.body?.fc;
+
+      if (activeFaults(dev, "disconnect", t).length) {
+        console.log(`🔌 ${dev.id}: dropping connection (fc${fc})`);
+        client.socket.destroy();
+        return null;
+      }
+      if (activeFaults(dev, "timeout", t).length) {
+        return null; // never answer
+      }
+      const [exc] = activeFaults(dev, "exception", t);
+      if (exc) {
+        cb(exceptionFrame(request, exc.code ?? 4));
+        return null;
+      }
+
+      if (WRITE_FCS.has(fc)) {
+        console.log(`✍️  ${dev.id}: fc${fc} @ ${request.body.address}`);
+      }
+      return handle(request, cb);
+    };
+  });
+
+  tcp.on("error", (e) => console.error(`❌ ${dev.id}: ${e.message}`));
+  tcp.listen(dev.port, dev.host, () => {
+    console.log(`🧪 ${dev.id} (${dev.family}, ${file}) listening on ${dev.host}:${dev.port}`);
+  });
+
+  let lastTick = Date.now();
+  const timer = setInterval(() => {
+    const now = Date.now();
+    const dt = ((now - lastTick) / 1000) * speed;
+    lastTick = now;
+    const t = simTime();
+
+    try {
+      const outputs = model.step(state, mem.read(), dt, t);
+
+      for (const f of activeFaults(dev, "garbage_float", t)) {
+        const targets = f.point
+          ? [f.point]
+          : Object.keys(outputs).filter((k) => FLOAT_TYPES.has(mapCtx.map.points[k]?.type));
+        for (const k of targets) outputs[k] = garbageFloat(f.value);
+      }
+
+      for (const [name, value] of Object.entries(outputs)) mem.write(name, value);
+    } catch (e) {
+      console.error(`❌ ${dev.id} step: ${e.message}`);
+    }
+  }, TICK_MS);
+
+  return {
+    stop() {
+      clearInterval(timer);
+      tcp.close();
+    },
+  };
+}
+
+/* ------------------------------------------------------------------ */
+/*                               CLI                                   */
+/* ------------------------------------------------------------------ */
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (!a.startsWith("--")) continue;
+    const key = a.slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith("--")) args[key] = true;
+    else args[key] = argv[++i];
+  }
+  return args;
+}
+
+function defaultScenario(args) {
+  const ctrl = Number(args.ctrl ?? 2);
+  const bmm = Number(args.bmm ?? 1);
+  let port = Number(args.port ?? 15020);
+  const devices = [];
+
+  for (let i = 1; i <= ctrl; i++) {
+    devices.push({ id: `SIM${String(i).padStart(2, "0")}`, family: "ctrl", port: port++ });
+  }
+  for (let i = 1; i <= bmm; i++) {
+    devices.push({ id: `BMMSIM${String(i).padStart(2, "0")}`, family: "bmm", port: port++ });
+  }
+  return { speed: Number(args.speed ?? 1), devices, faults: [] };
+}
+
+function loadScenario(args) {
+  if (!args.scenario) return defaultScenario(args);
+  const file = path.resolve(process.cwd(), args.scenario);
+  const scenario = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!Array.isArray(scenario.devices) || !scenario.devices.length) {
+    throw new Error(`${file}: "devices" must be a non-empty array`);
+  }
+  if (args.speed) scenario.speed = Number(args.speed);
+  return scenario;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const scenario = loadScenario(args);
+  const speed = Number(scenario.speed) > 0 ? Number(scenario.speed) : 1;
+  const host = args.host || "127.0.0.1";
+  const catalog = loadMapCatalog(configDir);
+
+  const devices = scenario.devices.map((d, i) => ({
+    host,
+    serial: 1000 + i,
+    ...d,
+    faults: (scenario.faults || []).filter((f) => f.device === d.id),
+  }));
+
+  const running = devices.map((dev) => startDevice(dev, catalog, speed));
+
+  // Ready-to-paste device config so the gateway polls the simulators
+  const byFamily = {};
+  for (const dev of devices) {
+    byFamily[dev.family] ||= {};
+    byFamily[dev.family][dev.id] = { ip: dev.host, port: dev.port };
+  }
+  console.log(`⏩ speed=${speed}x, faults=${(scenario.faults || []).length}`);
+  for (const [family, entries] of Object.entries(byFamily)) {
+    const file = family === "bmm" ? "bmmConfig.json" : family === "util" ? "utilityConfig.json" : "tankConfig.json";
+    console.log(`📋 ${file}:\n${JSON.stringify(entries, null, 2)}`);
+  }
+
+  const shutdown = () => {
+    running.forEach((r) => r.stop());
+    process.exit(0);
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+}
+
+try {
+  main();
+} catch (e) {
+  console.error(`❌ Simulator: ${e.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,100 @@
+// backend/test/bulkCommandService.test.js
+// Bulk dry runs against a local Modbus server: current values, clamped
+// plans, devices that don't answer and ops every device refuses.
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { planBulk } from "../src/bulkCommandService.js";
+import { startModbusServer } from "./helpers/modbusServer.js";
+
+const map = {
+  points: {
+    setpoint: { addr: 0, type: "float32", safe_bounds: [6.5, 8.8] },
+    status: { addr: 2, type: "u16", ro: true },
+  },
+  blocks: [{ name: "main", fn: 3, start: 0, len: 3 }],
+};
+
+let srv;
+let closedPort;
+
+before(async () => {
+  const holding = Buffer.alloc(16);
+  holding.writeFloatBE(7.9, 0);
+  srv = await startModbusServer({ holding });
+
+  const gone = await startModbusServer();
+  closedPort = gone.port;
+  await gone.close();
+});
+
+after(() => srv.close());
+
+// T1 answers, T2 refuses connections, anything else isn't configured
+async function resolveTarget(tankId, family) {
+  const port = { T1: srv.port, T2: closedPort }[tankId];
+  if (!port) {
+    const err = new Error(`Unknown tank ${tankId}`);
+    err.code = "unknown_tank";
+    throw err;
+  }
+  return { family, tankId, ip: "127.0.0.1", opts: { port, maxRetries: 0 }, mapCtx: { map } };
+}
+
+const set = (...tankIds) => ({ family: "ctrl", tankIds, label: tankIds.join(", ") });
+
+describe("planBulk", () => {
+  it("reads current values and plans each device like a single command", async () => {
+    const plan = await planBulk(set("T1", "T2", "T9"), [{ point: "setpoint", value: 9.5 }], resolveTarget);
+    const [t1, t2, t9] = plan.devices;
+
+    assert.equal(t1.online, true);
+    assert.equal(t1.identity_mismatch, false);
+    assert.deepEqual(t1.ops, [
+      {
+        point: "setpoint",
+        value_requested: 9.5,
+        value_current: Math.fround(7.9),
+        value_planned: Math.fround(8.8),
+        reason: "clamped",
+      },
+    ]);
+
+    assert.equal(t2.online, false);
+    assert.match(t2.error, /ECONNREFUSED/);
+    assert.equal(t2.ops[0].value_current, null);
+    assert.equal(t2.ops[0].reason, "clamped"); // planned all the same
+
+    assert.deepEqual(t9, { family: "ctrl", tank_id: "T9", online: false, code: "unknown_tank", error: "Unknown tank T9", ops: [] });
+    assert.deepEqual(plan.summary, { devices: 3, online: 1, offline: 2, clamped: 2, invalid: 0 });
+  });
+
+  it("still finds out whether a device answers when every op is refused", async () => {
+    const plan = await planBulk(set("T1", "T2"), [{ point: "status", value: 1 }], resolveTarget);
+    const [t1, t2] = plan.devices;
+
+    assert.equal(t1.online, true);
+    assert.equal(t1.ops[0].code, "invalid_op");
+    assert.match(t1.ops[0].error, /read-only/);
+    assert.equal(t2.online, false);
+    assert.deepEqual(plan.summary, { devices: 2, online: 1, offline: 1, clamped: 0, invalid: 2 });
+  });
+
+  it("reports online: null when the map gives nothing to read", async () => {
+    const noBlocks = async (tankId, family) => ({ ...(await resolveTarget(tankId, family)), mapCtx: { map: { ...map, blocks: [] } } });
+    const plan = await planBulk(set("T1"), [{ point: "status", value: 1 }], noBlocks);
+    assert.equal(plan.devices[0].online, null);
+    assert.deepEqual(plan.summary, { devices: 1, online: 0, offline: 0, clamped: 0, invalid: 1 });
+  });
+
+  it("never writes", () => {
+    assert.ok(srv.requests.length > 0);
+    assert.ok(srv.requests.every((r) => r.fc === 3));
+  });
+
+  it("refuses malformed ops before touching any device", async () => {
+    const seen = srv.requests.length;
+    await assert.rejects(planBulk(set("T1"), [{ point: "setpoint" }], resolveTarget), { code: "bad_request" });
+    assert.equal(srv.requests.length, seen);
+  });
+});
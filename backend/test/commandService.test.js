@@ -0,0 +1,139 @@
+// backend/test/commandService.test.js
+// Commands against a local Modbus server: written and read back, unknown
+// points refused per op, and commands refused as a whole (rate limit,
+// identity mismatch, no map). Audit rows go to a temp AUDIT_DIR.
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { startModbusServer } from "./helpers/modbusServer.js";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "commands-"));
+process.env.AUDIT_DIR = path.join(dir, "audit");
+process.env.IDENTITY_PATH = path.join(dir, "device-identity.json");
+process.env.CMD_MAX_PER_MINUTE = "3";
+
+const { executeCommand } = await import("../src/commandService.js");
+const { verifyIdentity } = await import("../src/identityService.js");
+
+const map = {
+  points: {
+    setpoint: { addr: 0, type: "float32", safe_bounds: [6.5, 8.8] },
+    status: { addr: 2, type: "u16", ro: true },
+  },
+  blocks: [{ name: "main", fn: 3, start: 0, len: 3 }],
+};
+
+let srv;
+
+before(async () => {
+  const holding = Buffer.alloc(16);
+  holding.writeFloatBE(7.9, 0);
+  srv = await startModbusServer({ holding });
+});
+
+after(async () => {
+  await srv.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const target = (tankId, extra = {}) => ({
+  family: "ctrl",
+  tankId,
+  ip: "127.0.0.1",
+  opts: { port: srv.port, maxRetries: 0 },
+  mapCtx: { map },
+  ...extra,
+});
+const command = (ops) => ({ ops, requested_by: "test", source: "http" });
+
+function auditRows() {
+  const auditDir = process.env.AUDIT_DIR;
+  return fs
+    .readdirSync(auditDir)
+    .flatMap((f) => fs.readFileSync(path.join(auditDir, f), "utf8").trim().split("\n"))
+    .map((line) => JSON.parse(line));
+}
+
+describe("executeCommand", () => {
+  it("writes, reads back and audits each op", async () => {
+    const res = await executeCommand(target("T1"), { ...command([{ point: "setpoint", value: 9.5 }]), tx_id: "tx-1" });
+
+    assert.equal(res.tx_id, "tx-1");
+    assert.deepEqual(res.results, [
+      {
+        point: "setpoint",
+        ok: true,
+        verified: true,
+        reason: "clamped",
+        value_applied: Math.fround(8.8),
+        value_previous: Math.fround(7.9),
+        value_readback: Math.fround(8.8),
+      },
+    ]);
+    assert.equal(srv.holding.readFloatBE(0), Math.fround(8.8));
+
+    const [row] = auditRows().filter((r) => r.tx_id === "tx-1");
+    assert.equal(row.result, "ok");
+    assert.equal(row.value_requested, 9.5);
+    assert.equal(row.source, "http");
+  });
+
+  it("refuses unknown and read-only points per op and still runs the rest", async () => {
+    const res = await executeCommand(
+      target("T2"),
+      command([
+        { point: "nope", value: 1 },
+        { point: "status", value: 1 },
+        { point: "setpoint", value: 7.25 },
+      ]),
+    );
+    const [unknown, readOnly, ok] = res.results;
+
+    assert.deepEqual(unknown, { point: "nope", ok: false, code: "invalid_op", error: "Unknown point: nope" });
+    assert.equal(readOnly.code, "invalid_op");
+    assert.match(readOnly.error, /read-only/);
+    assert.equal(ok.ok, true);
+    assert.equal(ok.value_readback, 7.25);
+  });
+
+  it("rate limits each device on its own", async () => {
+    const ops = [{ point: "nope", value: 1 }]; // refused per op, nothing touches the server
+    for (let i = 0; i < 3; i++) await executeCommand(target("R1"), command(ops));
+
+    await assert.rejects(executeCommand(target("R1"), command(ops)), {
+      status: 429,
+      code: "rate_limited",
+      message: "Too many commands for ctrl:R1, try again in a minute",
+    });
+    await executeCommand(target("R2"), command(ops));
+    await executeCommand(target("R1", { family: "bmm" }), command(ops));
+  });
+
+  it("refuses malformed ops and devices without a register map before the rate limit", async () => {
+    const seen = srv.requests.length;
+    for (let i = 0; i < 4; i++) {
+      await assert.rejects(executeCommand(target("M1"), command([])), { status: 400, code: "bad_request" });
+      await assert.rejects(executeCommand(target("M1", { mapCtx: null }), command([{ point: "setpoint", value: 7 }])), {
+        status: 409,
+        code: "no_register_map",
+      });
+    }
+    await executeCommand(target("M1"), command([{ point: "nope", value: 1 }]));
+    assert.equal(srv.requests.length, seen);
+  });
+
+  it("never writes while another device answers for the tank", async () => {
+    verifyIdentity("ctrl", "I1", "127.0.0.1", { serial_number: 1 });
+    verifyIdentity("ctrl", "I1", "127.0.0.1", { serial_number: 2 });
+    const seen = srv.requests.length;
+
+    await assert.rejects(executeCommand(target("I1"), command([{ point: "setpoint", value: 7 }])), {
+      status: 409,
+      code: "identity_mismatch",
+    });
+    assert.equal(srv.requests.length, seen);
+  });
+});
@@ -0,0 +1,100 @@
+// backend/test/configStore.test.js
+// Hot-reloaded config reads in a temp directory: re-parsing on change, the
+// last good value while a file is broken, and the debounced watcher.
+
+import { describe, it, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { readConfigJson, getConfigStatus, watchConfigDir } from "../src/configStore.js";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "config-"));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// Each write gets a new mtime, so a same-size edit is still noticed
+let tick = 0;
+function write(file, text) {
+  const p = path.join(dir, file);
+  fs.writeFileSync(p, typeof text === "string" ? text : JSON.stringify(text));
+  const t = new Date(Date.UTC(2026, 0, 1) + ++tick * 1000);
+  fs.utimesSync(p, t, t);
+  return p;
+}
+
+const status = (file) => getConfigStatus().files.find((f) => f.file === file);
+
+describe("readConfigJson", () => {
+  it("re-reads a file only when it changes", () => {
+    const p = write("a.json", { n: 1 });
+    const first = readConfigJson(p);
+    assert.deepEqual(first, { n: 1 });
+    assert.equal(readConfigJson(p), first);
+
+    write("a.json", { n: 2 });
+    assert.deepEqual(readConfigJson(p), { n: 2 });
+  });
+
+  it("keeps the last good value while the file is broken", () => {
+    const p = write("b.json", { n: 1 });
+    readConfigJson(p);
+
+    write("b.json", "{ n: 2");
+    assert.deepEqual(readConfigJson(p), { n: 1 });
+    assert.equal(status("b.json").ok, false);
+    assert.equal(status("b.json").using_last_good, true);
+    assert.match(status("b.json").error, /JSON/);
+    assert.equal(getConfigStatus().ok, false);
+
+    write("b.json", { n: 3 });
+    assert.deepEqual(readConfigJson(p), { n: 3 });
+    assert.equal(status("b.json").ok, true);
+    assert.equal(status("b.json").error, null);
+  });
+
+  it("keeps the last good value when validation fails, and uses what validate returns", () => {
+    const validate = (json) => {
+      if (!Array.isArray(json.items)) throw new Error("items must be an array");
+      return { ...json, count: json.items.length };
+    };
+    const p = write("c.json", { items: [1, 2] });
+    assert.deepEqual(readConfigJson(p, { validate }), { items: [1, 2], count: 2 });
+
+    write("c.json", { items: "x" });
+    assert.deepEqual(readConfigJson(p, { validate }), { items: [1, 2], count: 2 });
+    assert.equal(status("c.json").error, "items must be an array");
+  });
+
+  it("throws while a file has never been valid, naming the file", () => {
+    const p = write("d.json", "[");
+    assert.throws(() => readConfigJson(p), { message: /^d\.json: / });
+    // unchanged file: same error, without re-parsing
+    assert.throws(() => readConfigJson(p), /JSON/);
+    assert.equal(status("d.json").using_last_good, false);
+  });
+
+  it("treats a missing file as not configured", () => {
+    const p = write("e.json", { n: 1 });
+    readConfigJson(p);
+    fs.rmSync(p);
+    assert.equal(readConfigJson(p), undefined);
+    assert.equal(status("e.json"), undefined);
+  });
+});
+
+describe("watchConfigDir", () => {
+  it("reports each changed .json file once per burst of edits", async () => {
+    const changed = [];
+    const stop = watchConfigDir(dir, (file) => changed.push(file), { debounceMs: 50 });
+    try {
+      write("w1.json", { n: 1 });
+      write("w1.json", { n: 2 });
+      write("w2.json", { n: 1 });
+      write("notes.txt", "not config");
+      await new Promise((resolve) => setTimeout(resolve, 200));
+    } finally {
+      stop();
+    }
+    assert.deepEqual(changed.sort(), ["w1.json", "w2.json"]);
+  });
+});
@@ -0,0 +1,66 @@
+// backend/test/deadbandService.test.js
+// Deadband references from polls and verified writes, and the writes
+// planWrite skips because of them.
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { noteDeadbandPoll, noteDeadbandWrite, deadbandReference } from "../src/deadbandService.js";
+import { planWrite } from "../src/registerMap.js";
+
+const ctx = {
+  map: {
+    points: {
+      // the device holds tenths above 1.0: raw 75 reads as 8.5
+      setpoint: { addr: 0, type: "float32", scale: 0.1, offset: 1, deadband: 0.5 },
+      level: { addr: 2, type: "float32" },
+    },
+  },
+};
+
+function plan(deviceKey, value, opts = {}) {
+  return planWrite(ctx, "setpoint", value, { lastValue: deadbandReference(deviceKey, "setpoint"), ...opts });
+}
+
+describe("deadband references", () => {
+  it("keeps polled values raw, for deadband points only", () => {
+    noteDeadbandPoll("ctrl:D1", ctx, { setpoint: 8.5, level: 3 });
+    assert.equal(deadbandReference("ctrl:D1", "setpoint"), 75);
+    assert.equal(deadbandReference("ctrl:D1", "level"), undefined);
+  });
+
+  it("ignores values that aren't numbers", () => {
+    noteDeadbandPoll("ctrl:D2", ctx, { setpoint: 8.5 });
+    noteDeadbandPoll("ctrl:D2", ctx, { setpoint: NaN });
+    noteDeadbandPoll("ctrl:D2", ctx, { setpoint: undefined });
+    noteDeadbandWrite("ctrl:D2", "setpoint", Infinity);
+    assert.equal(deadbandReference("ctrl:D2", "setpoint"), 75);
+  });
+
+  it("takes a verified write as the new reference", () => {
+    noteDeadbandPoll("ctrl:D3", ctx, { setpoint: 8.5 });
+    noteDeadbandWrite("ctrl:D3", "setpoint", 80);
+    assert.equal(deadbandReference("ctrl:D3", "setpoint"), 80);
+  });
+
+  it("keeps devices apart", () => {
+    noteDeadbandPoll("ctrl:D4", ctx, { setpoint: 8.5 });
+    noteDeadbandPoll("bmm:D4", ctx, { setpoint: 9 });
+    assert.equal(deadbandReference("ctrl:D4", "setpoint"), 75);
+    assert.equal(deadbandReference("bmm:D4", "setpoint"), 80);
+  });
+});
+
+describe("deadband skips", () => {
+  it("skips raw values closer than the deadband to the device's", () => {
+    noteDeadbandPoll("ctrl:S1", ctx, { setpoint: 8.5 });
+    assert.equal(plan("ctrl:S1", 75.4).reason, "deadband_skip");
+    assert.equal(plan("ctrl:S1", 74.6).reason, "deadband_skip");
+    assert.equal(plan("ctrl:S1", 75.5).reason, "ok");
+  });
+
+  it("writes anyway when forced or when nothing was polled yet", () => {
+    noteDeadbandPoll("ctrl:S2", ctx, { setpoint: 8.5 });
+    assert.equal(plan("ctrl:S2", 75, { force: true }).reason, "ok");
+    assert.equal(plan("ctrl:S3", 75).reason, "ok");
+  });
+});
@@ -0,0 +1,174 @@
+// backend/test/deviceConfig.test.js
+// Device CRUD against family config files in a temp directory: validation,
+// duplicates, the short "ip" form and serial (rtu) devices.
+
+import { describe, it, beforeEach, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  listConfiguredDevices,
+  normalizeDeviceInput,
+  createDevice,
+  updateDevice,
+  deleteDevice,
+} from "../src/deviceConfig.js";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "devices-"));
+const read = (file) => JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"));
+const write = (file, json) => fs.writeFileSync(path.join(dir, file), JSON.stringify(json));
+
+beforeEach(() => {
+  for (const f of fs.readdirSync(dir)) fs.rmSync(path.join(dir, f));
+  write("tankConfig.json", {
+    C01: "10.0.0.11",
+    C02: { ip: "10.0.0.12", port: 1502, notes: "north raceway" },
+    C03: { transport: "rtu", path: "/dev/ttyUSB0", unitId: 3, baudRate: 19200 },
+  });
+  write("bmmConfig.json", { B01: { transport: "rtu-tcp", ip: "10.0.0.50", port: 4001, unitId: 2 } });
+});
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+describe("normalizeDeviceInput", () => {
+  it("fills in the TCP defaults", () => {
+    assert.deepEqual(normalizeDeviceInput({ family: "ctrl", tankId: "C10", ip: " 10.0.0.20 " }), {
+      family: "ctrl",
+      tankId: "C10",
+      transport: "tcp",
+      ip: "10.0.0.20",
+      path: null,
+      port: 502,
+      unitId: 1,
+      notes: "",
+    });
+  });
+
+  it("takes a port path instead of an address for serial devices", () => {
+    const dev = normalizeDeviceInput({ family: "ctrl", tankId: "C10", transport: "rtu", path: "/dev/ttyUSB1", ip: "x" });
+    assert.equal(dev.path, "/dev/ttyUSB1");
+    assert.equal(dev.ip, null);
+    assert.equal(dev.port, null);
+    assert.equal(normalizeDeviceInput({ family: "ctrl", tankId: "C10", transport: "rtu", path: "COM3" }).path, "COM3");
+  });
+
+  it("rejects bad fields with a 400", () => {
+    const bad = [
+      [{ family: "nope" }, /family must be one of ctrl, util, bmm/],
+      [{ tankId: "C 1" }, /tankId must be/],
+      [{ ip: "10.0.0.256" }, /ip must be an IPv4 address/],
+      [{ transport: "rtu-tcp", ip: "/dev/ttyUSB0" }, /ip must be an IPv4 address/],
+      [{ transport: "rtu", path: "ttyUSB0" }, /path must be a serial port/],
+      [{ transport: "udp" }, /transport must be one of tcp, rtu, rtu-tcp/],
+      [{ port: 70000 }, /port must be 1-65535/],
+      [{ unitId: 256 }, /unitId must be 0-255/],
+      [{ notes: "x".repeat(501) }, /notes must be at most 500/],
+    ];
+    for (const [input, message] of bad) {
+      assert.throws(() => normalizeDeviceInput({ family: "ctrl", tankId: "C10", ip: "10.0.0.20", ...input }), {
+        status: 400,
+        message,
+      });
+    }
+  });
+});
+
+describe("listConfiguredDevices", () => {
+  it("reads every family, serial devices by port path", () => {
+    const byId = Object.fromEntries(listConfiguredDevices(dir).map(({ entry, ...d }) => [d.tankId, d]));
+    assert.deepEqual(byId.C01, { family: "ctrl", tankId: "C01", transport: "tcp", ip: "10.0.0.11", path: null, port: 502, unitId: 1, notes: "" });
+    assert.equal(byId.C02.notes, "north raceway");
+    assert.deepEqual(
+      [byId.C03.transport, byId.C03.ip, byId.C03.path, byId.C03.port, byId.C03.unitId],
+      ["rtu", null, "/dev/ttyUSB0", null, 3],
+    );
+    assert.deepEqual([byId.B01.family, byId.B01.transport, byId.B01.ip, byId.B01.port], ["bmm", "rtu-tcp", "10.0.0.50", 4001]);
+  });
+});
+
+describe("createDevice", () => {
+  it("writes the short form when everything is default", async () => {
+    await createDevice(dir, { family: "ctrl", tankId: "C10", ip: "10.0.0.20" });
+    await createDevice(dir, { family: "util", tankId: "U01", ip: "10.0.0.30", unitId: 4 });
+    await createDevice(dir, { family: "ctrl", tankId: "C11", transport: "rtu", path: "/dev/ttyUSB0", unitId: 4 });
+
+    assert.equal(read("tankConfig.json").C10, "10.0.0.20");
+    assert.deepEqual(read("utilityConfig.json"), { U01: { ip: "10.0.0.30", unitId: 4 } });
+    assert.deepEqual(read("tankConfig.json").C11, { transport: "rtu", path: "/dev/ttyUSB0", unitId: 4 });
+  });
+
+  it("refuses an address and unit in use, or a tank ID taken in the family", async () => {
+    await assert.rejects(createDevice(dir, { family: "util", tankId: "U01", ip: "10.0.0.12", port: 1502 }), {
+      status: 409,
+      message: "10.0.0.12:1502 unit 1 is already used by ctrl:C02",
+    });
+    await assert.rejects(
+      createDevice(dir, { family: "ctrl", tankId: "C11", transport: "rtu", path: "/dev/ttyUSB0", unitId: 3 }),
+      { status: 409, message: "/dev/ttyUSB0 unit 3 is already used by ctrl:C03" },
+    );
+    await assert.rejects(createDevice(dir, { family: "ctrl", tankId: "C01", ip: "10.0.0.99" }), {
+      status: 409,
+      message: "ctrl:C01 already exists",
+    });
+    // same tank ID in another family is a different device
+    await createDevice(dir, { family: "bmm", tankId: "C01", ip: "10.0.0.99" });
+  });
+});
+
+describe("updateDevice", () => {
+  it("keeps fields that aren't given, and the entry's other keys", async () => {
+    await updateDevice(dir, "ctrl", "C02", { ip: "10.0.0.13" });
+    assert.deepEqual(read("tankConfig.json").C02, { ip: "10.0.0.13", port: 1502, notes: "north raceway" });
+  });
+
+  it("updates a serial device without asking for an IP", async () => {
+    const dev = await updateDevice(dir, "ctrl", "C03", { unitId: 5, notes: "bus A" });
+    assert.equal(dev.path, "/dev/ttyUSB0");
+    assert.deepEqual(read("tankConfig.json").C03, {
+      transport: "rtu",
+      path: "/dev/ttyUSB0",
+      unitId: 5,
+      baudRate: 19200,
+      notes: "bus A",
+    });
+
+    await updateDevice(dir, "ctrl", "C03", { path: "/dev/ttyUSB1" });
+    assert.equal(read("tankConfig.json").C03.path, "/dev/ttyUSB1");
+  });
+
+  it("switches transports", async () => {
+    await updateDevice(dir, "ctrl", "C03", { transport: "rtu-tcp", ip: "10.0.0.60", port: 4001 });
+    assert.deepEqual(read("tankConfig.json").C03, {
+      transport: "rtu-tcp",
+      ip: "10.0.0.60",
+      port: 4001,
+      unitId: 3,
+      baudRate: 19200,
+    });
+
+    await updateDevice(dir, "ctrl", "C01", { transport: "rtu", path: "/dev/ttyUSB2" });
+    assert.deepEqual(read("tankConfig.json").C01, { transport: "rtu", path: "/dev/ttyUSB2" });
+  });
+
+  it("renames and moves devices between families", async () => {
+    await updateDevice(dir, "ctrl", "C02", { family: "util", tankId: "U02" });
+    assert.equal(read("tankConfig.json").C02, undefined);
+    assert.deepEqual(read("utilityConfig.json").U02, { ip: "10.0.0.12", port: 1502, notes: "north raceway" });
+  });
+
+  it("doesn't clash with the device itself but does with others", async () => {
+    await updateDevice(dir, "ctrl", "C01", { notes: "spare" });
+    await assert.rejects(updateDevice(dir, "ctrl", "C01", { ip: "10.0.0.12", port: 1502 }), { status: 409 });
+    await assert.rejects(updateDevice(dir, "ctrl", "C09", { ip: "10.0.0.40" }), { status: 404 });
+  });
+});
+
+describe("deleteDevice", () => {
+  it("removes the entry, 404 for unknown devices or families", async () => {
+    await deleteDevice(dir, "ctrl", "C03");
+    assert.deepEqual(Object.keys(read("tankConfig.json")), ["C01", "C02"]);
+    await assert.rejects(deleteDevice(dir, "ctrl", "C03"), { status: 404 });
+    await assert.rejects(deleteDevice(dir, "nope", "C01"), { status: 404 });
+  });
+});
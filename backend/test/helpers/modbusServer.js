@@ -0,0 +1,65 @@
+// backend/test/helpers/modbusServer.js
+// A Modbus TCP slave on a free local port for tests: holding registers from
+// a buffer, every request logged in arrival order, optionally answered late.
+// With rtu: true it speaks RTU frames instead, like an RS-485 Ethernet
+// bridge, and answers for every unit ID on the bus.
+
+import net from "net";
+import Modbus from "jsmodbus";
+
+/**
+ * @param {{ holding?: Buffer, delayMs?: number, rtu?: boolean }} [opts]  delayMs is TCP only
+ * @returns {Promise<{ port:number, holding:Buffer, requests:Array<{unitId:number, fc:number, start:number}>,
+ *   connections:number, close:() => Promise<void> }>}
+ */
+export async function startModbusServer({ holding = Buffer.alloc(256), delayMs = 0, rtu = false } = {}) {
+  const tcp = new net.Server();
+  const requests = [];
+  let connections = 0;
+
+  // close() drops the gateway's pooled connections too
+  const sockets = new Set();
+  tcp.on("connection", (socket) => {
+    connections++;
+    sockets.add(socket);
+    socket.on("close", () => sockets.delete(socket));
+  });
+
+  if (rtu) {
+    // one RTU server per socket; frames are [unitId, fc, start hi, start lo, ...]
+    tcp.on("connection", (socket) => {
+      socket.on("data", (frame) => requests.push({ unitId: frame[0], fc: frame[1], start: frame.readUInt16BE(2) }));
+      new Modbus.server.RTU(socket, { holding });
+    });
+  } else {
+    listenTcp(new Modbus.server.TCP(tcp, { holding }), requests, delayMs);
+  }
+
+  await new Promise((resolve) => tcp.listen(0, "127.0.0.1", resolve));
+  return {
+    port: tcp.address().port,
+    holding,
+    requests,
+    get connections() {
+      return connections;
+    },
+    close() {
+      for (const socket of sockets) socket.destroy();
+      return new Promise((resolve) => tcp.close(() => resolve()));
+    },
+  };
+}
+
+function listenTcp(server, requests, delayMs) {
+  server.on("connection", (client) => {
+    const handler = client._responseHandler;
+    const handle = handler.handle.bind(handler);
+    handler.handle = (request, cb) => {
+      if (!request) return handle(request, cb);
+      requests.push({ unitId: request.unitId, fc: request.body.fc, start: request.body.start ?? request.body.address });
+      if (!delayMs) return handle(request, cb);
+      setTimeout(() => handle(request, cb), delayMs);
+      return null;
+    };
+  });
+}
@@ -0,0 +1,110 @@
+// backend/test/identityService.test.js
+// Identity pins and mismatches, persisted to a temp file (IDENTITY_PATH)
+// that starts with one per-family pin and one pinned by tank only.
+
+import { describe, it, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "identity-"));
+const file = path.join(dir, "device-identity.json");
+fs.writeFileSync(
+  file,
+  JSON.stringify({
+    "ctrl:K1": { serial_number: 500, model_number: 2, ip: "10.0.0.5", pinned_at: "2026-01-01T00:00:00.000Z" },
+    K2: { serial_number: 600, model_number: 2, ip: "10.0.0.6", pinned_at: "2026-01-01T00:00:00.000Z" },
+  }),
+);
+process.env.IDENTITY_PATH = file;
+
+const { verifyIdentity, isIdentityMismatch, getDeviceIdentities, resetDeviceIdentity, flushDeviceIdentities } =
+  await import("../src/identityService.js");
+
+const onDisk = () => JSON.parse(fs.readFileSync(file, "utf8"));
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+describe("persistence", () => {
+  it("loads per-family pins and drops the ones keyed by tank only", () => {
+    assert.deepEqual(Object.keys(getDeviceIdentities()), ["ctrl:K1"]);
+  });
+
+  it("writes pins one after another, through a temp file", async () => {
+    for (let i = 0; i < 5; i++) verifyIdentity("ctrl", `W${i}`, "10.0.1.1", { serial_number: 100 + i });
+    await flushDeviceIdentities();
+
+    const saved = onDisk();
+    assert.deepEqual(Object.keys(saved), ["ctrl:K1", "ctrl:W0", "ctrl:W1", "ctrl:W2", "ctrl:W3", "ctrl:W4"]);
+    assert.equal(saved["ctrl:W4"].serial_number, 104);
+    assert.deepEqual(fs.readdirSync(dir), ["device-identity.json"]);
+  });
+
+  it("has the reset on disk by the time resetDeviceIdentity resolves", async () => {
+    verifyIdentity("ctrl", "W9", "10.0.1.9", { serial_number: 109 });
+    assert.equal(await resetDeviceIdentity("ctrl", "W9"), true);
+    assert.equal(onDisk()["ctrl:W9"], undefined);
+  });
+});
+
+describe("verifyIdentity", () => {
+  it("pins the first device that answers for a family and tank", () => {
+    assert.deepEqual(verifyIdentity("ctrl", "P1", "10.0.2.1", { serial_number: 201, model_number: 2 }), { ok: true });
+    const pin = getDeviceIdentities()["ctrl:P1"];
+    assert.equal(pin.serial_number, 201);
+    assert.equal(pin.model_number, 2);
+    assert.equal(pin.ip, "10.0.2.1");
+    assert.equal(pin.mismatch, null);
+  });
+
+  it("flags another serial at the address until the pinned device is back", () => {
+    verifyIdentity("ctrl", "P2", "10.0.2.2", { serial_number: 202, model_number: 2 });
+
+    const res = verifyIdentity("ctrl", "P2", "10.0.2.2", { serial_number: 999, model_number: 2 });
+    assert.equal(res.ok, false);
+    assert.match(res.error, /serial 999 \(model 2\) answered at 10.0.2.2, expected serial 202/);
+    assert.equal(isIdentityMismatch("ctrl", "P2"), true);
+
+    const { since } = getDeviceIdentities()["ctrl:P2"].mismatch;
+    verifyIdentity("ctrl", "P2", "10.0.2.2", { serial_number: 999, model_number: 2 });
+    assert.equal(getDeviceIdentities()["ctrl:P2"].mismatch.since, since);
+
+    assert.deepEqual(verifyIdentity("ctrl", "P2", "10.0.2.2", { serial_number: 202, model_number: 2 }), { ok: true });
+    assert.equal(isIdentityMismatch("ctrl", "P2"), false);
+  });
+
+  it("flags a different model, unless either side doesn't report one", () => {
+    verifyIdentity("ctrl", "P3", "10.0.2.3", { serial_number: 203, model_number: 2 });
+    assert.equal(verifyIdentity("ctrl", "P3", "10.0.2.3", { serial_number: 203, model_number: 3 }).ok, false);
+    assert.equal(verifyIdentity("ctrl", "P3", "10.0.2.3", { serial_number: 203 }).ok, true);
+
+    verifyIdentity("ctrl", "P4", "10.0.2.4", { serial_number: 204 });
+    assert.equal(verifyIdentity("ctrl", "P4", "10.0.2.4", { serial_number: 204, model_number: 7 }).ok, true);
+  });
+
+  it("keeps a controller and a BMM on the same tank apart", () => {
+    verifyIdentity("ctrl", "P5", "10.0.2.5", { serial_number: 205 });
+    assert.equal(verifyIdentity("bmm", "P5", "10.0.2.50", { serial_number: 705 }).ok, true);
+    assert.equal(isIdentityMismatch("ctrl", "P5"), false);
+    assert.equal(getDeviceIdentities()["bmm:P5"].serial_number, 705);
+  });
+
+  it("never checks devices whose map has no serial_number", () => {
+    assert.deepEqual(verifyIdentity("ctrl", "P6", "10.0.2.6", { model_number: 2 }), { ok: true });
+    assert.equal(getDeviceIdentities()["ctrl:P6"], undefined);
+  });
+
+  it("learns the new device after a reset", async () => {
+    verifyIdentity("ctrl", "P7", "10.0.2.7", { serial_number: 207 });
+    verifyIdentity("ctrl", "P7", "10.0.2.7", { serial_number: 307 });
+    assert.equal(isIdentityMismatch("ctrl", "P7"), true);
+
+    assert.equal(await resetDeviceIdentity("ctrl", "P7"), true);
+    assert.equal(isIdentityMismatch("ctrl", "P7"), false);
+    assert.equal(await resetDeviceIdentity("ctrl", "P7"), false);
+
+    assert.equal(verifyIdentity("ctrl", "P7", "10.0.2.7", { serial_number: 307 }).ok, true);
+    assert.equal(getDeviceIdentities()["ctrl:P7"].serial_number, 307);
+  });
+});
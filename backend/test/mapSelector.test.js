@@ -0,0 +1,126 @@
+// backend/test/mapSelector.test.js
+// Picking a device's register map: match rules, the catalog in a temp config
+// dir, and probes against a local Modbus server that answers as an mk3.
+
+import { describe, it, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { loadMapCatalog, matchesIdentity, resolveDeviceMap } from "../src/mapSelector.js";
+import { startModbusServer } from "./helpers/modbusServer.js";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "maps-"));
+const write = (file, json) => fs.writeFileSync(path.join(dir, file), typeof json === "string" ? json : JSON.stringify(json));
+
+const identityPoints = {
+  model_number: { addr: 1, type: "u16", ro: true },
+  fw_revision: { addr: 3, type: "u16", ro: true },
+};
+
+let family;
+let mk3;
+let mk2;
+
+before(async () => {
+  // resolveDeviceMap logs every pick with the identity it read
+  mock.method(console, "log", () => {});
+
+  write("registerMap.json", { families: ["ctrl"], points: { ...identityPoints, ph: { addr: 20, type: "float32", ro: true } } });
+  write("registerMap.mk3.json", {
+    families: ["ctrl"],
+    match: { model_number: 3, fw_revision: { min: 512 } },
+    points: { ...identityPoints, ph: { addr: 40, type: "float32", ro: true } },
+  });
+  write("registerMap.bmm.json", { families: ["bmm"], match: { model_number: 7 }, points: identityPoints });
+  write("registerMap.broken.json", "{ not json");
+
+  const catalog = loadMapCatalog(dir);
+  const base = catalog.find((e) => e.file === "registerMap.json");
+  family = { family: "ctrl", mapFile: path.join(dir, "registerMap.json"), mapCtx: base.mapCtx, blocks: base.blocks, maps: catalog };
+
+  const holding = (model, fw) => {
+    const buf = Buffer.alloc(16);
+    buf.writeUInt16BE(model, 2);
+    buf.writeUInt16BE(fw, 6);
+    return buf;
+  };
+  mk3 = await startModbusServer({ holding: holding(3, 0x0201) });
+  mk2 = await startModbusServer({ holding: holding(2, 0x0201) });
+});
+
+after(async () => {
+  await Promise.all([mk3.close(), mk2.close()]);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const device = (tankId, srv, extra = {}) => ({ tankId, ip: "127.0.0.1", port: srv.port, ...extra });
+
+describe("matchesIdentity", () => {
+  it("takes a number, a list or a min/max range per point", () => {
+    const match = { model_number: [3, 4], fw_revision: { min: 512, max: 1023 }, serial_number: 42 };
+    assert.equal(matchesIdentity(match, { model_number: 4, fw_revision: 512, serial_number: 42 }), true);
+    assert.equal(matchesIdentity(match, { model_number: 2, fw_revision: 512, serial_number: 42 }), false);
+    assert.equal(matchesIdentity(match, { model_number: 3, fw_revision: 1024, serial_number: 42 }), false);
+    assert.equal(matchesIdentity(match, { model_number: 3, fw_revision: 600, serial_number: 41 }), false);
+  });
+
+  it("never matches a point the device didn't report", () => {
+    assert.equal(matchesIdentity({ model_number: { min: 0 } }, {}), false);
+  });
+});
+
+describe("loadMapCatalog", () => {
+  it("loads every registerMap*.json and leaves out the ones that don't parse", () => {
+    const catalog = family.maps;
+    assert.deepEqual(catalog.map((e) => e.file), ["registerMap.bmm.json", "registerMap.json", "registerMap.mk3.json"]);
+    assert.deepEqual(catalog[2].families, ["ctrl"]);
+    assert.equal(catalog[1].match, null);
+    assert.ok(catalog.every((e) => e.blocks.length > 0));
+  });
+});
+
+describe("resolveDeviceMap", () => {
+  it("probes the device and picks the first map that matches it", async () => {
+    const picked = await resolveDeviceMap(family, device("A1", mk3));
+    assert.equal(picked.file, "registerMap.mk3.json");
+    assert.equal(picked.mapCtx.map.points.ph.addr, 40);
+    assert.match(
+      console.log.mock.calls.at(-1).arguments[0],
+      /ctrl:A1 @ 127\.0\.0\.1 → registerMap\.mk3\.json \(model_number=3 fw_revision=513\)/,
+    );
+  });
+
+  it("falls back to the family's default map when nothing matches", async () => {
+    const picked = await resolveDeviceMap(family, device("A2", mk2));
+    assert.equal(picked.file, "registerMap.json");
+    assert.equal(picked.mapCtx, family.mapCtx);
+  });
+
+  it("only considers maps that list the family", async () => {
+    const bmm = { ...family, family: "bmm" };
+    const srv = await startModbusServer({ holding: Buffer.from([0, 0, 0, 3, 0, 0, 0x02, 0x01]) });
+    try {
+      assert.equal((await resolveDeviceMap(bmm, device("A3", srv))).file, "registerMap.json");
+    } finally {
+      await srv.close();
+    }
+  });
+
+  it("remembers the pick until the device's IP changes", async () => {
+    await resolveDeviceMap(family, device("A4", mk3));
+    const seen = mk3.requests.length;
+    assert.equal((await resolveDeviceMap(family, device("A4", mk3))).file, "registerMap.mk3.json");
+    assert.equal(mk3.requests.length, seen);
+
+    // same tank at another address (re-IPed, or a replaced controller): probe again
+    assert.equal((await resolveDeviceMap(family, device("A4", mk2, { ip: "localhost" }))).file, "registerMap.json");
+  });
+
+  it("uses the map named in the device config without probing", async () => {
+    const seen = mk2.requests.length;
+    assert.equal((await resolveDeviceMap(family, device("A5", mk2, { map: "registerMap.mk3.json" }))).file, "registerMap.mk3.json");
+    assert.equal(mk2.requests.length, seen);
+    await assert.rejects(resolveDeviceMap(family, device("A5", mk2, { map: "registerMap.nope.json" })), /unknown register map/);
+  });
+});
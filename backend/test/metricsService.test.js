@@ -0,0 +1,87 @@
+// backend/test/metricsService.test.js
+// /metrics: poll errors bucketed into result labels, and the Prometheus
+// text rendered from recorded polls.
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { classifyError, recordPoll, forgetDevicesExcept, renderMetrics } from "../src/metricsService.js";
+
+function error(message, extra = {}) {
+  return Object.assign(new Error(message), extra);
+}
+
+// Sample lines of one metric, without HELP/TYPE
+function samples(text, name) {
+  return text.split("\n").filter((line) => line.startsWith(`symon_${name}{`) || line.startsWith(`symon_${name} `));
+}
+
+describe("classifyError", () => {
+  it("buckets poll errors by cause", () => {
+    const cases = [
+      [undefined, "error"],
+      [error("serial 9 answered", { qcStatus: "identity_mismatch" }), "identity_mismatch"],
+      [error("connect ECONNREFUSED 10.0.0.5:502", { code: "ECONNREFUSED" }), "connection_refused"],
+      [error("connect EHOSTUNREACH 10.0.0.5:502"), "unreachable"],
+      [error("read ENETUNREACH"), "unreachable"],
+      [error("read ECONNRESET"), "connection_lost"],
+      [error("Socket closed"), "connection_lost"],
+      [error("Offline"), "connection_lost"],
+      [error("Req timed out"), "timeout"],
+      [error("connect timeout after 2500ms"), "timeout"],
+      [error("", { code: "ETIMEDOUT" }), "timeout"],
+      [error("Modbus exception 2: illegal data address"), "modbus_exception"],
+      [error("Unknown point: ph"), "error"],
+    ];
+    for (const [err, result] of cases) assert.equal(classifyError(err), result, err?.message);
+  });
+});
+
+describe("renderMetrics", () => {
+  it("renders per-device poll counters, the duration histogram and point values", () => {
+    const dev = { site: "s1", family: "ctrl", tankId: "M1" };
+    recordPoll({ ...dev, durationMs: 300, ok: true, values: { ph: 7.9, relay1: true, name: "T1", bad: NaN } });
+    recordPoll({ ...dev, durationMs: 1500, ok: false, error: error("Req timed out") });
+    const text = renderMetrics();
+    const labels = 'site="s1",family="ctrl",tank="M1"';
+
+    assert.deepEqual(samples(text, "polls_total"), [
+      `symon_polls_total{${labels},result="ok"} 1`,
+      `symon_polls_total{${labels},result="timeout"} 1`,
+    ]);
+    assert.deepEqual(samples(text, "device_up"), [`symon_device_up{${labels}} 0`]);
+    assert.equal(samples(text, "device_last_success_timestamp_seconds").length, 1);
+    // the last good values stay up while the device fails
+    assert.deepEqual(samples(text, "point_value"), [
+      `symon_point_value{${labels},point="ph"} 7.9`,
+      `symon_point_value{${labels},point="relay1"} 1`,
+    ]);
+
+    const buckets = samples(text, "poll_duration_seconds_bucket").map((line) => line.split(" ")[1]);
+    assert.deepEqual(buckets, ["0", "0", "0", "1", "1", "2", "2", "2", "2", "2"]);
+    assert.ok(text.includes(`symon_poll_duration_seconds_bucket{${labels},le="+Inf"} 2`));
+    assert.ok(text.includes(`symon_poll_duration_seconds_sum{${labels}} 1.8`));
+    assert.ok(text.includes(`symon_poll_duration_seconds_count{${labels}} 2`));
+  });
+
+  it("writes HELP and TYPE once per metric", () => {
+    recordPoll({ site: "s1", family: "bmm", tankId: "M2", durationMs: 10, ok: true, values: {} });
+    const text = renderMetrics();
+    assert.equal(text.split("\n").filter((l) => l === "# TYPE symon_device_up gauge").length, 1);
+    assert.equal(samples(text, "device_up").length, 2);
+    assert.ok(text.includes("# TYPE symon_poll_duration_seconds histogram"));
+    assert.ok(text.includes("# TYPE symon_polls_total counter"));
+    assert.ok(text.includes("symon_mqtt_connected 0"));
+    assert.ok(text.endsWith("\n"));
+  });
+
+  it("escapes label values", () => {
+    recordPoll({ site: "s1", family: "ctrl", tankId: 'odd"\\name', durationMs: 10, ok: true, values: {} });
+    assert.ok(samples(renderMetrics(), "device_up").includes('symon_device_up{site="s1",family="ctrl",tank="odd\\"\\\\name"} 1'));
+  });
+
+  it("drops devices that are no longer polled", () => {
+    forgetDevicesExcept(new Set(["ctrl:M1"]));
+    const text = renderMetrics();
+    assert.deepEqual(samples(text, "device_up"), ['symon_device_up{site="s1",family="ctrl",tank="M1"} 0']);
+  });
+});
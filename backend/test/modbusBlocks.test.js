@@ -0,0 +1,113 @@
+// backend/test/modbusBlocks.test.js
+// The per-link transaction queue: one request at a time per device, commands
+// ahead of polls ahead of background reads, first come first served within
+// a priority. Links are per unit ID for Modbus TCP and per bus for RTU over
+// TCP.
+
+import { describe, it, after } from "node:test";
+import assert from "node:assert/strict";
+import { readBlocksForDevice, writeRegisters, getQueueStats, PRIORITY } from "../src/modbusBlocks.js";
+import { startModbusServer } from "./helpers/modbusServer.js";
+
+const servers = [];
+after(() => Promise.all(servers.map((s) => s.close())));
+
+async function server(opts) {
+  const s = await startModbusServer(opts);
+  servers.push(s);
+  return s;
+}
+
+function read(srv, start, priority) {
+  return readBlocksForDevice("127.0.0.1", [{ name: "r", fn: 3, start, len: 1 }], {
+    port: srv.port,
+    priority,
+    maxRetries: 0,
+  });
+}
+
+async function until(check) {
+  while (!check()) await new Promise((resolve) => setTimeout(resolve, 2));
+}
+
+describe("transaction queue", () => {
+  it("runs queued requests by priority, in arrival order within one", async () => {
+    const srv = await server({ delayMs: 40 });
+    await read(srv, 0, PRIORITY.poll); // open the link
+    srv.requests.length = 0;
+
+    // the first request holds the link while the others queue up behind it
+    const first = read(srv, 1, PRIORITY.background);
+    await until(() => srv.requests.length === 1);
+    await Promise.all([
+      first,
+      read(srv, 2, PRIORITY.background),
+      read(srv, 3, PRIORITY.poll),
+      read(srv, 4, PRIORITY.command),
+      read(srv, 5, PRIORITY.poll),
+      writeRegisters("127.0.0.1", 16, 6, [1], { port: srv.port, maxRetries: 0 }), // commands by default
+    ]);
+
+    assert.deepEqual(
+      srv.requests.map((r) => r.start),
+      [1, 4, 6, 3, 5, 2],
+    );
+  });
+
+  it("doesn't make one device wait for another", async () => {
+    const slow = await server({ delayMs: 300 });
+    const fast = await server();
+    await Promise.all([read(slow, 0), read(fast, 0)]);
+
+    const order = [];
+    await Promise.all([
+      read(slow, 1).then(() => order.push("slow")),
+      read(fast, 1).then(() => order.push("fast")),
+    ]);
+    assert.deepEqual(order, ["fast", "slow"]);
+  });
+
+  it("returns the registers read", async () => {
+    const holding = Buffer.alloc(16);
+    holding.writeUInt16BE(0xbeef, 4);
+    const srv = await server({ holding });
+    const bufs = await readBlocksForDevice("127.0.0.1", [{ name: "x", fn: 3, start: 2, len: 1 }], { port: srv.port });
+    assert.equal(bufs.x.readUInt16BE(0), 0xbeef);
+  });
+});
+
+describe("links", () => {
+  const readUnit = (srv, unitId, transport) =>
+    readBlocksForDevice("127.0.0.1", [{ name: "r", fn: 3, start: unitId, len: 1 }], {
+      port: srv.port,
+      unitId,
+      transport,
+      maxRetries: 0,
+    });
+
+  it("shares one socket and one queue among the unit IDs behind an RTU bridge", async () => {
+    const holding = Buffer.alloc(16);
+    [0x11, 0x22, 0x33].forEach((v, i) => holding.writeUInt16BE(v, (i + 1) * 2));
+    const srv = await server({ holding, rtu: true });
+
+    const bufs = await Promise.all([1, 2, 3].map((unitId) => readUnit(srv, unitId, "rtu-tcp")));
+    assert.deepEqual(bufs.map((b) => b.r.readUInt16BE(0)), [0x11, 0x22, 0x33]);
+
+    assert.equal(srv.connections, 1);
+    assert.deepEqual(srv.requests.map((r) => r.unitId).sort(), [1, 2, 3]);
+    assert.equal(getQueueStats()[`rtu-tcp:127.0.0.1:${srv.port}`].completed, 3);
+    assert.equal(getQueueStats()[`127.0.0.1:${srv.port}:1`], undefined);
+  });
+
+  it("keeps a socket and a queue per unit ID for Modbus TCP", async () => {
+    const srv = await server();
+    await Promise.all([1, 2].map((unitId) => readUnit(srv, unitId, "tcp")));
+    await readUnit(srv, 1, "tcp");
+
+    assert.equal(srv.connections, 2);
+    assert.deepEqual(srv.requests.map((r) => r.unitId).sort(), [1, 1, 2]);
+    const stats = getQueueStats();
+    assert.equal(stats[`127.0.0.1:${srv.port}:1`].completed, 2);
+    assert.equal(stats[`127.0.0.1:${srv.port}:2`].completed, 1);
+  });
+});
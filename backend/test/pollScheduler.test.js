@@ -0,0 +1,104 @@
+// backend/test/pollScheduler.test.js
+// Poll cadence: backoff for failing devices, the fast cadence after a write,
+// and the idle hook. Polls are driven with pollNow; the timer never runs.
+
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { configureScheduler, syncDevices, pollNow, expeditePoll, getScheduleState } from "../src/pollScheduler.js";
+
+let answer = true;
+let idleCalls = 0;
+
+function configure(extra = {}) {
+  configureScheduler({
+    poll: async () => ({ ok: answer }),
+    intervalMs: 1000,
+    fastMs: 200,
+    fastWindowMs: 60_000,
+    backoffMaxMs: 5000,
+    ...extra,
+  });
+}
+
+function device(tankId) {
+  return getScheduleState().devices.find((d) => d.tankId === tankId);
+}
+
+// Poll n times and collect the interval chosen after each poll
+async function intervals(tankId, n) {
+  const out = [];
+  for (let i = 0; i < n; i++) {
+    await pollNow(tankId);
+    out.push(device(tankId).interval_ms);
+  }
+  return out;
+}
+
+beforeEach(() => {
+  answer = true;
+  idleCalls = 0;
+  configure();
+});
+
+describe("poll intervals", () => {
+  it("retries a failing device on its cadence, then doubles up to backoffMaxMs", async () => {
+    syncDevices([{ family: "ctrl", devices: [{ tankId: "B1" }] }]);
+    answer = false;
+    assert.deepEqual(await intervals("B1", 5), [1000, 2000, 4000, 5000, 5000]);
+    assert.equal(device("B1").consecutive_failures, 5);
+
+    answer = true;
+    assert.deepEqual(await intervals("B1", 1), [1000]);
+    assert.equal(device("B1").consecutive_failures, 0);
+  });
+
+  it("never backs off below a device's own poll interval", async () => {
+    syncDevices([{ family: "ctrl", devices: [{ tankId: "B2", pollMs: 10_000 }] }]);
+    answer = false;
+    assert.deepEqual(await intervals("B2", 3), [10_000, 10_000, 10_000]);
+  });
+
+  it("prefers the device interval over the family's and the default", async () => {
+    syncDevices([
+      { family: "ctrl", pollMs: 3000, devices: [{ tankId: "F1" }, { tankId: "F2", pollMs: 7000 }] },
+      { family: "bmm", devices: [{ tankId: "F3" }] },
+    ]);
+    assert.deepEqual(await intervals("F1", 1), [3000]);
+    assert.deepEqual(await intervals("F2", 1), [7000]);
+    assert.deepEqual(await intervals("F3", 1), [1000]);
+  });
+
+  it("polls on the fast cadence after expeditePoll, or faster if the device is set faster", async () => {
+    syncDevices([{ family: "ctrl", devices: [{ tankId: "E1" }, { tankId: "E2", pollMs: 100 }] }]);
+    expeditePoll("E1");
+    expeditePoll("E2");
+    assert.deepEqual(await intervals("E1", 2), [200, 200]);
+    assert.deepEqual(await intervals("E2", 1), [100]);
+  });
+});
+
+describe("idle hook", () => {
+  it("runs after a poll without holding up its result", async () => {
+    configure({ onIdle: () => new Promise(() => idleCalls++) }); // never settles
+    syncDevices([{ family: "ctrl", devices: [{ tankId: "I1" }] }]);
+
+    assert.deepEqual(await pollNow("I1"), [{ family: "ctrl", ok: true }]);
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.equal(idleCalls, 1);
+  });
+
+  it("survives a failing hook", async () => {
+    configure({
+      onIdle: async () => {
+        idleCalls++;
+        throw new Error("slack down");
+      },
+    });
+    syncDevices([{ family: "ctrl", devices: [{ tankId: "I2" }] }]);
+
+    assert.deepEqual(await pollNow("I2"), [{ family: "ctrl", ok: true }]);
+    assert.deepEqual(await pollNow("I2"), [{ family: "ctrl", ok: true }]);
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.equal(idleCalls, 2);
+  });
+});
@@ -0,0 +1,380 @@
+// backend/test/registerMap.test.js
+// Register map decoding, planning, linting and write plans, on small inline maps.
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  decodePointsFromBlocks,
+  decodeAllTypes,
+  planBlocks,
+  lintRegisterMap,
+  planWrite,
+  verifyReadBack,
+} from "../src/registerMap.js";
+
+const configDir = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "config");
+
+// One FC3 block of 16 registers from address 0
+function mapWith(points, extra = {}) {
+  return { points, blocks: [{ name: "b", fn: 3, start: 0, len: 16 }], ...extra };
+}
+
+function decode(map, buf) {
+  return decodePointsFromBlocks({ map }, { b: buf });
+}
+
+// Registers as big-endian words
+function regs(...words) {
+  const buf = Buffer.alloc(32);
+  words.forEach((w, i) => buf.writeUInt16BE(w, i * 2));
+  return buf;
+}
+
+describe("decodePointsFromBlocks", () => {
+  it("decodes 64-bit integers in both word orders", () => {
+    const buf = Buffer.alloc(32);
+    buf.writeBigUInt64BE(0x0001_0002_0003_0004n, 0); // ABCD
+    // CDAB: least significant word first
+    [0x0004, 0x0003, 0x0002, 0x0001].forEach((w, i) => buf.writeUInt16BE(w, 8 + i * 2));
+    buf.writeBigInt64BE(-5n, 16);
+
+    const out = decode(
+      mapWith({
+        a: { addr: 0, type: "u64" },
+        c: { addr: 4, type: "u64", word_order: "CDAB" },
+        n: { addr: 8, type: "i64" },
+      }),
+      buf,
+    );
+    assert.equal(out.a, Number(0x0001_0002_0003_0004n));
+    assert.equal(out.c, out.a);
+    assert.equal(out.n, -5);
+  });
+
+  it("decodes float64 in every byte/word order", () => {
+    const abcd = Buffer.alloc(8);
+    abcd.writeDoubleBE(-1234.5678, 0);
+    const words = [0, 1, 2, 3].map((i) => abcd.subarray(i * 2, i * 2 + 2));
+    const swapBytes = (w) => Buffer.from([w[1], w[0]]);
+
+    const buf = Buffer.concat([
+      abcd, // BE ABCD
+      Buffer.concat([...words].reverse()), // BE CDAB
+      Buffer.concat([...words].reverse().map(swapBytes)), // LE ABCD: all 8 bytes reversed
+      Buffer.concat(words.map(swapBytes)), // LE CDAB
+    ]);
+    const out = decode(
+      mapWith({
+        be_abcd: { addr: 0, type: "float64" },
+        be_cdab: { addr: 4, type: "float64", word_order: "CDAB" },
+        le_abcd: { addr: 8, type: "float64", byte_order: "LE" },
+        le_cdab: { addr: 12, type: "float64", byte_order: "LE", word_order: "CDAB" },
+      }),
+      buf,
+    );
+    for (const v of Object.values(out)) assert.equal(v, -1234.5678);
+  });
+
+  it("uses the map's byte and word order unless the point overrides it", () => {
+    const buf = regs(0x0002, 0x0001, 0x0001, 0x0002);
+    const out = decode(
+      mapWith(
+        {
+          swapped: { addr: 0, type: "u32" },
+          plain: { addr: 2, type: "u32", word_order: "ABCD" },
+        },
+        { word_order: "CDAB" },
+      ),
+      buf,
+    );
+    assert.equal(out.swapped, 0x0001_0002);
+    assert.equal(out.plain, 0x0001_0002);
+  });
+
+  it("applies scale and offset to numbers", () => {
+    const out = decode(mapWith({ temp: { addr: 0, type: "i16", scale: 0.1, offset: -2 } }), regs(0xff9c)); // -100
+    assert.equal(out.temp, -12);
+  });
+
+  it("keeps an enum's raw code and adds its label", () => {
+    const def = { addr: 0, type: "enum", values: { 0: "off", 1: "temp1", 2: "temp2" } };
+    assert.deepEqual(decode(mapWith({ src: def }), regs(2)), { src: 2, src_label: "temp2" });
+    assert.deepEqual(decode(mapWith({ src: def }), regs(7)), { src: 7, src_label: "unknown(7)" });
+  });
+
+  it("expands a bitfield into one boolean per named bit", () => {
+    const out = decode(
+      mapWith({
+        flags: { addr: 0, type: "bitfield", bits: { pump_on: 0, heater_on: 3 } },
+        wide: { addr: 1, type: "bitfield", base: "u32", bits: { high_alarm: 20 } },
+      }),
+      regs(0b1001, 0x0010, 0x0000),
+    );
+    assert.equal(out.flags, 9);
+    assert.equal(out.pump_on, true);
+    assert.equal(out.heater_on, true);
+    assert.equal(out.high_alarm, true);
+  });
+
+  it("reads register bits and packed coils", () => {
+    const map = {
+      points: {
+        alarm: { addr: 0, type: "bool", bit: 2 },
+        pump: { addr: 9, fn: 1, type: "bool" },
+      },
+      blocks: [
+        { name: "b", fn: 3, start: 0, len: 1 },
+        { name: "c", fn: 1, start: 0, len: 16 },
+      ],
+    };
+    const out = decodePointsFromBlocks({ map }, { b: regs(0b100), c: Buffer.from([0x00, 0x02]) });
+    assert.deepEqual(out, { alarm: true, pump: true });
+  });
+
+  it("leaves points outside every block undefined", () => {
+    const out = decode(mapWith({ far: { addr: 100, type: "u16" } }), regs(1));
+    assert.equal(out.far, undefined);
+  });
+});
+
+describe("decodeAllTypes", () => {
+  it("shows a float32 under each of the four orders", () => {
+    const buf = Buffer.alloc(4);
+    buf.writeFloatBE(7.5, 0);
+    const cdab = Buffer.concat([buf.subarray(2), buf.subarray(0, 2)]);
+
+    const out = decodeAllTypes(cdab, 0);
+    assert.equal(out.float32.CDAB, 7.5);
+    assert.notEqual(out.float32.ABCD, 7.5);
+    assert.equal(out.u64, undefined); // only two registers left
+  });
+});
+
+describe("planBlocks", () => {
+  const u16 = (addr, extra = {}) => ({ addr, type: "u16", ...extra });
+  const spans = (blocks) => blocks.map((b) => [b.fn, b.start, b.len]);
+
+  it("merges points while the gap stays within max_gap", () => {
+    const map = { points: { a: u16(0), b: { addr: 5, type: "float32" }, c: u16(20) } };
+    assert.deepEqual(spans(planBlocks(map)), [[3, 0, 7], [3, 20, 1]]);
+    assert.deepEqual(spans(planBlocks(map, { max_gap: 13 })), [[3, 0, 21]]);
+    assert.deepEqual(spans(planBlocks(map, { max_gap: 0 })), [[3, 0, 1], [3, 5, 2], [3, 20, 1]]);
+  });
+
+  it("names blocks after their table and start address", () => {
+    const [block] = planBlocks({ points: { a: u16(40) } });
+    assert.deepEqual(block, { name: "auto3_40", fn: 3, start: 40, len: 1 });
+  });
+
+  it("splits blocks at max_regs", () => {
+    const map = { points: { a: u16(0), b: u16(1), c: u16(2), d: u16(3), e: u16(4) } };
+    assert.deepEqual(spans(planBlocks(map, { max_regs: 2 })), [[3, 0, 2], [3, 2, 2], [3, 4, 1]]);
+  });
+
+  it("never reads across a forbidden range", () => {
+    const map = { points: { a: u16(0), b: u16(4) }, planner: { forbidden: [[2, 2]] } };
+    assert.deepEqual(spans(planBlocks(map)), [[3, 0, 1], [3, 4, 1]]);
+    // opts override map.planner
+    assert.deepEqual(spans(planBlocks(map, { forbidden: [] })), [[3, 0, 5]]);
+  });
+
+  it("refuses points inside a forbidden range or longer than one request", () => {
+    assert.throws(() => planBlocks({ points: { a: { addr: 1, type: "u32" } } }, { forbidden: [[2, 3]] }), /a @ 1 overlaps/);
+    assert.throws(() => planBlocks({ points: { s: { addr: 0, type: "string", length: 10 } } }, { max_regs: 8 }), /longer than 8/);
+  });
+
+  it("plans each table separately, coils by max_bits", () => {
+    const map = {
+      points: {
+        hr: u16(0),
+        ir: u16(0, { fn: 4 }),
+        c0: { addr: 0, fn: 1, type: "bool" },
+        c1: { addr: 30, fn: 1, type: "bool" },
+      },
+    };
+    assert.deepEqual(spans(planBlocks(map, { max_gap: 40, max_bits: 16 })), [[1, 0, 1], [1, 30, 1], [3, 0, 1], [4, 0, 1]]);
+    assert.deepEqual(spans(planBlocks(map, { max_gap: 40 }))[0], [1, 0, 31]);
+  });
+});
+
+describe("lintRegisterMap", () => {
+  const lint = (points, extra = {}) => lintRegisterMap({ points, ...extra });
+  const has = (list, re) => list.some((m) => re.test(m));
+
+  it("passes the shipped maps", () => {
+    for (const file of fs.readdirSync(configDir).filter((f) => /^registerMap.*\.json$/.test(f))) {
+      const { errors } = lintRegisterMap(JSON.parse(fs.readFileSync(path.join(configDir, file), "utf8")));
+      assert.deepEqual(errors, [], file);
+    }
+  });
+
+  it("reports overlapping points but lets bit flags share a register", () => {
+    const { errors } = lint({
+      level: { addr: 0, type: "float32", ro: true },
+      status: { addr: 1, type: "u16", ro: true },
+      flag: { addr: 0, type: "bool", bit: 3, ro: true },
+    });
+    assert.deepEqual(errors, ["point level @ 0-1 overlaps point status @ 1-1 (fn=3)"]);
+  });
+
+  it("checks enum and bitfield tables", () => {
+    const { errors } = lint({
+      mode: { addr: 0, type: "enum", ro: true },
+      flags: { addr: 1, type: "bitfield", bits: { pump: 16, mode: 0 }, ro: true },
+      wide: { addr: 2, type: "bitfield", base: "u32", bits: { high: 16 }, ro: true },
+    });
+    assert.ok(has(errors, /mode @ 0: enum needs a values table/));
+    assert.ok(has(errors, /flags @ 1: bit pump=16 outside 0-15/));
+    assert.ok(has(errors, /flags @ 1: bit name mode collides with a point/));
+    assert.ok(!has(errors, /wide/));
+  });
+
+  it("flags schema mistakes point by point", () => {
+    const { errors, warnings } = lint({
+      bad_addr: { addr: -1, type: "u16" },
+      bad_type: { addr: 1, type: "u8" },
+      coil_u16: { addr: 2, fn: 1, type: "u16" },
+      typo: { addr: 3, type: "u16", ro: true, dsc: "typo" },
+    });
+    assert.ok(has(errors, /bad_addr @ -1: addr must be an integer/));
+    assert.ok(has(errors, /bad_type @ 1: unsupported type "u8"/));
+    assert.ok(has(errors, /coil_u16 @ 2: fn=1 points must be type bool/));
+    assert.ok(has(warnings, /typo @ 3: unknown key "dsc"/));
+  });
+
+  it("warns about writable points without safe_bounds and deadbands on integers", () => {
+    const { errors, warnings } = lint({
+      setpoint: { addr: 0, type: "float32" },
+      mode: { addr: 2, type: "u16", safe_bounds: [0, 3], deadband: 1 },
+    });
+    assert.deepEqual(errors, []);
+    assert.ok(has(warnings, /setpoint @ 0: writable point has no safe_bounds/));
+    assert.ok(has(warnings, /mode @ 2: deadband on non-float type u16/));
+  });
+
+  it("checks hand-written blocks against points and forbidden ranges", () => {
+    const { errors, warnings } = lint(
+      { a: { addr: 0, type: "u16", ro: true }, b: { addr: 10, type: "u16", ro: true } },
+      {
+        blocks: [{ name: "main", fn: 3, start: 0, len: 5 }],
+        planner: { forbidden: [[3, 4]] },
+      },
+    );
+    assert.deepEqual(errors, ["point b @ 10: not inside any block"]);
+    assert.deepEqual(warnings, ["block main: reads a planner.forbidden range"]);
+  });
+
+  it("rejects points inside planner.forbidden", () => {
+    const { errors } = lint({ a: { addr: 3, type: "u32", ro: true } }, { planner: { forbidden: [[4, 4]] } });
+    assert.deepEqual(errors, ["point a @ 3: overlaps a planner.forbidden range"]);
+  });
+});
+
+describe("planWrite", () => {
+  const ctx = {
+    map: {
+      points: {
+        setpoint: { addr: 0, type: "float32", safe_bounds: [6.5, 8.8] },
+        count: { addr: 2, type: "u16" },
+        offset: { addr: 3, type: "i16", safe_bounds: [-50, 50] },
+        src: { addr: 4, type: "enum", values: { 0: "off", 1: "temp1", 2: "temp2" } },
+        flags: { addr: 5, type: "bitfield", bits: { pump: 0, heater: 2 } },
+        status: { addr: 6, type: "u16", ro: true },
+        total: { addr: 8, type: "u64" },
+        delta: { addr: 12, type: "i64" },
+      },
+    },
+  };
+
+  it("reports the value the registers will hold", () => {
+    const plan = planWrite(ctx, "setpoint", 7.51);
+    assert.equal(plan.fc, 16);
+    assert.equal(plan.value, Math.fround(7.51));
+    assert.equal(plan.reason, "ok");
+  });
+
+  it("clamps to safe_bounds unless told not to", () => {
+    assert.equal(planWrite(ctx, "offset", -80).value, -50);
+    assert.equal(planWrite(ctx, "offset", -80).reason, "clamped");
+    assert.throws(() => planWrite(ctx, "offset", -80, { allowClamp: false }), /Out of bounds \[-50, 50\]/);
+  });
+
+  it("refuses fractions and values out of range for integer types", () => {
+    assert.throws(() => planWrite(ctx, "count", 1.5), /count is u16; 1.5 is not an integer/);
+    assert.throws(() => planWrite(ctx, "count", 70000), /out of range for u16/);
+    assert.throws(() => planWrite(ctx, "count", -1), /out of range for u16/);
+    assert.equal(planWrite(ctx, "count", 65535).value, 65535);
+  });
+
+  it("keeps 64-bit writes to integers a number holds exactly", () => {
+    assert.equal(planWrite(ctx, "total", Number.MAX_SAFE_INTEGER).value, Number.MAX_SAFE_INTEGER);
+    assert.equal(planWrite(ctx, "delta", -(2 ** 53) + 1).value, -(2 ** 53) + 1);
+    assert.throws(() => planWrite(ctx, "total", 2 ** 53), /out of range for u64/);
+    assert.throws(() => planWrite(ctx, "total", 2 ** 64), /out of range for u64/);
+    assert.throws(() => planWrite(ctx, "total", -1), /out of range for u64/);
+    assert.throws(() => planWrite(ctx, "delta", 2 ** 63), /out of range for i64/);
+    assert.throws(() => planWrite(ctx, "delta", -(2 ** 63)), /out of range for i64/);
+  });
+
+  it("takes enum labels and bitfield objects", () => {
+    assert.equal(planWrite(ctx, "src", "temp2").value, 2);
+    assert.throws(() => planWrite(ctx, "src", 5), /not one of src's enum values/);
+    assert.equal(planWrite(ctx, "flags", { pump: true, heater: "on" }).value, 5);
+  });
+
+  it("refuses read-only points", () => {
+    assert.throws(() => planWrite(ctx, "status", 1), /read-only/);
+  });
+});
+
+describe("verifyReadBack", () => {
+  const ctx = {
+    map: {
+      points: {
+        setpoint: { addr: 0, type: "float32", scale: 0.1 },
+        small: { addr: 2, type: "float32" },
+        count: { addr: 4, type: "u16" },
+        pump: { addr: 0, fn: 1, type: "bool" },
+      },
+    },
+  };
+  const f32 = (v) => {
+    const b = Buffer.alloc(4);
+    b.writeFloatBE(v, 0);
+    return b;
+  };
+  const u16 = (v) => {
+    const b = Buffer.alloc(2);
+    b.writeUInt16BE(v, 0);
+    return b;
+  };
+
+  it("accepts float rounding by the device, relative to the value", () => {
+    const plan = planWrite(ctx, "setpoint", 75); // raw: no scale on writes or read-back
+    assert.deepEqual(verifyReadBack(ctx, "setpoint", plan, f32(75.0005)), {
+      value: Math.fround(75.0005),
+      expected: 75,
+      verified: true,
+    });
+    assert.equal(verifyReadBack(ctx, "setpoint", plan, f32(75.01)).verified, false);
+  });
+
+  it("has an absolute floor for values near zero", () => {
+    const plan = planWrite(ctx, "small", 0);
+    assert.equal(verifyReadBack(ctx, "small", plan, f32(5e-7)).verified, true);
+    assert.equal(verifyReadBack(ctx, "small", plan, f32(1e-5)).verified, false);
+  });
+
+  it("compares integers and coils exactly", () => {
+    const plan = planWrite(ctx, "count", 3);
+    assert.equal(verifyReadBack(ctx, "count", plan, u16(3)).verified, true);
+    assert.equal(verifyReadBack(ctx, "count", plan, u16(4)).verified, false);
+
+    const coil = planWrite(ctx, "pump", true);
+    assert.equal(verifyReadBack(ctx, "pump", coil, Buffer.from([1])).verified, true);
+    assert.equal(verifyReadBack(ctx, "pump", coil, Buffer.from([0])).verified, false);
+  });
+});
@@ -0,0 +1,76 @@
+// backend/test/scheduleService.test.js
+// When schedule steps happen: Hawaiʻi (UTC-10) days, weekly steps, catch-up
+// after downtime and the effective_from cutoff. 2026-10-19 is a Monday.
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { dueTransition, upcomingTransitions } from "../src/scheduleService.js";
+
+// UTC ms of a Hawaiʻi wall-clock time in October 2026
+const hst = (day, h, m = 0) => Date.UTC(2026, 9, day, h + 10, m);
+const iso = (t) => t && { at: new Date(t.atMs).toISOString(), index: t.index };
+
+const ops = [{ point: "ctl1_setpoint", value: 7.6 }];
+const daily = {
+  repeat: "daily",
+  steps: [{ at: "06:00", ops }, { at: "18:00", ops }],
+  effective_from: "2026-10-01T00:00:00.000Z",
+};
+
+describe("dueTransition", () => {
+  it("is the latest step at or before now, in Hawaiʻi time", () => {
+    assert.deepEqual(iso(dueTransition(daily, hst(19, 5, 59))), { at: "2026-10-19T04:00:00.000Z", index: 1 });
+    assert.deepEqual(iso(dueTransition(daily, hst(19, 6))), { at: "2026-10-19T16:00:00.000Z", index: 0 });
+    assert.deepEqual(iso(dueTransition(daily, hst(19, 17, 59))), { at: "2026-10-19T16:00:00.000Z", index: 0 });
+  });
+
+  it("catches up on a weekly step up to a week back", () => {
+    const weekly = { ...daily, repeat: "weekly", steps: [{ at: "06:00", days: ["mon"], ops }] };
+    assert.deepEqual(iso(dueTransition(weekly, hst(22, 12))), { at: "2026-10-19T16:00:00.000Z", index: 0 });
+    assert.deepEqual(iso(dueTransition(weekly, hst(26, 5, 59))), { at: "2026-10-19T16:00:00.000Z", index: 0 });
+    assert.deepEqual(iso(dueTransition(weekly, hst(26, 6))), { at: "2026-10-26T16:00:00.000Z", index: 0 });
+  });
+
+  it("takes the weekday from the Hawaiʻi date, not the UTC one", () => {
+    // Sunday 23:30 HST is Monday 09:30 UTC
+    const weekly = { ...daily, repeat: "weekly", steps: [{ at: "23:30", days: ["sun"], ops }] };
+    assert.deepEqual(iso(dueTransition(weekly, hst(19, 0))), { at: "2026-10-19T09:30:00.000Z", index: 0 });
+  });
+
+  it("ignores steps from before effective_from", () => {
+    const saved = { ...daily, effective_from: new Date(hst(19, 7)).toISOString() };
+    assert.equal(dueTransition(saved, hst(19, 12)), null);
+    assert.deepEqual(iso(dueTransition(saved, hst(19, 18))), { at: "2026-10-20T04:00:00.000Z", index: 1 });
+  });
+
+  it("falls back to updated_at for programs saved before effective_from existed", () => {
+    const old = { repeat: daily.repeat, steps: daily.steps, updated_at: new Date(hst(19, 7)).toISOString() };
+    assert.equal(dueTransition(old, hst(19, 12)), null);
+  });
+});
+
+describe("upcomingTransitions", () => {
+  it("lists steps after from up to and including until, across Hawaiʻi midnight", () => {
+    const list = upcomingTransitions(daily, hst(18, 18), hst(20, 6)).map(iso);
+    assert.deepEqual(list, [
+      { at: "2026-10-19T16:00:00.000Z", index: 0 },
+      { at: "2026-10-20T04:00:00.000Z", index: 1 },
+      { at: "2026-10-20T16:00:00.000Z", index: 0 },
+    ]);
+  });
+
+  it("only lists weekly steps on their days", () => {
+    const weekly = {
+      ...daily,
+      repeat: "weekly",
+      steps: [
+        { at: "06:00", days: ["mon", "wed"], ops },
+        { at: "18:00", days: ["sat"], ops },
+      ],
+    };
+    const days = upcomingTransitions(weekly, hst(19, 0), hst(26, 0)).map((t) =>
+      new Date(t.atMs - 10 * 60 * 60 * 1000).toISOString().slice(0, 16),
+    );
+    assert.deepEqual(days, ["2026-10-19T06:00", "2026-10-21T06:00", "2026-10-24T18:00"]);
+  });
+});
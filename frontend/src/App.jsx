@@ -3,17 +3,25 @@ import React from "react";
 import { BrowserRouter, Navigate, NavLink, Route, Routes } from "react-router-dom";
 
 import Tanks from "./pages/Tanks.jsx";
-import BmmDashboard from "./pages/BMM.jsx";
-import UtilControllers from "./pages/UtilControllers.jsx";
+import FamilyPage from "./pages/FamilyPage.jsx";
 import LiveTanks from "./pages/LiveTanks.jsx";
+import Devices from "./pages/Devices.jsx";
+import Diagnostics from "./pages/Diagnostics.jsx";
+import CommandAudit from "./pages/CommandAudit.jsx";
+import Schedules from "./pages/Schedules.jsx";
+import BulkCommands from "./pages/BulkCommands.jsx";
 import History from "./pages/History.jsx";
 import CO2 from "./pages/CO2.jsx";
 import Settings from "./pages/Settings.jsx";
 import NotFound from "./pages/NotFound.jsx";
+import { familyPath, useFamilies } from "./utils/families.js";
 
 import "./App.css";
 
 export default function App() {
+  // one nav entry per device family (backend/config/families.json)
+  const families = useFamilies();
+
   return (
     <BrowserRouter>
       <div className="app-shell">
@@ -21,12 +29,17 @@ export default function App() {
           <div className="brand">Symbrosia Gateway</div>
 
           <nav className="nav-links">
-            <NavItem to="/tanks" label="Tanks" />
-            <NavItem to="/bmms" label="BMMs" />
-            <NavItem to="/utility" label="Utility" />
+            {families.map((f) => (
+              <NavItem key={f.id} to={familyPath(f)} label={f.label} />
+            ))}
             <NavItem to="/history" label="History" />
             <NavItem to="/co2" label="CO₂" />
             <NavItem to="/live-tanks" label="Live Tanks" />
+            <NavItem to="/devices" label="Devices" />
+            <NavItem to="/diagnostics" label="Diagnostics" />
+            <NavItem to="/audit" label="Audit" />
+            <NavItem to="/schedules" label="Schedules" />
+            <NavItem to="/bulk" label="Bulk" />
             <NavItem to="/settings" label="Settings" />
           </nav>
         </header>
@@ -35,11 +48,18 @@ export default function App() {
           <Routes>
             <Route path="/" element={<Navigate to="/tanks" replace />} />
             <Route path="/tanks" element={<Tanks />} />
-            <Route path="/bmms" element={<BmmDashboard />} />
-            <Route path="/utility" element={<UtilControllers />} />
+            <Route path="/families/:familyId" element={<FamilyPage />} />
+            {/* old per-family pages */}
+            <Route path="/bmms" element={<Navigate to="/families/bmm" replace />} />
+            <Route path="/utility" element={<Navigate to="/families/util" replace />} />
             <Route path="/history" element={<History />} />
             <Route path="/co2" element={<CO2 />} />
             <Route path="/live-tanks" element={<LiveTanks />} />
+            <Route path="/devices" element={<Devices />} />
+            <Route path="/diagnostics" element={<Diagnostics />} />
+            <Route path="/audit" element={<CommandAudit />} />
+            <Route path="/schedules" element={<Schedules />} />
+            <Route path="/bulk" element={<BulkCommands />} />
             <Route path="/settings" element={<Settings />} />
             <Route path="*" element={<NotFound />} />
           </Routes>
@@ -0,0 +1,446 @@
+// src/pages/BulkCommands.jsx
+// One write to many tanks at once: a list, a prefix (a group on the Tanks
+// page, /bulk?prefix=C) or a saved group. "Preview" is a dry run (current
+// value, what would be written after clamping, devices that don't answer);
+// "Send" writes and shows the result per device.
+import React, { useCallback, useEffect, useState } from "react";
+import { useSearchParams } from "react-router-dom";
+import { fetchJson } from "../utils/api.js";
+import { commandErrorMessage } from "../utils/sendCommand.js";
+import ConfirmModal from "../components/ConfirmModal.jsx";
+import { useFamilies } from "../utils/families.js";
+
+const EMPTY_GROUP = { name: "", family: "ctrl", tanks: "" };
+
+export default function BulkCommands() {
+  const families = useFamilies();
+  const [searchParams] = useSearchParams();
+
+  const [form, setForm] = useState(() => ({
+    family: "ctrl",
+    targetType: searchParams.get("prefix") ? "prefix" : "tanks",
+    prefix: searchParams.get("prefix") || "",
+    tanks: "",
+    group: "",
+    point: "ctl1_setpoint",
+    value: "",
+    force: false,
+  }));
+
+  const [plan, setPlan] = useState(null);
+  const [report, setReport] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [confirming, setConfirming] = useState(false);
+  const [error, setError] = useState("");
+
+  const [groups, setGroups] = useState([]);
+  const [groupForm, setGroupForm] = useState(EMPTY_GROUP);
+  const [groupMessage, setGroupMessage] = useState("");
+  const [deleteGroup, setDeleteGroup] = useState(null);
+  const [deleting, setDeleting] = useState(false);
+
+  const loadGroups = useCallback(async () => {
+    try {
+      const data = await fetchJson("/api/groups");
+      setGroups(Array.isArray(data?.groups) ? data.groups : []);
+    } catch (e) {
+      setError(e?.message || "Failed to load groups");
+    }
+  }, []);
+
+  useEffect(() => {
+    loadGroups();
+  }, [loadGroups]);
+
+  // any change makes the preview stale
+  const setField = (key) => (e) => {
+    const value = e.target.type === "checkbox" ? e.target.checked : e.target.value;
+    setForm((prev) => ({ ...prev, [key]: value }));
+    setPlan(null);
+  };
+
+  const body = () => ({
+    target:
+      form.targetType === "group"
+        ? { group: form.group }
+        : form.targetType === "prefix"
+        ? { family: form.family, prefix: form.prefix.trim() }
+        : { family: form.family, tanks: form.tanks.split(/[\s,]+/).filter(Boolean) },
+    ops: [{ point: form.point.trim(), value: parseValue(form.value), ...(form.force ? { force: true } : {}) }],
+  });
+
+  const preview = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError("");
+    setReport(null);
+    try {
+      setPlan(await fetchJson("/api/bulk-commands/plan", { method: "POST", body: JSON.stringify(body()) }));
+    } catch (err) {
+      setPlan(null);
+      setError(commandErrorMessage(err, "Preview failed"));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const send = async () => {
+    setBusy(true);
+    setError("");
+    try {
+      const res = await fetchJson("/api/bulk-commands", {
+        method: "POST",
+        body: JSON.stringify({ ...body(), requested_by: "frontend" }),
+      });
+      setReport(res);
+      setPlan(null);
+    } catch (err) {
+      setError(commandErrorMessage(err, "Bulk command failed"));
+    } finally {
+      setBusy(false);
+      setConfirming(false);
+    }
+  };
+
+  const saveGroup = async (e) => {
+    e.preventDefault();
+    setGroupMessage("");
+    setError("");
+    try {
+      const res = await fetchJson("/api/groups", {
+        method: "POST",
+        body: JSON.stringify({
+          name: groupForm.name.trim(),
+          family: groupForm.family,
+          tanks: groupForm.tanks.split(/[\s,]+/).filter(Boolean),
+        }),
+      });
+      setGroupMessage(`Saved group "${res.group.name}" (${res.group.tanks.length} tanks).`);
+      setGroupForm(EMPTY_GROUP);
+      await loadGroups();
+    } catch (err) {
+      setError(err?.message || "Failed to save group");
+    }
+  };
+
+  const removeGroup = async () => {
+    if (!deleteGroup) return;
+    setDeleting(true);
+    try {
+      await fetchJson(`/api/groups/${encodeURIComponent(deleteGroup.id)}`, { method: "DELETE" });
+      setGroupMessage(`Removed group "${deleteGroup.name}".`);
+      if (form.group === deleteGroup.id) setForm((prev) => ({ ...prev, group: "" }));
+      await loadGroups();
+    } catch (err) {
+      setError(err?.message || "Failed to delete group");
+    } finally {
+      setDeleting(false);
+      setDeleteGroup(null);
+    }
+  };
+
+  const writable = plan ? plan.devices.filter((d) => d.online && d.ops.every((o) => !o.code)).length : 0;
+
+  return (
+    <section className="page">
+      <header className="page-header">
+        <div>
+          <h1>Bulk commands</h1>
+          <p className="page-subtitle">
+            Write one point on many tanks. Preview first: it reads each device and shows what would be
+            written, without writing anything.
+          </p>
+        </div>
+      </header>
+
+      {error && <div className="callout error">{error}</div>}
+
+      <form className="card device-form" onSubmit={preview}>
+        <div className="history-form">
+          <label>
+            Target
+            <select value={form.targetType} onChange={setField("targetType")}>
+              <option value="tanks">Tanks</option>
+              <option value="prefix">Tank group (prefix)</option>
+              <option value="group">Saved group</option>
+            </select>
+          </label>
+          {form.targetType !== "group" && (
+            <label>
+              Family
+              <select value={form.family} onChange={setField("family")}>
+                {families.map((f) => (
+                  <option key={f.id} value={f.id}>
+                    {f.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+          )}
+          {form.targetType === "tanks" && (
+            <label>
+              Tank IDs
+              <input type="text" value={form.tanks} onChange={setField("tanks")} placeholder="C01, C02, C07" required />
+            </label>
+          )}
+          {form.targetType === "prefix" && (
+            <label>
+              Prefix
+              <input type="text" value={form.prefix} onChange={setField("prefix")} placeholder="C" required />
+            </label>
+          )}
+          {form.targetType === "group" && (
+            <label>
+              Group
+              <select value={form.group} onChange={setField("group")} required>
+                <option value="">Choose a group…</option>
+                {groups.map((g) => (
+                  <option key={g.id} value={g.id}>
+                    {g.name} ({g.tanks.length})
+                  </option>
+                ))}
+              </select>
+            </label>
+          )}
+          <label>
+            Point
+            <input type="text" value={form.point} onChange={setField("point")} required />
+          </label>
+          <label>
+            Value
+            <input type="text" value={form.value} onChange={setField("value")} placeholder="7.8" required />
+          </label>
+          <label>
+            Ignore deadband
+            <input type="checkbox" checked={form.force} onChange={setField("force")} />
+          </label>
+        </div>
+        <div className="actions">
+          <button type="submit" className="secondary" disabled={busy}>
+            {busy && !plan ? "Reading devices…" : "Preview"}
+          </button>
+          <button type="button" className="primary" disabled={busy || !writable} onClick={() => setConfirming(true)}>
+            {plan ? `Send to ${writable} device${writable === 1 ? "" : "s"}` : "Send"}
+          </button>
+        </div>
+      </form>
+
+      {plan && (
+        <div className="card">
+          <h2>Preview: {plan.target}</h2>
+          <p className="page-subtitle">
+            {plan.summary.online} of {plan.summary.devices} devices answering
+            {plan.summary.clamped > 0 && `, ${plan.summary.clamped} clamped to safe bounds`}
+            {plan.summary.invalid > 0 && `, ${plan.summary.invalid} refused`}. Nothing has been written.
+          </p>
+          <div className="table-scroll">
+            <table className="data-table audit-table">
+              <thead>
+                <tr>
+                  <th>Tank</th>
+                  <th>Device</th>
+                  <th>Current</th>
+                  <th>Will write</th>
+                </tr>
+              </thead>
+              <tbody>
+                {plan.devices.map((d) => {
+                  const op = d.ops[0];
+                  return (
+                    <tr key={d.tank_id} className={d.online ? "" : "muted"}>
+                      <td>{d.tank_id}</td>
+                      <td>
+                        {d.online ? (
+                          <span className="qc-pill ok">ONLINE</span>
+                        ) : d.online === null ? (
+                          <span className="qc-pill action" title="Nothing to read on this device">
+                            UNKNOWN
+                          </span>
+                        ) : (
+                          <span className="qc-pill fail" title={d.error || ""}>
+                            {d.code ? d.code : "OFFLINE"}
+                          </span>
+                        )}
+                        {d.identity_mismatch && <span className="qc-pill fail">WRONG DEVICE</span>}
+                      </td>
+                      <td>{formatValue(op?.value_current)}</td>
+                      <td>
+                        {!op ? (
+                          "—"
+                        ) : op.code ? (
+                          <span className="qc-pill fail" title={op.error}>
+                            {op.code}
+                          </span>
+                        ) : op.reason === "deadband_skip" ? (
+                          <span className="muted">nothing (within deadband)</span>
+                        ) : (
+                          <>
+                            {formatValue(op.value_planned)}
+                            {op.reason === "clamped" && <span className="muted"> (clamped from {formatValue(op.value_requested)})</span>}
+                          </>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {report && (
+        <div className="card">
+          <h2>Result: {report.target}</h2>
+          <div className={`callout ${report.summary.failed ? "error" : "success"}`}>
+            {report.summary.ok} of {report.summary.devices} devices ok
+            {report.summary.failed > 0 && `, ${report.summary.failed} failed`}. Transaction {report.tx_id}.
+          </div>
+          <div className="table-scroll">
+            <table className="data-table audit-table">
+              <thead>
+                <tr>
+                  <th>Tank</th>
+                  <th>Result</th>
+                  <th>Before</th>
+                  <th>Applied</th>
+                  <th>Read back</th>
+                  <th>Error</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.devices.map((d) => {
+                  const r = d.results?.[0];
+                  return (
+                    <tr key={d.tank_id}>
+                      <td>{d.tank_id}</td>
+                      <td>
+                        <span className={`qc-pill ${d.ok ? "ok" : "fail"}`}>{d.ok ? "ok" : d.code}</span>
+                      </td>
+                      <td>{formatValue(r?.value_previous)}</td>
+                      <td>
+                        {formatValue(r?.value_applied)}
+                        {r?.reason && r.reason !== "ok" && <span className="muted"> ({r.reason})</span>}
+                      </td>
+                      <td>{formatValue(r?.value_readback)}</td>
+                      <td>{d.error || ""}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      <form className="card device-form" onSubmit={saveGroup}>
+        <h2>Saved groups</h2>
+        {groupMessage && <div className="callout success">{groupMessage}</div>}
+        {groups.length > 0 && (
+          <table className="data-table">
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Family</th>
+                <th>Tanks</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {groups.map((g) => (
+                <tr key={g.id}>
+                  <td>{g.name}</td>
+                  <td>{g.family}</td>
+                  <td>{g.tanks.join(", ")}</td>
+                  <td className="row-actions">
+                    <button type="button" className="btn-small" onClick={() => setDeleteGroup(g)}>
+                      Delete
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+        <div className="history-form">
+          <label>
+            Name
+            <input
+              type="text"
+              value={groupForm.name}
+              onChange={(e) => setGroupForm((prev) => ({ ...prev, name: e.target.value }))}
+              placeholder="Raceways east"
+              required
+            />
+          </label>
+          <label>
+            Family
+            <select
+              value={groupForm.family}
+              onChange={(e) => setGroupForm((prev) => ({ ...prev, family: e.target.value }))}
+            >
+              {families.map((f) => (
+                <option key={f.id} value={f.id}>
+                  {f.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label>
+            Tank IDs
+            <input
+              type="text"
+              value={groupForm.tanks}
+              onChange={(e) => setGroupForm((prev) => ({ ...prev, tanks: e.target.value }))}
+              placeholder="C01, C02, C07"
+              required
+            />
+          </label>
+        </div>
+        <div className="actions">
+          <button type="submit" className="secondary">
+            Save group
+          </button>
+        </div>
+      </form>
+
+      <ConfirmModal
+        open={confirming}
+        title={`Write ${form.point} on ${writable} device${writable === 1 ? "" : "s"}?`}
+        message={
+          plan && plan.summary.offline + plan.summary.invalid > 0
+            ? `${plan.summary.devices - writable} device(s) from the preview were offline or refused; they will be tried too and reported as failed.`
+            : "Each device is written and read back; the result is shown per device."
+        }
+        confirmLabel="Send"
+        onConfirm={send}
+        onCancel={() => setConfirming(false)}
+        busy={busy}
+      />
+
+      <ConfirmModal
+        open={!!deleteGroup}
+        title={`Delete group "${deleteGroup?.name || ""}"?`}
+        message="Only the saved list goes away; nothing is written to the tanks."
+        confirmLabel="Delete group"
+        onConfirm={removeGroup}
+        onCancel={() => setDeleteGroup(null)}
+        busy={deleting}
+      />
+    </section>
+  );
+}
+
+function parseValue(text) {
+  const t = String(text).trim();
+  if (t === "true" || t === "false") return t === "true";
+  const n = Number(t);
+  return t !== "" && Number.isFinite(n) ? n : t;
+}
+
+function formatValue(v) {
+  if (v === null || v === undefined) return "—";
+  if (typeof v === "boolean") return v ? "true" : "false";
+  if (typeof v === "number" && !Number.isInteger(v)) return String(Number(v.toPrecision(6)));
+  return String(v);
+}
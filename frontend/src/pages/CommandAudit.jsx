@@ -0,0 +1,219 @@
+// src/pages/CommandAudit.jsx
+// Change history from the command audit log: every setpoint change, relay
+// flip or other write, who asked for it and what the device ended up with.
+// The tank filter lives in the URL (/audit?tankId=C01) so it can be linked.
+import React, { useCallback, useEffect, useState } from "react";
+import { useSearchParams } from "react-router-dom";
+import { fetchJson } from "../utils/api.js";
+
+// Hawaiʻi time, like History
+const formatter = new Intl.DateTimeFormat("en-US", {
+  timeZone: "Pacific/Honolulu",
+  month: "short",
+  day: "numeric",
+  hour: "2-digit",
+  minute: "2-digit",
+  second: "2-digit",
+});
+
+// For <input type="datetime-local"> value (always interpreted as local time)
+function toLocalInputValue(date) {
+  const pad = (v) => String(v).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+    date.getDate()
+  )}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+export default function CommandAudit() {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const tankId = searchParams.get("tankId") || "";
+
+  const [tankIds, setTankIds] = useState([]);
+  const [point, setPoint] = useState("");
+  const [end, setEnd] = useState(() => toLocalInputValue(new Date()));
+  const [start, setStart] = useState(() => {
+    const d = new Date();
+    d.setDate(d.getDate() - 7);
+    return toLocalInputValue(d);
+  });
+
+  const [entries, setEntries] = useState([]);
+  const [truncated, setTruncated] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    fetchJson("/api/devices")
+      .then((data) => {
+        const ids = new Set((data?.devices || []).map((d) => d.tankId));
+        setTankIds([...ids].sort((a, b) => a.localeCompare(b, undefined, { numeric: true })));
+      })
+      .catch((e) => setError(e?.message || "Failed to load devices"));
+  }, []);
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    setError("");
+    try {
+      const startDate = new Date(start);
+      const endDate = new Date(end);
+      if (Number.isNaN(startDate.valueOf())) throw new Error("Invalid start time");
+      if (Number.isNaN(endDate.valueOf())) throw new Error("Invalid end time");
+      if (startDate > endDate) throw new Error("Start must be before end");
+
+      const params = new URLSearchParams({
+        start: startDate.toISOString(),
+        end: endDate.toISOString(),
+      });
+      if (tankId) params.set("tankId", tankId);
+      if (point.trim()) params.set("point", point.trim());
+
+      const res = await fetchJson(`/api/audit/commands?${params}`);
+      setEntries(Array.isArray(res?.entries) ? res.entries : []);
+      setTruncated(!!res?.truncated);
+    } catch (e) {
+      setEntries([]);
+      setError(e?.message || "Failed to load command history");
+    } finally {
+      setLoading(false);
+    }
+    // start/end/point apply when "Show" is pressed; the tank applies right away
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [tankId]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const setTank = (id) => {
+    const next = new URLSearchParams(searchParams);
+    if (id) next.set("tankId", id);
+    else next.delete("tankId");
+    setSearchParams(next, { replace: true });
+  };
+
+  return (
+    <section className="page">
+      <header className="page-header">
+        <div>
+          <h1>Command history</h1>
+          <p className="page-subtitle">
+            Every write sent to a device: requested and applied values, the value before, and the
+            value read back. Times shown in Hawaiʻi (HST).
+          </p>
+        </div>
+      </header>
+
+      {error && <div className="callout error">{error}</div>}
+
+      <form
+        className="card device-form"
+        onSubmit={(e) => {
+          e.preventDefault();
+          load();
+        }}
+      >
+        <div className="history-form">
+          <label>
+            Tank
+            <select value={tankId} onChange={(e) => setTank(e.target.value)}>
+              <option value="">All tanks</option>
+              {tankIds.map((id) => (
+                <option key={id} value={id}>
+                  {id}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label>
+            Point
+            <input
+              type="text"
+              value={point}
+              onChange={(e) => setPoint(e.target.value)}
+              placeholder="any, e.g. ctl1_setpoint"
+            />
+          </label>
+          <label>
+            Start (HST)
+            <input type="datetime-local" value={start} onChange={(e) => setStart(e.target.value)} />
+          </label>
+          <label>
+            End (HST)
+            <input type="datetime-local" value={end} onChange={(e) => setEnd(e.target.value)} />
+          </label>
+        </div>
+        <div className="actions">
+          <button type="submit" className="primary" disabled={loading}>
+            {loading ? "Loading…" : "Show"}
+          </button>
+        </div>
+      </form>
+
+      <div className="card">
+        {entries.length === 0 ? (
+          <div className="empty-state">
+            <p>{loading ? "Loading…" : "No commands recorded for this selection."}</p>
+          </div>
+        ) : (
+          <div className="table-scroll">
+            <table className="data-table audit-table">
+              <thead>
+                <tr>
+                  <th>Time</th>
+                  <th>Tank</th>
+                  <th>Point</th>
+                  <th>Requested</th>
+                  <th>Applied</th>
+                  <th>Before</th>
+                  <th>Read back</th>
+                  <th>Result</th>
+                  <th>Requested by</th>
+                </tr>
+              </thead>
+              <tbody>
+                {entries.map((e, i) => (
+                  <tr key={`${e.tx_id}-${e.point}-${i}`}>
+                    <td title={e.ts_utc}>{formatter.format(new Date(e.ts_utc))}</td>
+                    <td>
+                      {e.family ? `${e.family}:` : ""}
+                      {e.tank_id}
+                    </td>
+                    <td>{e.point || (e.fn ? `FC${e.fn} @ ${e.start}` : "—")}</td>
+                    <td>{formatValue(e.value_requested)}</td>
+                    <td>
+                      {formatValue(e.value_applied)}
+                      {e.reason && e.reason !== "ok" && <span className="muted"> ({e.reason})</span>}
+                    </td>
+                    <td>{formatValue(e.value_previous)}</td>
+                    <td>{formatValue(e.value_readback)}</td>
+                    <td>
+                      <span className={`qc-pill ${e.result === "ok" ? "ok" : "fail"}`} title={e.error || ""}>
+                        {e.result}
+                      </span>
+                    </td>
+                    <td>
+                      {e.requested_by || "—"}
+                      {e.source && <span className="muted"> via {e.source}</span>}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+        {truncated && (
+          <p className="page-subtitle">Showing the newest {entries.length} entries; narrow the range to see older ones.</p>
+        )}
+      </div>
+    </section>
+  );
+}
+
+function formatValue(v) {
+  if (v === null || v === undefined) return "—";
+  if (typeof v === "boolean") return v ? "true" : "false";
+  if (typeof v === "number" && !Number.isInteger(v)) return String(Number(v.toPrecision(6)));
+  if (typeof v === "object") return JSON.stringify(v);
+  return String(v);
+}
@@ -0,0 +1,312 @@
+// src/pages/Devices.jsx
+import React, { useCallback, useEffect, useMemo, useState } from "react";
+import { fetchJson } from "../utils/api.js";
+import ConfirmModal from "../components/ConfirmModal.jsx";
+import { useFamilies } from "../utils/families.js";
+
+const EMPTY_FORM = {
+  family: "ctrl",
+  tankId: "",
+  transport: "tcp",
+  ip: "",
+  path: "",
+  port: "502",
+  unitId: "1",
+  notes: "",
+};
+
+const TRANSPORTS = [
+  { id: "tcp", label: "Modbus TCP" },
+  { id: "rtu-tcp", label: "RTU over TCP (bridge)" },
+  { id: "rtu", label: "RTU serial (RS-485)" },
+];
+
+// Serial devices answer on a port path, everything else on ip:port
+const addressOf = (d) => (d.transport === "rtu" ? d.path : `${d.ip}:${d.port}`);
+
+export default function Devices() {
+  const families = useFamilies();
+  const [devices, setDevices] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [message, setMessage] = useState("");
+
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editing, setEditing] = useState(null); // { family, tankId } being edited
+  const [saving, setSaving] = useState(false);
+
+  const [deleteTarget, setDeleteTarget] = useState(null);
+  const [deleting, setDeleting] = useState(false);
+
+  const loadDevices = useCallback(async () => {
+    try {
+      const data = await fetchJson("/api/devices");
+      setDevices(Array.isArray(data?.devices) ? data.devices : []);
+      setError("");
+    } catch (e) {
+      setError(e?.message || "Failed to load devices");
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadDevices();
+  }, [loadDevices]);
+
+  const sorted = useMemo(
+    () =>
+      [...devices].sort(
+        (a, b) =>
+          a.family.localeCompare(b.family) ||
+          a.tankId.localeCompare(b.tankId, undefined, { numeric: true }),
+      ),
+    [devices],
+  );
+
+  const serial = form.transport === "rtu";
+  const formAddress = serial ? form.path.trim() : `${form.ip.trim()}:${Number(form.port || 502)}`;
+
+  // Same address and unit as another device (the backend rejects these too)
+  const duplicateOf = useMemo(() => {
+    if (serial ? !form.path.trim() : !form.ip.trim()) return null;
+    return devices.find(
+      (d) =>
+        addressOf(d) === formAddress &&
+        Number(d.unitId) === Number(form.unitId || 1) &&
+        !(editing && d.family === editing.family && d.tankId === editing.tankId),
+    );
+  }, [devices, form, editing, serial, formAddress]);
+
+  const setField = (key) => (e) => setForm((prev) => ({ ...prev, [key]: e.target.value }));
+
+  const startEdit = (dev) => {
+    setEditing({ family: dev.family, tankId: dev.tankId });
+    setForm({
+      family: dev.family,
+      tankId: dev.tankId,
+      transport: dev.transport || "tcp",
+      ip: dev.ip || "",
+      path: dev.path || "",
+      port: String(dev.port ?? 502),
+      unitId: String(dev.unitId ?? 1),
+      notes: dev.notes || "",
+    });
+    setMessage("");
+    setError("");
+  };
+
+  const resetForm = () => {
+    setEditing(null);
+    setForm(EMPTY_FORM);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setMessage("");
+    setError("");
+
+    const payload = {
+      family: form.family,
+      tankId: form.tankId.trim(),
+      transport: form.transport,
+      ...(serial ? { path: form.path.trim() } : { ip: form.ip.trim(), port: Number(form.port || 502) }),
+      unitId: Number(form.unitId || 1),
+      notes: form.notes,
+    };
+
+    try {
+      if (editing) {
+        await fetchJson(
+          `/api/devices/${encodeURIComponent(editing.family)}/${encodeURIComponent(editing.tankId)}`,
+          { method: "PUT", body: JSON.stringify(payload) },
+        );
+        setMessage(`Updated ${payload.tankId}; it will be polled with the new settings next cycle.`);
+      } else {
+        await fetchJson("/api/devices", { method: "POST", body: JSON.stringify(payload) });
+        setMessage(`Added ${payload.tankId}; it will be polled next cycle.`);
+      }
+      resetForm();
+      await loadDevices();
+    } catch (err) {
+      setError(err?.message || "Failed to save device");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!deleteTarget) return;
+    setDeleting(true);
+    try {
+      await fetchJson(
+        `/api/devices/${encodeURIComponent(deleteTarget.family)}/${encodeURIComponent(deleteTarget.tankId)}`,
+        { method: "DELETE" },
+      );
+      setMessage(`Removed ${deleteTarget.tankId}.`);
+      if (editing?.family === deleteTarget.family && editing?.tankId === deleteTarget.tankId) {
+        resetForm();
+      }
+      await loadDevices();
+    } catch (err) {
+      setError(err?.message || "Failed to delete device");
+    } finally {
+      setDeleting(false);
+      setDeleteTarget(null);
+    }
+  };
+
+  return (
+    <section className="page">
+      <header className="page-header">
+        <div>
+          <h1>Devices</h1>
+          <p className="page-subtitle">
+            Devices polled by this gateway, grouped by family ({families.map((f) => f.label).join(", ")}).
+            Changes apply on the next poll.
+          </p>
+        </div>
+      </header>
+
+      {error && <div className="callout error">{error}</div>}
+      {message && <div className="callout success">{message}</div>}
+
+      <form className="card device-form" onSubmit={handleSubmit}>
+        <h2>{editing ? `Edit ${editing.tankId}` : "Add device"}</h2>
+        <div className="history-form">
+          <label>
+            Family
+            <select value={form.family} onChange={setField("family")}>
+              {families.map((f) => (
+                <option key={f.id} value={f.id}>
+                  {f.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label>
+            Tank ID
+            <input type="text" value={form.tankId} onChange={setField("tankId")} placeholder="C12" required />
+          </label>
+          <label>
+            Transport
+            <select value={form.transport} onChange={setField("transport")}>
+              {TRANSPORTS.map((t) => (
+                <option key={t.id} value={t.id}>
+                  {t.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          {serial ? (
+            <label>
+              Serial port
+              <input type="text" value={form.path} onChange={setField("path")} placeholder="/dev/ttyUSB0" required />
+            </label>
+          ) : (
+            <>
+              <label>
+                IP address
+                <input type="text" value={form.ip} onChange={setField("ip")} placeholder="192.168.0.112" required />
+              </label>
+              <label>
+                Port
+                <input type="number" min="1" max="65535" value={form.port} onChange={setField("port")} />
+              </label>
+            </>
+          )}
+          <label>
+            Unit ID
+            <input type="number" min="0" max="255" value={form.unitId} onChange={setField("unitId")} />
+          </label>
+          <label className="device-notes">
+            Notes
+            <input type="text" value={form.notes} onChange={setField("notes")} maxLength={500} />
+          </label>
+        </div>
+
+        {duplicateOf && (
+          <div className="callout error">
+            {formAddress} (unit {form.unitId || 1}) is already used by{" "}
+            {duplicateOf.family}:{duplicateOf.tankId}.
+          </div>
+        )}
+
+        <div className="actions">
+          {editing && (
+            <button type="button" className="secondary" onClick={resetForm} disabled={saving}>
+              Cancel
+            </button>
+          )}
+          <button type="submit" className="primary" disabled={saving || !!duplicateOf}>
+            {saving ? "Saving…" : editing ? "Save changes" : "Add device"}
+          </button>
+        </div>
+      </form>
+
+      {loading ? (
+        <div className="empty-state">
+          <p>Loading devices…</p>
+        </div>
+      ) : sorted.length === 0 ? (
+        <div className="empty-state">
+          <p>No devices configured yet.</p>
+        </div>
+      ) : (
+        <div className="card">
+          <table className="data-table">
+            <thead>
+              <tr>
+                <th>Family</th>
+                <th>Tank ID</th>
+                <th>Transport</th>
+                <th>Address</th>
+                <th>Unit</th>
+                <th>Notes</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {sorted.map((d) => (
+                <tr key={`${d.family}:${d.tankId}`} className={d.live ? "" : "muted"}>
+                  <td>{d.family}</td>
+                  <td>
+                    {d.tankId}
+                    {!d.live && (
+                      <span className="qc-pill fail" title="Disabled in the Live Tanks filter">
+                        OFF
+                      </span>
+                    )}
+                  </td>
+                  <td>{d.transport}</td>
+                  <td>{addressOf(d)}</td>
+                  <td>{d.unitId}</td>
+                  <td>{d.notes}</td>
+                  <td className="row-actions">
+                    <button type="button" className="btn-small" onClick={() => startEdit(d)}>
+                      Edit
+                    </button>
+                    <button type="button" className="btn-small" onClick={() => setDeleteTarget(d)}>
+                      Delete
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <ConfirmModal
+        open={!!deleteTarget}
+        title={`Remove ${deleteTarget?.tankId || ""}?`}
+        message={`The gateway will stop polling ${deleteTarget?.family}:${deleteTarget?.tankId} @ ${deleteTarget ? addressOf(deleteTarget) : ""}. Logged history is kept.`}
+        confirmLabel="Remove device"
+        onConfirm={handleDelete}
+        onCancel={() => setDeleteTarget(null)}
+        busy={deleting}
+      />
+    </section>
+  );
+}
@@ -0,0 +1,396 @@
+// src/pages/Diagnostics.jsx
+// Modbus register inspector: read any range from a configured device and
+// compare the raw words (decoded every way) with the register map.
+import React, { useEffect, useMemo, useState } from "react";
+import { fetchJson } from "../utils/api.js";
+import ConfirmModal from "../components/ConfirmModal.jsx";
+
+const READ_FNS = [
+  { fn: 3, label: "FC3 Holding registers" },
+  { fn: 4, label: "FC4 Input registers" },
+  { fn: 1, label: "FC1 Coils" },
+  { fn: 2, label: "FC2 Discrete inputs" },
+];
+
+const WRITE_FNS = [
+  { fn: 6, label: "FC6 Single register" },
+  { fn: 16, label: "FC16 Multiple registers" },
+  { fn: 5, label: "FC5 Single coil" },
+  { fn: 15, label: "FC15 Multiple coils" },
+];
+
+// byte/word orders returned for 32/64-bit decodes
+const ORDERS = ["ABCD", "CDAB", "BADC", "DCBA"];
+
+export default function Diagnostics() {
+  const [devices, setDevices] = useState([]);
+  const [target, setTarget] = useState("");
+  const [query, setQuery] = useState({ fn: "3", start: "0", count: "20", unitId: "" });
+  const [order, setOrder] = useState("ABCD");
+
+  const [result, setResult] = useState(null);
+  const [reading, setReading] = useState(false);
+  const [error, setError] = useState("");
+
+  const [unlocked, setUnlocked] = useState(false);
+  const [confirmUnlock, setConfirmUnlock] = useState(false);
+  const [write, setWrite] = useState({ fn: "6", start: "", values: "" });
+  const [writing, setWriting] = useState(false);
+  const [writeMessage, setWriteMessage] = useState("");
+
+  useEffect(() => {
+    fetchJson("/api/devices")
+      .then((data) => {
+        const list = Array.isArray(data?.devices) ? data.devices : [];
+        list.sort(
+          (a, b) =>
+            a.family.localeCompare(b.family) ||
+            a.tankId.localeCompare(b.tankId, undefined, { numeric: true }),
+        );
+        setDevices(list);
+        if (list.length) setTarget((prev) => prev || `${list[0].family}:${list[0].tankId}`);
+      })
+      .catch((e) => setError(e?.message || "Failed to load devices"));
+  }, []);
+
+  const [family, tankId] = target.split(":");
+
+  // writes are unlocked per device
+  useEffect(() => {
+    setUnlocked(false);
+    setWriteMessage("");
+  }, [target]);
+
+  const pointsByName = useMemo(() => {
+    const out = {};
+    for (const p of result?.points || []) out[p.name] = p;
+    return out;
+  }, [result]);
+
+  const setQueryField = (key) => (e) => setQuery((prev) => ({ ...prev, [key]: e.target.value }));
+  const setWriteField = (key) => (e) => setWrite((prev) => ({ ...prev, [key]: e.target.value }));
+
+  const handleRead = async (e) => {
+    e?.preventDefault();
+    if (!target) return;
+    setReading(true);
+    setError("");
+
+    const params = new URLSearchParams({ family, tankId, fn: query.fn, start: query.start, count: query.count });
+    if (query.unitId !== "") params.set("unitId", query.unitId);
+
+    try {
+      setResult(await fetchJson(`/api/diagnostics/modbus?${params}`));
+    } catch (err) {
+      setError(err?.message || "Read failed");
+    } finally {
+      setReading(false);
+    }
+  };
+
+  const handleWrite = async (e) => {
+    e.preventDefault();
+    setWriting(true);
+    setWriteMessage("");
+    setError("");
+
+    const fn = Number(write.fn);
+    const values = write.values
+      .split(/[\s,]+/)
+      .filter(Boolean)
+      .map((v) => (fn === 5 || fn === 15 ? v === "1" || v.toLowerCase() === "true" : Number(v)));
+
+    try {
+      await fetchJson("/api/diagnostics/modbus/write", {
+        method: "POST",
+        body: JSON.stringify({
+          family,
+          tankId,
+          confirm: tankId,
+          requested_by: "frontend",
+          fn,
+          start: Number(write.start),
+          values,
+          ...(query.unitId !== "" ? { unitId: Number(query.unitId) } : {}),
+        }),
+      });
+      setWriteMessage(`Wrote ${values.length} value(s) at ${write.start} with FC${fn}.`);
+      if (result) handleRead();
+    } catch (err) {
+      setError(err?.message || "Write failed");
+    } finally {
+      setWriting(false);
+    }
+  };
+
+  const bitTable = result && (result.fn === 1 || result.fn === 2);
+
+  return (
+    <section className="page">
+      <header className="page-header">
+        <div>
+          <h1>Diagnostics</h1>
+          <p className="page-subtitle">
+            Read raw Modbus registers from a configured device and compare them with the register map.
+          </p>
+        </div>
+      </header>
+
+      {error && <div className="callout error">{error}</div>}
+
+      <form className="card device-form" onSubmit={handleRead}>
+        <h2>Read registers</h2>
+        <div className="history-form">
+          <label>
+            Device
+            <select value={target} onChange={(e) => setTarget(e.target.value)}>
+              {devices.map((d) => (
+                <option key={`${d.family}:${d.tankId}`} value={`${d.family}:${d.tankId}`}>
+                  {d.family}:{d.tankId} @ {d.ip}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label>
+            Function
+            <select value={query.fn} onChange={setQueryField("fn")}>
+              {READ_FNS.map((f) => (
+                <option key={f.fn} value={f.fn}>
+                  {f.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label>
+            Start address
+            <input type="number" min="0" max="65535" value={query.start} onChange={setQueryField("start")} required />
+          </label>
+          <label>
+            Count
+            <input type="number" min="1" max="2000" value={query.count} onChange={setQueryField("count")} required />
+          </label>
+          <label>
+            Unit ID
+            <input type="number" min="0" max="255" value={query.unitId} onChange={setQueryField("unitId")} placeholder="device default" />
+          </label>
+          <label>
+            32/64-bit order
+            <select value={order} onChange={(e) => setOrder(e.target.value)}>
+              {ORDERS.map((o) => (
+                <option key={o} value={o}>
+                  {o}
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+        <div className="actions">
+          <button type="submit" className="primary" disabled={reading || !target}>
+            {reading ? "Reading…" : "Read"}
+          </button>
+        </div>
+      </form>
+
+      {result && (
+        <div className="card">
+          <p className="page-subtitle">
+            {result.family}:{result.tankId} @ {result.ip}:{result.port} unit {result.unit_id} · FC{result.fn}{" "}
+            {result.start}–{result.start + result.count - 1} · map {result.map_file || "none"} ·{" "}
+            {new Date(result.read_at).toLocaleTimeString()}
+          </p>
+          <div className="table-scroll">
+            <table className="data-table diag-table">
+              <thead>
+                {bitTable ? (
+                  <tr>
+                    <th>Addr</th>
+                    <th>Value</th>
+                    <th>Map point</th>
+                  </tr>
+                ) : (
+                  <tr>
+                    <th>Addr</th>
+                    <th>Hex</th>
+                    <th>u16</th>
+                    <th>i16</th>
+                    <th>u32 {order}</th>
+                    <th>i32 {order}</th>
+                    <th>float32 {order}</th>
+                    <th>float64 {order}</th>
+                    <th>ASCII</th>
+                    <th>Map point</th>
+                  </tr>
+                )}
+              </thead>
+              <tbody>
+                {result.rows.map((row) =>
+                  bitTable ? (
+                    <tr key={row.addr}>
+                      <td>{row.addr}</td>
+                      <td>{row.value ? "1" : "0"}</td>
+                      <td>
+                        <MapCell row={row} pointsByName={pointsByName} />
+                      </td>
+                    </tr>
+                  ) : (
+                    <tr key={row.addr}>
+                      <td>{row.addr}</td>
+                      <td className="mono" title={row.bin}>
+                        {row.hex}
+                      </td>
+                      <td>{row.u16.BE}</td>
+                      <td>{row.i16.BE}</td>
+                      <td>{formatValue(row.u32?.[order])}</td>
+                      <td>{formatValue(row.i32?.[order])}</td>
+                      <td>{formatValue(row.float32?.[order])}</td>
+                      <td>{formatValue(row.float64?.[order])}</td>
+                      <td className="mono">{row.ascii}</td>
+                      <td>
+                        <MapCell row={row} pointsByName={pointsByName} />
+                      </td>
+                    </tr>
+                  ),
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {result?.points?.length > 0 && (
+        <div className="card">
+          <h2>Register map definitions</h2>
+          <div className="table-scroll">
+            <table className="data-table">
+              <thead>
+                <tr>
+                  <th>Point</th>
+                  <th>Addr</th>
+                  <th>Type</th>
+                  <th>Order</th>
+                  <th>Scale</th>
+                  <th>Decoded</th>
+                  <th>Units</th>
+                  <th>Description</th>
+                </tr>
+              </thead>
+              <tbody>
+                {result.points.map((p) => (
+                  <tr key={p.name}>
+                    <td>
+                      {p.name}
+                      {!p.ro && <span className="qc-pill">RW</span>}
+                    </td>
+                    <td>
+                      {p.addr}
+                      {p.span > 1 ? `–${p.addr + p.span - 1}` : ""}
+                    </td>
+                    <td>{p.type}</td>
+                    <td>
+                      {p.byte_order}/{p.word_order}
+                    </td>
+                    <td>{p.scale ?? "—"}</td>
+                    <td>{p.label ?? formatValue(p.value)}</td>
+                    <td>{p.units || "—"}</td>
+                    <td>{p.desc || "—"}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      <div className="card device-form">
+        <h2>Write registers</h2>
+        {!unlocked ? (
+          <div className="actions">
+            <p className="page-subtitle">
+              Writes go straight to the device with no map, bounds or deadband checks.
+            </p>
+            <button type="button" className="secondary" onClick={() => setConfirmUnlock(true)} disabled={!target}>
+              Unlock writes…
+            </button>
+          </div>
+        ) : (
+          <form onSubmit={handleWrite}>
+            <div className="history-form">
+              <label>
+                Function
+                <select value={write.fn} onChange={setWriteField("fn")}>
+                  {WRITE_FNS.map((f) => (
+                    <option key={f.fn} value={f.fn}>
+                      {f.label}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label>
+                Start address
+                <input type="number" min="0" max="65535" value={write.start} onChange={setWriteField("start")} required />
+              </label>
+              <label className="device-notes">
+                Values (u16 words, or 0/1 for coils; comma separated)
+                <input type="text" value={write.values} onChange={setWriteField("values")} placeholder="16640, 0" required />
+              </label>
+            </div>
+            {writeMessage && <div className="callout success">{writeMessage}</div>}
+            <div className="actions">
+              <button type="button" className="secondary" onClick={() => setUnlocked(false)} disabled={writing}>
+                Lock
+              </button>
+              <button type="submit" className="primary" disabled={writing}>
+                {writing ? "Writing…" : `Write to ${tankId}`}
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+
+      <ConfirmModal
+        open={confirmUnlock}
+        title={`Unlock raw writes to ${tankId}?`}
+        message={`Raw register writes bypass the register map and safe bounds. A wrong address or value can change how ${family}:${tankId} controls its tank.`}
+        confirmLabel="Unlock writes"
+        onConfirm={() => {
+          setUnlocked(true);
+          setConfirmUnlock(false);
+        }}
+        onCancel={() => setConfirmUnlock(false)}
+      />
+    </section>
+  );
+}
+
+// Map point(s) covering this address: the name where a point starts,
+// "↳ name" on the registers it continues into
+function MapCell({ row, pointsByName }) {
+  if (!row.points.length) return <span className="muted">—</span>;
+  return row.points.map((name) => {
+    const p = pointsByName[name];
+    if (!p || p.addr !== row.addr) {
+      return (
+        <div key={name} className="muted">
+          ↳ {name}
+        </div>
+      );
+    }
+    return (
+      <div key={name}>
+        <strong>{name}</strong> {p.type}
+        {" = "}
+        {p.label ?? formatValue(p.value)}
+        {p.units ? ` ${p.units}` : ""}
+      </div>
+    );
+  });
+}
+
+function formatValue(v) {
+  if (v === null || v === undefined) return "—";
+  if (typeof v === "boolean") return v ? "true" : "false";
+  if (typeof v !== "number") return String(v);
+  if (Number.isInteger(v)) return String(v);
+  const abs = Math.abs(v);
+  return abs !== 0 && (abs < 1e-4 || abs >= 1e9) ? v.toExponential(4) : String(Number(v.toPrecision(7)));
+}
@@ -1,26 +1,27 @@
-import React, { useEffect, useMemo, useState } from "react";
+// src/pages/FamilyPage.jsx
+// Generic live page for any device family in families.json; the cards
+// show the family's summary points (first few readings if it has none).
+import React, { useCallback, useEffect, useMemo, useState } from "react";
+import { useParams } from "react-router-dom";
 import { fetchJson } from "../utils/api.js";
+import { useFamilies } from "../utils/families.js";
 
 const REFRESH_INTERVAL_MS = 30_000;
 const STALE_THRESHOLD_MS = 15 * 60 * 1000;
 
-const PREFERRED_KEYS = [
-  "ph",
-  "temp1_C",
-  "internal_temp_C",
-  "co2_ppm",
-  "dissolved_oxygen",
-  "salinity",
-  "humidity",
-  "flow_rate"
-];
+const NON_SENSOR_KEYS = new Set(["family", "ip", "ts_utc", "qc", "qc_error", "restored", "restored_at"]);
 
-const NON_SENSOR_KEYS = new Set(["family", "ip", "ts_utc", "qc"]);
+export default function FamilyPage() {
+  const { familyId } = useParams();
+  const families = useFamilies();
+  const family = families.find((f) => f.id === familyId);
+  const label = family?.label || familyId;
+  const summary = family?.summary || [];
 
-export default function UtilControllers() {
   const [snapshots, setSnapshots] = useState({});
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState("");
+  const [refreshing, setRefreshing] = useState({}); // tankId -> true while polling
 
   useEffect(() => {
     let cancelled = false;
@@ -39,7 +40,7 @@ export default function UtilControllers() {
         setError("");
       } catch (e) {
         if (cancelled) return;
-        setError(e?.message || "Failed to load utility telemetry");
+        setError(e?.message || `Failed to load ${label} telemetry`);
       } finally {
         if (!cancelled) setLoading(false);
       }
@@ -52,29 +53,51 @@ export default function UtilControllers() {
       cancelled = true;
       if (timer) clearInterval(timer);
     };
-  }, []);
+  }, [label]);
+
+  // Out-of-band poll of one device; the card updates from the fresh snapshot
+  const refreshDevice = useCallback(async (tankId) => {
+    setRefreshing((prev) => ({ ...prev, [tankId]: true }));
+    try {
+      const res = await fetchJson(
+        `/api/devices/${encodeURIComponent(tankId)}/poll?family=${encodeURIComponent(familyId)}`,
+        { method: "POST" }
+      );
+      if (res?.snapshot) {
+        setSnapshots((prev) => ({ ...prev, [tankId]: res.snapshot }));
+      }
+      setError("");
+    } catch (e) {
+      setError(e?.message || `Failed to poll ${tankId}`);
+    } finally {
+      setRefreshing((prev) => {
+        const next = { ...prev };
+        delete next[tankId];
+        return next;
+      });
+    }
+  }, [familyId]);
 
   const cards = useMemo(() => {
     const entries = Object.entries(snapshots || {});
 
-    const utilEntries = entries.filter(([, snapshot]) => {
-      return snapshot?.family === "util";
+    const familyEntries = entries.filter(([, snapshot]) => {
+      return snapshot?.family === familyId;
     });
 
-    utilEntries.sort(([a], [b]) =>
+    familyEntries.sort(([a], [b]) =>
       a.localeCompare(b, undefined, { numeric: true })
     );
-    return utilEntries;
-  }, [snapshots]);
+    return familyEntries;
+  }, [snapshots, familyId]);
 
   return (
     <section className="page">
       <header className="page-header">
         <div>
-          <h1>Utility Controllers</h1>
+          <h1>{label}</h1>
           <p className="page-subtitle">
-            Live cached readings from utility controllers (CO₂, DO, pumps,
-            etc.).
+            {family?.description || `Live cached readings from ${label} devices.`}
           </p>
         </div>
       </header>
@@ -83,7 +106,7 @@ export default function UtilControllers() {
 
       {loading ? (
         <div className="empty-state">
-          <p>Loading utility telemetry…</p>
+          <p>Loading {label} telemetry…</p>
         </div>
       ) : cards.length > 0 ? (
         <div className="cards-grid cards-grid-dense">
@@ -102,17 +125,34 @@ export default function UtilControllers() {
             const stale = isSnapshotStale(updatedIso);
             const timestampClasses = ["timestamp", stale ? "stale" : "fresh"];
 
-            const metrics = pickMetrics(snapshot || {});
+            const metrics = pickMetrics(snapshot || {}, summary);
 
             return (
               <article key={tankId} className="card card-compact">
                 <header className="card-header">
                   <h3>{tankId}</h3>
                   <div className="pill-group">
+                    <button
+                      type="button"
+                      className="qc-pill action"
+                      title="Poll this device now"
+                      onClick={() => refreshDevice(tankId)}
+                      disabled={!!refreshing[tankId]}
+                    >
+                      {refreshing[tankId] ? "Polling…" : "Refresh"}
+                    </button>
                     {qcClass === "fail" && (
                       <span className="qc-pill fail">FAIL</span>
                     )}
                     {stale && <span className="qc-pill fail">STALE</span>}
+                    {snapshot?.restored && (
+                      <span
+                        className="qc-pill"
+                        title={`Last known reading, restored when the gateway restarted (${formatExactTimestamp(snapshot.restored_at)})`}
+                      >
+                        RESTORED
+                      </span>
+                    )}
                   </div>
                 </header>
 
@@ -123,7 +163,7 @@ export default function UtilControllers() {
                 </dl>
 
                 <footer className="card-meta">
-                  <span title="Controller IP">{snapshot?.ip || "—"}</span>
+                  <span title="Device IP">{snapshot?.ip || "—"}</span>
                   <span
                     className={timestampClasses.join(" ")}
                     title={formatExactTimestamp(updatedIso)}
@@ -137,28 +177,38 @@ export default function UtilControllers() {
         </div>
       ) : (
         <div className="empty-state">
-          <p>No utility telemetry has been recorded yet.</p>
+          <p>No {label} telemetry has been recorded yet.</p>
         </div>
       )}
     </section>
   );
 }
 
-function pickMetrics(snapshot) {
+// Summary fields first (only those the device reports); otherwise the first
+// five readings with guessed labels
+function pickMetrics(snapshot, summary) {
   const sensorDict = {};
   for (const [k, v] of Object.entries(snapshot || {})) {
     if (NON_SENSOR_KEYS.has(k)) continue;
     sensorDict[k] = v;
   }
 
-  const prioritized = PREFERRED_KEYS.map((key) => {
-    if (!(key in sensorDict)) return null;
-    return {
-      key,
-      label: prettyLabel(key),
-      value: formatForKey(key, sensorDict[key])
-    };
-  }).filter(Boolean);
+  const prioritized = summary
+    .filter(({ point }) => point in sensorDict)
+    .map(({ point, label, digits }) => ({
+      key: point,
+      label: label || prettyLabel(point),
+      value: formatNumber(sensorDict[point], digits)
+    }));
+
+  // a failing device has no readings yet; still show the expected rows
+  if (prioritized.length === 0 && Object.keys(sensorDict).length === 0) {
+    return summary.slice(0, 5).map(({ point, label }) => ({
+      key: point,
+      label: label || prettyLabel(point),
+      value: "—"
+    }));
+  }
 
   if (prioritized.length > 0) return prioritized;
 
@@ -178,6 +228,12 @@ function prettyLabel(key) {
     .replace("Co2", "CO₂");
 }
 
+function formatNumber(value, digits = 2) {
+  return typeof value === "number" && Number.isFinite(value)
+    ? value.toFixed(digits)
+    : "—";
+}
+
 function formatForKey(key, value) {
   if (typeof value !== "number" || !Number.isFinite(value)) return "—";
   if (key.toLowerCase().includes("temp")) return value.toFixed(1);
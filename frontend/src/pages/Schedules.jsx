@@ -0,0 +1,563 @@
+// src/pages/Schedules.jsx
+// Setpoint programs: daily or weekly point values for a list of tanks, a
+// tank group (prefix) or a saved group, applied by the gateway at the given Hawaiʻi times.
+// Below the programs, one tank's upcoming transitions and the scheduled
+// writes it already got (from the command audit log). The tank lives in the
+// URL (/schedules?tankId=C01) so it can be linked.
+import React, { useCallback, useEffect, useMemo, useState } from "react";
+import { useSearchParams } from "react-router-dom";
+import { fetchJson } from "../utils/api.js";
+import ConfirmModal from "../components/ConfirmModal.jsx";
+import { useFamilies } from "../utils/families.js";
+
+const DAYS = ["mon", "tue", "wed", "thu", "fri", "sat", "sun"];
+
+// one row per op; rows with the same time (and days) are saved as one step
+const EMPTY_ROW = { at: "06:00", days: [...DAYS], point: "ctl1_setpoint", value: "" };
+
+const EMPTY_FORM = {
+  name: "",
+  family: "ctrl",
+  targetType: "tanks",
+  tanks: "",
+  prefix: "",
+  group: "",
+  repeat: "daily",
+  enabled: true,
+  rows: [{ ...EMPTY_ROW }, { ...EMPTY_ROW, at: "18:00" }],
+};
+
+// Hawaiʻi time, like History
+const formatter = new Intl.DateTimeFormat("en-US", {
+  timeZone: "Pacific/Honolulu",
+  weekday: "short",
+  month: "short",
+  day: "numeric",
+  hour: "2-digit",
+  minute: "2-digit",
+});
+
+export default function Schedules() {
+  const families = useFamilies();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const tankId = searchParams.get("tankId") || "";
+
+  const [programs, setPrograms] = useState([]);
+  const [tankIds, setTankIds] = useState([]);
+  const [groups, setGroups] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [message, setMessage] = useState("");
+
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editing, setEditing] = useState(null); // program being edited
+  const [saving, setSaving] = useState(false);
+
+  const [deleteTarget, setDeleteTarget] = useState(null);
+  const [deleting, setDeleting] = useState(false);
+
+  const [executions, setExecutions] = useState(null); // { upcoming, past, truncated }
+
+  const loadPrograms = useCallback(async () => {
+    try {
+      const data = await fetchJson("/api/schedules");
+      setPrograms(Array.isArray(data?.programs) ? data.programs : []);
+      setError("");
+    } catch (e) {
+      setError(e?.message || "Failed to load schedules");
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const loadExecutions = useCallback(async () => {
+    if (!tankId) {
+      setExecutions(null);
+      return;
+    }
+    try {
+      const data = await fetchJson(`/api/schedules/executions?tankId=${encodeURIComponent(tankId)}`);
+      setExecutions(data);
+    } catch (e) {
+      setExecutions(null);
+      setError(e?.message || "Failed to load scheduled executions");
+    }
+  }, [tankId]);
+
+  useEffect(() => {
+    loadPrograms();
+    fetchJson("/api/devices")
+      .then((data) => {
+        const ids = new Set((data?.devices || []).map((d) => d.tankId));
+        setTankIds([...ids].sort((a, b) => a.localeCompare(b, undefined, { numeric: true })));
+      })
+      .catch(() => {});
+    fetchJson("/api/groups")
+      .then((data) => setGroups(Array.isArray(data?.groups) ? data.groups : []))
+      .catch(() => {});
+  }, [loadPrograms]);
+
+  useEffect(() => {
+    loadExecutions();
+  }, [loadExecutions]);
+
+  const setTank = (id) => {
+    const next = new URLSearchParams(searchParams);
+    if (id) next.set("tankId", id);
+    else next.delete("tankId");
+    setSearchParams(next, { replace: true });
+  };
+
+  const setField = (key) => (e) =>
+    setForm((prev) => ({ ...prev, [key]: e.target.type === "checkbox" ? e.target.checked : e.target.value }));
+
+  const setRow = (i, patch) =>
+    setForm((prev) => ({ ...prev, rows: prev.rows.map((r, j) => (j === i ? { ...r, ...patch } : r)) }));
+
+  const toggleDay = (i, day) => {
+    const days = form.rows[i].days;
+    setRow(i, { days: days.includes(day) ? days.filter((d) => d !== day) : [...days, day] });
+  };
+
+  const startEdit = (p) => {
+    setEditing(p);
+    setForm({
+      name: p.name,
+      family: p.family,
+      targetType: p.group ? "group" : p.tanks ? "tanks" : "prefix",
+      tanks: (p.tanks || []).join(", "),
+      prefix: p.prefix || "",
+      group: p.group || "",
+      repeat: p.repeat,
+      enabled: p.enabled,
+      rows: p.steps.flatMap((s) =>
+        s.ops.map((op) => ({
+          at: s.at,
+          days: s.days || [...DAYS],
+          point: op.point,
+          value: String(op.value),
+        })),
+      ),
+    });
+    setMessage("");
+    setError("");
+  };
+
+  const resetForm = () => {
+    setEditing(null);
+    setForm(EMPTY_FORM);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setMessage("");
+    setError("");
+
+    const payload = {
+      name: form.name.trim(),
+      family: form.family,
+      repeat: form.repeat,
+      enabled: form.enabled,
+      tanks:
+        form.targetType === "tanks"
+          ? form.tanks.split(/[\s,]+/).filter(Boolean)
+          : [],
+      prefix: form.targetType === "prefix" ? form.prefix.trim() : "",
+      group: form.targetType === "group" ? form.group : "",
+      steps: rowsToSteps(form.rows, form.repeat),
+    };
+
+    try {
+      if (editing) {
+        await fetchJson(`/api/schedules/${encodeURIComponent(editing.id)}`, {
+          method: "PUT",
+          body: JSON.stringify(payload),
+        });
+        setMessage(`Updated "${payload.name}"; the new values apply from the next transition.`);
+      } else {
+        await fetchJson("/api/schedules", { method: "POST", body: JSON.stringify(payload) });
+        setMessage(`Added "${payload.name}"; it first applies at the next transition.`);
+      }
+      resetForm();
+      await Promise.all([loadPrograms(), loadExecutions()]);
+    } catch (err) {
+      setError(err?.message || "Failed to save schedule");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!deleteTarget) return;
+    setDeleting(true);
+    try {
+      await fetchJson(`/api/schedules/${encodeURIComponent(deleteTarget.id)}`, { method: "DELETE" });
+      setMessage(`Removed "${deleteTarget.name}".`);
+      if (editing?.id === deleteTarget.id) resetForm();
+      await Promise.all([loadPrograms(), loadExecutions()]);
+    } catch (err) {
+      setError(err?.message || "Failed to delete schedule");
+    } finally {
+      setDeleting(false);
+      setDeleteTarget(null);
+    }
+  };
+
+  const groupNames = useMemo(() => new Map(groups.map((g) => [g.id, g.name])), [groups]);
+
+  const sorted = useMemo(() => [...programs].sort((a, b) => a.name.localeCompare(b.name)), [programs]);
+
+  return (
+    <section className="page">
+      <header className="page-header">
+        <div>
+          <h1>Schedules</h1>
+          <p className="page-subtitle">
+            Point values applied to a set of tanks every day or on chosen weekdays, at Hawaiʻi times
+            (HST). Each value holds from its time until the next one; a time missed while the gateway
+            was down is applied when it comes back. Adding a schedule or changing its times or tanks
+            doesn't write anything: the next transition does.
+          </p>
+        </div>
+      </header>
+
+      {error && <div className="callout error">{error}</div>}
+      {message && <div className="callout success">{message}</div>}
+
+      <form className="card device-form" onSubmit={handleSubmit}>
+        <h2>{editing ? `Edit "${editing.name}"` : "Add schedule"}</h2>
+        <div className="history-form">
+          <label>
+            Name
+            <input type="text" value={form.name} onChange={setField("name")} placeholder="Raceway pH day/night" required />
+          </label>
+          <label>
+            Target
+            <select value={form.targetType} onChange={setField("targetType")}>
+              <option value="tanks">Tanks</option>
+              <option value="prefix">Tank group (prefix)</option>
+              <option value="group">Saved group</option>
+            </select>
+          </label>
+          {form.targetType !== "group" && (
+            <label>
+              Family
+              <select value={form.family} onChange={setField("family")}>
+                {families.map((f) => (
+                  <option key={f.id} value={f.id}>
+                    {f.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+          )}
+          {form.targetType === "tanks" && (
+            <label>
+              Tank IDs
+              <input type="text" value={form.tanks} onChange={setField("tanks")} placeholder="C01, C02, C07" required />
+            </label>
+          )}
+          {form.targetType === "prefix" && (
+            <label>
+              Prefix
+              <input type="text" value={form.prefix} onChange={setField("prefix")} placeholder="C" required />
+            </label>
+          )}
+          {form.targetType === "group" && (
+            <label>
+              Group
+              <select value={form.group} onChange={setField("group")} required>
+                <option value="">Choose a group…</option>
+                {groups.map((g) => (
+                  <option key={g.id} value={g.id}>
+                    {g.name} ({g.tanks.length})
+                  </option>
+                ))}
+              </select>
+            </label>
+          )}
+          <label>
+            Repeat
+            <select value={form.repeat} onChange={setField("repeat")}>
+              <option value="daily">Every day</option>
+              <option value="weekly">Weekly (chosen days)</option>
+            </select>
+          </label>
+          <label>
+            Enabled
+            <input type="checkbox" checked={form.enabled} onChange={setField("enabled")} />
+          </label>
+        </div>
+
+        <table className="data-table schedule-steps">
+          <thead>
+            <tr>
+              <th>From (HST)</th>
+              {form.repeat === "weekly" && <th>Days</th>}
+              <th>Point</th>
+              <th>Value</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {form.rows.map((r, i) => (
+              <tr key={i}>
+                <td>
+                  <input type="time" value={r.at} onChange={(e) => setRow(i, { at: e.target.value })} required />
+                </td>
+                {form.repeat === "weekly" && (
+                  <td className="day-picks">
+                    {DAYS.map((d) => (
+                      <label key={d}>
+                        <input type="checkbox" checked={r.days.includes(d)} onChange={() => toggleDay(i, d)} />
+                        {d}
+                      </label>
+                    ))}
+                  </td>
+                )}
+                <td>
+                  <input type="text" value={r.point} onChange={(e) => setRow(i, { point: e.target.value })} required />
+                </td>
+                <td>
+                  <input type="text" value={r.value} onChange={(e) => setRow(i, { value: e.target.value })} placeholder="7.6" required />
+                </td>
+                <td className="row-actions">
+                  <button
+                    type="button"
+                    className="btn-small"
+                    onClick={() => setForm((prev) => ({ ...prev, rows: prev.rows.filter((_, j) => j !== i) }))}
+                    disabled={form.rows.length === 1}
+                  >
+                    Remove
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <div className="actions">
+          <button
+            type="button"
+            className="secondary"
+            onClick={() => setForm((prev) => ({ ...prev, rows: [...prev.rows, { ...EMPTY_ROW }] }))}
+          >
+            Add time
+          </button>
+          {editing && (
+            <button type="button" className="secondary" onClick={resetForm} disabled={saving}>
+              Cancel
+            </button>
+          )}
+          <button type="submit" className="primary" disabled={saving}>
+            {saving ? "Saving…" : editing ? "Save changes" : "Add schedule"}
+          </button>
+        </div>
+      </form>
+
+      {loading ? (
+        <div className="empty-state">
+          <p>Loading schedules…</p>
+        </div>
+      ) : sorted.length === 0 ? (
+        <div className="empty-state">
+          <p>No schedules yet.</p>
+        </div>
+      ) : (
+        <div className="card table-scroll">
+          <table className="data-table">
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Tanks</th>
+                <th>Program (HST)</th>
+                <th>Next</th>
+                <th>Last transition</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {sorted.map((p) => (
+                <tr key={p.id} className={p.enabled ? "" : "muted"}>
+                  <td>
+                    {p.name}
+                    {!p.enabled && <span className="qc-pill fail">OFF</span>}
+                  </td>
+                  <td>
+                    {p.group
+                      ? `group "${groupNames.get(p.group) || "(deleted)"}"`
+                      : p.tanks
+                      ? p.tanks.join(", ")
+                      : `${p.family} ${p.prefix}*`}
+                  </td>
+                  <td>
+                    {p.steps.map((s) => (
+                      <div key={`${s.at}-${(s.days || []).join()}`}>
+                        {s.at}
+                        {s.days && ` ${s.days.join(" ")}`}: {s.ops.map((op) => `${op.point}=${op.value}`).join(", ")}
+                      </div>
+                    ))}
+                  </td>
+                  <td>{p.enabled && p.next_at ? formatter.format(new Date(p.next_at)) : "—"}</td>
+                  <td>
+                    <TransitionStatus current={p.current} />
+                  </td>
+                  <td className="row-actions">
+                    <button type="button" className="btn-small" onClick={() => startEdit(p)}>
+                      Edit
+                    </button>
+                    <button type="button" className="btn-small" onClick={() => setDeleteTarget(p)}>
+                      Delete
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <div className="card device-form">
+        <h2>Per tank</h2>
+        <div className="history-form">
+          <label>
+            Tank
+            <select value={tankId} onChange={(e) => setTank(e.target.value)}>
+              <option value="">Choose a tank…</option>
+              {tankIds.map((id) => (
+                <option key={id} value={id}>
+                  {id}
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+
+        {executions && (
+          <>
+            <h3>Upcoming (next 48 h)</h3>
+            {executions.upcoming.length === 0 ? (
+              <p className="page-subtitle">No scheduled changes for {tankId}.</p>
+            ) : (
+              <div className="table-scroll">
+                <table className="data-table audit-table">
+                  <thead>
+                    <tr>
+                      <th>When</th>
+                      <th>Schedule</th>
+                      <th>Sets</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {executions.upcoming.map((u) => (
+                      <tr key={`${u.program_id}-${u.at}`}>
+                        <td title={u.at}>{formatter.format(new Date(u.at))}</td>
+                        <td>{u.program_name}</td>
+                        <td>{u.ops.map((op) => `${op.point}=${op.value}`).join(", ")}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            <h3>Past 7 days</h3>
+            {executions.past.length === 0 ? (
+              <p className="page-subtitle">No scheduled writes to {tankId} yet.</p>
+            ) : (
+              <div className="table-scroll">
+                <table className="data-table audit-table">
+                  <thead>
+                    <tr>
+                      <th>Time</th>
+                      <th>Schedule</th>
+                      <th>Point</th>
+                      <th>Requested</th>
+                      <th>Read back</th>
+                      <th>Result</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {executions.past.map((e, i) => (
+                      <tr key={`${e.tx_id}-${e.point}-${i}`}>
+                        <td title={e.ts_utc}>{formatter.format(new Date(e.ts_utc))}</td>
+                        <td>{String(e.requested_by || "").replace(/^schedule:/, "")}</td>
+                        <td>{e.point || "—"}</td>
+                        <td>{e.value_requested ?? "—"}</td>
+                        <td>
+                          {e.value_readback ?? "—"}
+                          {e.reason && e.reason !== "ok" && <span className="muted"> ({e.reason})</span>}
+                        </td>
+                        <td>
+                          <span className={`qc-pill ${e.result === "ok" ? "ok" : "fail"}`} title={e.error || ""}>
+                            {e.result}
+                          </span>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+            {executions.truncated && (
+              <p className="page-subtitle">
+                Showing the newest {executions.past.length}; the full list is on the Audit page.
+              </p>
+            )}
+          </>
+        )}
+      </div>
+
+      <ConfirmModal
+        open={!!deleteTarget}
+        title={`Delete "${deleteTarget?.name || ""}"?`}
+        message="The gateway stops applying this schedule. Values already written stay on the devices, and past writes stay in the audit log."
+        confirmLabel="Delete schedule"
+        onConfirm={handleDelete}
+        onCancel={() => setDeleteTarget(null)}
+        busy={deleting}
+      />
+    </section>
+  );
+}
+
+function TransitionStatus({ current }) {
+  if (!current) return "—";
+  const tanks = Object.entries(current.tanks || {});
+  const failed = tanks.filter(([, r]) => !r.ok);
+  return (
+    <>
+      {formatter.format(new Date(current.transition))}
+      {failed.length ? (
+        <span
+          className="qc-pill fail"
+          title={failed.map(([id, r]) => `${id}: ${r.error}`).join("\n")}
+        >
+          {failed.length} failed, retrying
+        </span>
+      ) : (
+        tanks.length > 0 && <span className="qc-pill ok">{tanks.length} ok</span>
+      )}
+    </>
+  );
+}
+
+// Form rows → steps: rows at the same time (and days) become one step
+function rowsToSteps(rows, repeat) {
+  const steps = new Map();
+  for (const r of rows) {
+    const days = repeat === "weekly" ? DAYS.filter((d) => r.days.includes(d)) : undefined;
+    const key = `${r.at} ${days ? days.join() : ""}`;
+    if (!steps.has(key)) steps.set(key, days ? { at: r.at, days, ops: [] } : { at: r.at, ops: [] });
+    steps.get(key).ops.push({ point: r.point.trim(), value: parseValue(r.value) });
+  }
+  return [...steps.values()];
+}
+
+function parseValue(text) {
+  const t = String(text).trim();
+  if (t === "true" || t === "false") return t === "true";
+  const n = Number(t);
+  return t !== "" && Number.isFinite(n) ? n : t;
+}
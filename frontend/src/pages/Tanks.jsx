@@ -1,6 +1,8 @@
 // src/pages/Tanks.jsx
 import React, { useCallback, useEffect, useMemo, useState } from "react";
+import { Link } from "react-router-dom";
 import { fetchJson } from "../utils/api.js";
+import ConfirmModal from "../components/ConfirmModal.jsx";
 
 const REFRESH_INTERVAL_MS = 30_000;
 const STALE_THRESHOLD_MS = 15 * 60 * 1000;
@@ -10,6 +12,9 @@ export default function Tanks() {
   const [liveMap, setLiveMap] = useState({});
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState("");
+  const [acceptTarget, setAcceptTarget] = useState(null); // { tankId, message }
+  const [accepting, setAccepting] = useState(false);
+  const [refreshing, setRefreshing] = useState({}); // tankId -> true while polling
 
   // Shared loader so we can call it from both the poller and any future actions
   const loadSnapshots = useCallback(async (isInitial = false) => {
@@ -57,6 +62,48 @@ export default function Tanks() {
     };
   }, [loadSnapshots]);
 
+  // Forget the pinned serial so the device now answering becomes the expected one
+  const acceptIdentity = useCallback(async () => {
+    if (!acceptTarget) return;
+    setAccepting(true);
+    try {
+      await fetchJson("/api/device-identity/reset", {
+        method: "POST",
+        body: JSON.stringify({ family: acceptTarget.family, tankId: acceptTarget.tankId }),
+      });
+      setAcceptTarget(null);
+      await loadSnapshots(false);
+    } catch (e) {
+      setError(e?.message || "Failed to reset device identity");
+      setAcceptTarget(null);
+    } finally {
+      setAccepting(false);
+    }
+  }, [acceptTarget, loadSnapshots]);
+
+  // Out-of-band poll of one device; the card updates from the fresh snapshot
+  const refreshDevice = useCallback(async (tankId) => {
+    setRefreshing((prev) => ({ ...prev, [tankId]: true }));
+    try {
+      const res = await fetchJson(
+        `/api/devices/${encodeURIComponent(tankId)}/poll?family=ctrl`,
+        { method: "POST" }
+      );
+      if (res?.snapshot) {
+        setSnapshots((prev) => ({ ...prev, [tankId]: res.snapshot }));
+      }
+      setError("");
+    } catch (e) {
+      setError(e?.message || `Failed to poll ${tankId}`);
+    } finally {
+      setRefreshing((prev) => {
+        const next = { ...prev };
+        delete next[tankId];
+        return next;
+      });
+    }
+  }, []);
+
   /**
    * Returns grouped entries:
    * [
@@ -122,6 +169,11 @@ export default function Tanks() {
               {/* Divider spans full grid width */}
               <div className="cards-divider">
                 <h2>{prefix}</h2>
+                {prefix !== "Other" && (
+                  <Link to={`/bulk?prefix=${encodeURIComponent(prefix)}`} className="btn-small">
+                    Bulk command
+                  </Link>
+                )}
               </div>
 
               {group.map(([tankId, snapshot]) => {
@@ -134,6 +186,8 @@ export default function Tanks() {
                     ? "ok"
                     : snapshot?.qc === "fail"
                     ? "fail"
+                    : snapshot?.qc === "identity_mismatch"
+                    ? "mismatch"
                     : "";
 
                 const stale = isSnapshotStale(updatedIso);
@@ -144,10 +198,43 @@ export default function Tanks() {
                     <header className="card-header">
                       <h3>{tankId}</h3>
                       <div className="pill-group">
+                        <button
+                          type="button"
+                          className="qc-pill action"
+                          title="Poll this controller now"
+                          onClick={() => refreshDevice(tankId)}
+                          disabled={!!refreshing[tankId]}
+                        >
+                          {refreshing[tankId] ? "Polling…" : "Refresh"}
+                        </button>
                         {qcClass === "fail" && (
                           <span className="qc-pill fail">FAIL</span>
                         )}
+                        {qcClass === "mismatch" && (
+                          <button
+                            type="button"
+                            className="qc-pill fail action"
+                            title={snapshot?.qc_error || "Unexpected device"}
+                            onClick={() =>
+                              setAcceptTarget({
+                                tankId,
+                                family: snapshot?.family,
+                                message: snapshot?.qc_error,
+                              })
+                            }
+                          >
+                            ID MISMATCH
+                          </button>
+                        )}
                         {stale && <span className="qc-pill fail">STALE</span>}
+                        {snapshot?.restored && (
+                          <span
+                            className="qc-pill"
+                            title={`Last known reading, restored when the gateway restarted (${formatExactTimestamp(snapshot.restored_at)})`}
+                          >
+                            RESTORED
+                          </span>
+                        )}
                       </div>
                     </header>
 
@@ -184,6 +271,18 @@ export default function Tanks() {
           <p>No cached telemetry has been recorded yet.</p>
         </div>
       )}
+
+      <ConfirmModal
+        open={!!acceptTarget}
+        title={`Accept new device for ${acceptTarget?.tankId || ""}?`}
+        message={`${
+          acceptTarget?.message || "A different controller answered."
+        } Only accept if the controller was intentionally replaced; otherwise fix the IP assignment.`}
+        confirmLabel="Accept device"
+        onConfirm={acceptIdentity}
+        onCancel={() => setAcceptTarget(null)}
+        busy={accepting}
+      />
     </section>
   );
 }
@@ -92,9 +92,19 @@ async function request(pathname, options = {}) {
 
   if (!res.ok) {
     const text = await res.text();
-    const msg = formatError(text, `Request failed (${res.status})`);
+    // The gateway answers errors as { error, code? }
+    let body = null;
+    try {
+      body = JSON.parse(text);
+    } catch (_) {}
+
+    const msg =
+      typeof body?.error === "string" && body.error
+        ? body.error
+        : formatError(text, `Request failed (${res.status})`);
     const error = new Error(msg);
     error.status = res.status;
+    if (body?.code) error.code = body.code;
     throw error;
   }
 
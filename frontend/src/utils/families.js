@@ -0,0 +1,60 @@
+// ---------------------------------------------------------
+//  frontend/src/utils/families.js
+//  Device families from GET /api/families (backend/config/families.json)
+// ---------------------------------------------------------
+
+import { useEffect, useState } from "react";
+import { fetchJson } from "./api.js";
+
+// Used until the backend answers (or if it's an older build without the endpoint)
+export const FALLBACK_FAMILIES = [
+  { id: "ctrl", label: "Tanks", page: "/tanks", summary: [] },
+  { id: "util", label: "Utility", page: null, summary: [] },
+  { id: "bmm", label: "BMMs", page: null, summary: [] },
+];
+
+let cached = null;
+let inflight = null;
+
+function loadFamilies() {
+  if (cached) return Promise.resolve(cached);
+  if (!inflight) {
+    inflight = fetchJson("/api/families")
+      .then((data) => {
+        const list = Array.isArray(data?.families) ? data.families : [];
+        cached = list.length ? list : FALLBACK_FAMILIES;
+        return cached;
+      })
+      .catch(() => FALLBACK_FAMILIES)
+      .finally(() => {
+        inflight = null;
+      });
+  }
+  return inflight;
+}
+
+/**
+ * Route for a family: its custom page, or the generic /families/:id page.
+ */
+export function familyPath(family) {
+  return family?.page || `/families/${encodeURIComponent(family?.id || "")}`;
+}
+
+/**
+ * React hook returning the family list (fallback list until loaded).
+ */
+export function useFamilies() {
+  const [families, setFamilies] = useState(cached || FALLBACK_FAMILIES);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadFamilies().then((list) => {
+      if (!cancelled) setFamilies(list);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return families;
+}
@@ -1,89 +1,33 @@
 // src/utils/sendCommand.js
-import mqtt from "mqtt";
+// Operator commands go through the gateway's HTTP API, which resolves the
+// device's family and register map and answers with the per-op results.
+import { fetchJson } from "./api.js";
+
+// What the gateway's command error codes mean to an operator
+const ERROR_LABELS = {
+  bad_request: "Invalid command",
+  invalid_op: "Invalid command",
+  unknown_tank: "Unknown tank",
+  ambiguous_tank: "Tank is in more than one family",
+  no_devices: "No matching tanks",
+  no_register_map: "No register map",
+  rate_limited: "Rate limited",
+  identity_mismatch: "Wrong device answering",
+  write_failed: "Write failed",
+  readback_failed: "Write not confirmed",
+  readback_mismatch: "Device kept a different value",
+};
 
-const SITE_ID = "dev01";
-const ACK_TIMEOUT_MS = 5000;
-
-// Singleton MQTT client + pending command map
-let client = null;
-let clientReadyPromise = null;
-const pending = new Map(); // tx_id -> { resolve, reject, timeoutId }
-
-// Ensure MQTT client exists and is connected
-function ensureClient() {
-  if (client && client.connected) {
-    return Promise.resolve(client);
-  }
-
-  if (!clientReadyPromise) {
-    const url = import.meta.env.VITE_MQTT_URL;
-    const user = import.meta.env.VITE_MQTT_USER;
-    const pass = import.meta.env.VITE_MQTT_PASS;
-
-    if (!url) {
-      return Promise.reject(new Error("VITE_MQTT_URL is not configured"));
-    }
-
-    client = mqtt.connect(url, {
-      username: user || undefined,
-      password: pass || undefined,
-      keepalive: 30,
-      reconnectPeriod: 2000
-    });
-
-    clientReadyPromise = new Promise((resolve, reject) => {
-      const onConnect = () => {
-        // Subscribe once for all ACKs from this site
-        client.subscribe(`symbrosia/${SITE_ID}/+/+/cmd/ack`, (err) => {
-          if (err) {
-            reject(err);
-            return;
-          }
-          resolve(client);
-        });
-      };
-
-      const onError = (err) => {
-        reject(err);
-      };
-
-      client.once("connect", onConnect);
-      client.once("error", onError);
-    });
-
-    // Global message handler: route ACKs by tx_id
-    client.on("message", (topic, buf) => {
-      try {
-        const payload = JSON.parse(buf.toString());
-        const txId = payload?.tx_id;
-        if (!txId || !pending.has(txId)) return;
-
-        const { resolve, reject, timeoutId } = pending.get(txId);
-        clearTimeout(timeoutId);
-        pending.delete(txId);
-
-        if (payload.error) {
-          reject(new Error(payload.error));
-          return;
-        }
-
-        // If there are per-op results, surface failures
-        const results = payload.results || [];
-        const failed = results.find((r) => r && r.ok === false);
-        if (failed) {
-          reject(new Error(failed.error || `Command failed for point ${failed.point}`));
-          return;
-        }
-
-        resolve(payload);
-      } catch (e) {
-        // Ignore malformed messages
-        // console.error("ACK parse error:", e.message);
-      }
-    });
-  }
-
-  return clientReadyPromise;
+/**
+ * Operator-facing text for a failed command: the gateway's message,
+ * prefixed with what its error code means.
+ * @param {Error & { code?: string }} err
+ * @param {string} fallback
+ */
+export function commandErrorMessage(err, fallback = "Command failed") {
+  const message = err?.message || fallback;
+  const label = ERROR_LABELS[err?.code];
+  return label ? `${label}: ${message}` : message;
 }
 
 function createTxId() {
@@ -95,44 +39,42 @@ function createTxId() {
 
 /**
  * Low-level command sender.
- * @param {string} tankId
- * @param {string} deviceId - e.g. "ctrl-C15"
- * @param {Array<{point:string, value:number}>} ops
- * @returns {Promise<object>} resolves with ACK payload
+ * @param {string} tankId - e.g. "C15"
+ * @param {Array<{point:string, value:any, force?:boolean}>} ops
+ *   force writes even when the value is within the point's deadband
+ * @param {{ family?: string, requestedBy?: string }} [options]
+ *   family is only needed when the tank ID exists in more than one family
+ * @returns {Promise<object>} resolves with the command result
+ *   ({ tx_id, ts_utc, family, tank_id, requested_by, results }); each result
+ *   carries value_applied, value_readback and verified
  */
-export async function sendCommand(tankId, deviceId, ops) {
-  const mqttClient = await ensureClient();
-
-  const tx_id = createTxId();
-  const topic = `symbrosia/${SITE_ID}/${tankId}/${deviceId}/cmd`;
-  const body = {
-    tx_id,
-    ts_utc: new Date().toISOString(),
-    requested_by: "frontend",
-    ops
-  };
-
-  const ackPromise = new Promise((resolve, reject) => {
-    const timeoutId = setTimeout(() => {
-      pending.delete(tx_id);
-      reject(new Error("Command ACK timeout"));
-    }, ACK_TIMEOUT_MS);
-
-    pending.set(tx_id, { resolve, reject, timeoutId });
-  });
-
-  mqttClient.publish(topic, JSON.stringify(body), { qos: 1 }, (err) => {
-    if (err) {
-      const pendingEntry = pending.get(tx_id);
-      if (pendingEntry) {
-        clearTimeout(pendingEntry.timeoutId);
-        pending.delete(tx_id);
-        pendingEntry.reject(err);
-      }
+export async function sendCommand(tankId, ops, { family, requestedBy = "frontend" } = {}) {
+  const query = family ? `?family=${encodeURIComponent(family)}` : "";
+  const result = await fetchJson(
+    `/api/devices/${encodeURIComponent(tankId)}/commands${query}`,
+    {
+      method: "POST",
+      body: JSON.stringify({
+        tx_id: createTxId(),
+        requested_by: requestedBy,
+        ops
+      })
     }
-  });
+  );
+
+  // Surface the first failed op. err.code tells a write the device didn't
+  // keep ("readback_mismatch") from one that never happened ("write_failed");
+  // requests the gateway refused outright throw from fetchJson with err.code
+  // and err.status set ("rate_limited", "identity_mismatch", ...)
+  const failed = (result?.results || []).find((r) => r && r.ok === false);
+  if (failed) {
+    const err = new Error(failed.error || `Command failed for point ${failed.point}`);
+    err.code = failed.code;
+    err.result = result;
+    throw err;
+  }
 
-  return ackPromise;
+  return result;
 }
 
 /**
@@ -145,8 +87,7 @@ export function sendRelayCommand(tankId, relayNumber, value) {
   if (relayNumber !== 1 && relayNumber !== 2) {
     return Promise.reject(new Error("relayNumber must be 1 or 2"));
   }
-  const deviceId = `ctrl-${tankId}`;
   const point = relayNumber === 1 ? "relay1_request" : "relay2_request";
 
-  return sendCommand(tankId, deviceId, [{ point, value }]);
+  return sendCommand(tankId, [{ point, value }], { family: "ctrl" });
 }